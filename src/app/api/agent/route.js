@@ -0,0 +1,6 @@
+import { createChatHandler } from "@/lib/chat.mjs";
+
+// Node runtime: the local vector store reads from the filesystem.
+export const runtime = "nodejs";
+
+export const POST = createChatHandler();
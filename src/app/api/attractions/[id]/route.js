@@ -0,0 +1,22 @@
+import { cachedJsonResponse, errorResponse } from "@/lib/http.mjs";
+import { getAttraction } from "@/lib/attractions.mjs";
+
+// Node runtime: the dataset is read from the filesystem.
+export const runtime = "nodejs";
+
+/**
+ * GET /api/attractions/:id -> the full normalised attraction record.
+ * Unknown ids get 404 NOT_FOUND. Responses carry an ETag like the list.
+ */
+export async function GET(req, { params }) {
+  const { id } = await params;
+  let attraction;
+  try {
+    attraction = getAttraction(id);
+  } catch (error) {
+    console.error("Attractions API error:", error);
+    return errorResponse(500, "INTERNAL_ERROR", "Could not load attractions");
+  }
+  if (!attraction) return errorResponse(404, "NOT_FOUND", `No attraction with id "${id}"`);
+  return cachedJsonResponse(req, attraction);
+}
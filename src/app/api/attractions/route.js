@@ -0,0 +1,22 @@
+import { cachedJsonResponse, errorResponse } from "@/lib/http.mjs";
+import { parseAttractionQuery, queryAttractions } from "@/lib/attractions.mjs";
+
+// Node runtime: the dataset is read from the filesystem.
+export const runtime = "nodejs";
+
+/**
+ * GET ?region=East&tags=beach&near=-20.16,57.5&radius_km=15&sort=distance&page=1
+ *   -> { attractions: [summary], total, page, page_size, total_pages }
+ * See `parseAttractionQuery` for every parameter. Responses carry an ETag;
+ * a matching If-None-Match gets 304.
+ */
+export async function GET(req) {
+  const { value, errors } = parseAttractionQuery(new URL(req.url).searchParams);
+  if (!value) return errorResponse(400, "VALIDATION_FAILED", "Invalid attractions query", errors);
+  try {
+    return cachedJsonResponse(req, queryAttractions(value));
+  } catch (error) {
+    console.error("Attractions API error:", error);
+    return errorResponse(500, "INTERNAL_ERROR", "Could not load attractions");
+  }
+}
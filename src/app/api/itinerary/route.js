@@ -0,0 +1,27 @@
+import { errorResponse, jsonResponse } from "@/lib/http.mjs";
+import { planItinerary, validateItineraryRequest } from "@/lib/itinerary.mjs";
+
+// Node runtime: the dataset is read from the filesystem.
+export const runtime = "nodejs";
+
+/**
+ * POST { days, base, interests?, pace? } -> { base, days: [...], unplaced, params }
+ */
+export async function POST(req) {
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return errorResponse(400, "INVALID_JSON", "Request body must be valid JSON");
+  }
+
+  const { value, errors } = validateItineraryRequest(body);
+  if (!value) return errorResponse(400, "VALIDATION_FAILED", "Invalid itinerary request", errors);
+
+  try {
+    return jsonResponse(planItinerary(value));
+  } catch (error) {
+    console.error("Itinerary error:", error);
+    return errorResponse(500, "INTERNAL_ERROR", "Could not build the itinerary");
+  }
+}
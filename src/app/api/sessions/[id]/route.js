@@ -0,0 +1,40 @@
+import { errorResponse, jsonResponse } from "@/lib/http.mjs";
+import { getSessionStore, resolveOwner } from "@/lib/sessions.mjs";
+
+// Node runtime: sessions live in Postgres or on the filesystem.
+export const runtime = "nodejs";
+
+/**
+ * GET /api/sessions/:id -> { session, messages: [{ role, content, sources, template, selected, error, created_at }] }
+ */
+export async function GET(req, { params }) {
+  const { id } = await params;
+  const { owner } = resolveOwner(req);
+  try {
+    const store = getSessionStore();
+    const session = await store.getSession(id, { owner });
+    // Another browser's session gets the same 404 as a missing one
+    if (!session) return errorResponse(404, "NOT_FOUND", `No session with id "${id}"`);
+    return jsonResponse({ session, messages: await store.getMessages(id) });
+  } catch (error) {
+    console.error("Session store error:", error);
+    return errorResponse(503, "STORAGE_FAILED", "Could not load the conversation");
+  }
+}
+
+/**
+ * DELETE /api/sessions/:id -> 204, or 404 when there is no such session or it
+ * belongs to another browser.
+ */
+export async function DELETE(req, { params }) {
+  const { id } = await params;
+  const { owner } = resolveOwner(req);
+  try {
+    const deleted = await getSessionStore().deleteSession(id, { owner });
+    if (!deleted) return errorResponse(404, "NOT_FOUND", `No session with id "${id}"`);
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    console.error("Session store error:", error);
+    return errorResponse(503, "STORAGE_FAILED", "Could not delete the conversation");
+  }
+}
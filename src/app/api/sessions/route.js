@@ -0,0 +1,56 @@
+import { errorResponse, jsonResponse } from "@/lib/http.mjs";
+import { getSessionStore, MAX_TITLE_LENGTH, resolveOwner } from "@/lib/sessions.mjs";
+
+// Node runtime: sessions live in Postgres or on the filesystem.
+export const runtime = "nodejs";
+
+const MAX_LIST_LIMIT = 200;
+
+/**
+ * GET ?limit=50 -> { sessions: [{ id, title, created_at, updated_at, message_count }] },
+ * most recently active first. Only this browser's sessions are listed (see
+ * resolveOwner).
+ */
+export async function GET(req) {
+  const raw = new URL(req.url).searchParams.get("limit");
+  const limit = raw === null ? 50 : Number(raw);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    return errorResponse(400, "VALIDATION_FAILED", "Invalid sessions query", [
+      { field: "limit", message: `must be an integer between 1 and ${MAX_LIST_LIMIT}` },
+    ]);
+  }
+  const { owner, headers } = resolveOwner(req);
+  try {
+    return jsonResponse({ sessions: await getSessionStore().listSessions({ limit, owner }) }, { headers });
+  } catch (error) {
+    console.error("Session store error:", error);
+    return errorResponse(503, "STORAGE_FAILED", "Could not list conversations");
+  }
+}
+
+/**
+ * POST { title? } -> 201 with the new, empty session. Chatting without a
+ * sessionId also starts one, so this is only needed to name it up front.
+ */
+export async function POST(req) {
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    body = {};
+  }
+  const { title } = body || {};
+  if (title !== undefined && (typeof title !== "string" || !title.trim() || title.length > MAX_TITLE_LENGTH)) {
+    return errorResponse(400, "VALIDATION_FAILED", "Invalid session", [
+      { field: "title", message: `must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters` },
+    ]);
+  }
+  const { owner, headers } = resolveOwner(req);
+  try {
+    const session = await getSessionStore().createSession({ owner, ...(title ? { title: title.trim() } : {}) });
+    return jsonResponse(session, { status: 201, headers });
+  } catch (error) {
+    console.error("Session store error:", error);
+    return errorResponse(503, "STORAGE_FAILED", "Could not start a conversation");
+  }
+}
@@ -1,5 +1,51 @@
 "use client";
-import { Typography, Box } from "@mui/material";
+import { Typography, Box, Link } from "@mui/material";
+
+// Anchor id for source `n` of message `index`, so "[n]" markers can jump to it
+function sourceAnchor(index, n) {
+  return `message-${index}-source-${n}`;
+}
+
+/**
+ * Replace "[n]" markers with links to the matching entry in the sources
+ * panel. Markers without a matching source are left as plain text.
+ */
+function renderWithCitations(text, sources, index) {
+  if (!sources?.length) return text;
+  return text.split(/(\[\d+\])/g).map((part, i) => {
+    const n = Number(part.match(/^\[(\d+)\]$/)?.[1]);
+    if (!n || !sources.some((s) => s.n === n)) return part;
+    return (
+      <Link key={i} href={`#${sourceAnchor(index, n)}`} underline="hover" sx={{ fontSize: "0.8em", verticalAlign: "super" }}>
+        [{n}]
+      </Link>
+    );
+  });
+}
+
+function SourcesPanel({ sources, index }) {
+  return (
+    <Box sx={{ marginTop: 1, paddingTop: 1, borderTop: "1px solid #bdbdbd" }}>
+      <Typography variant="caption" fontWeight="bold">
+        Sources
+      </Typography>
+      {sources.map((source) => (
+        <Typography key={source.n} id={sourceAnchor(index, source.n)} variant="caption" component="div">
+          [{source.n}]{" "}
+          {source.review_url ? (
+            <Link href={source.review_url} target="_blank" rel="noopener noreferrer">
+              {source.title}
+            </Link>
+          ) : (
+            source.title
+          )}
+          {source.section ? ` · ${source.section}` : ""} · {source.source_file || "unknown file"} · score{" "}
+          {source.score?.toFixed(3)}
+        </Typography>
+      ))}
+    </Box>
+  );
+}
 
 function ChatContainer({ chatMessages }) {
   // If there are no messages, display the welcome prompt
@@ -59,7 +105,15 @@ function ChatContainer({ chatMessages }) {
             backgroundColor: msg.type === "user" ? "#1976d2" : "#e0e0e0",
           }}
         >
-          <Typography variant="body1">{msg.message}</Typography>
+          <Typography variant="body1" sx={{ whiteSpace: "pre-wrap" }}>
+            {renderWithCitations(msg.message, msg.sources, index)}
+          </Typography>
+          {msg.error && (
+            <Typography variant="caption" color="error">
+              {msg.error}
+            </Typography>
+          )}
+          {msg.sources?.length > 0 && <SourcesPanel sources={msg.sources} index={index} />}
         </Box>
       ))}
     </Box>
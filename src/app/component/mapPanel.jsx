@@ -0,0 +1,221 @@
+"use client";
+import { Box, Button, Card, CardContent, Chip, CircularProgress, Typography } from "@mui/material";
+import { useEffect, useMemo, useState } from "react";
+import { MAURITIUS_OUTLINE } from "./mauritiusOutline";
+
+// Bounds of the main island with a small margin; points outside (Rodrigues)
+// are not drawn.
+const BOUNDS = { minLat: -20.55, maxLat: -19.96, minLng: 57.28, maxLng: 57.83 };
+const SCALE = 1000;
+// The list endpoint pages results; one full page covers the dataset
+const MAX_MARKERS = 100;
+// One colour per itinerary day, repeating after seven
+const DAY_COLORS = ["#2e7d32", "#6a1b9a", "#c62828", "#00838f", "#ef6c00", "#4e342e", "#ad1457"];
+const dayColor = (day) => DAY_COLORS[(day - 1) % DAY_COLORS.length];
+const LNG_FACTOR = Math.cos((((BOUNDS.minLat + BOUNDS.maxLat) / 2) * Math.PI) / 180);
+const WIDTH = (BOUNDS.maxLng - BOUNDS.minLng) * LNG_FACTOR * SCALE;
+const HEIGHT = (BOUNDS.maxLat - BOUNDS.minLat) * SCALE;
+
+function project(latitude, longitude) {
+  return {
+    x: (longitude - BOUNDS.minLng) * LNG_FACTOR * SCALE,
+    y: (BOUNDS.maxLat - latitude) * SCALE,
+  };
+}
+
+function inBounds({ latitude, longitude }) {
+  return (
+    latitude >= BOUNDS.minLat && latitude <= BOUNDS.maxLat && longitude >= BOUNDS.minLng && longitude <= BOUNDS.maxLng
+  );
+}
+
+const OUTLINE_POINTS = MAURITIUS_OUTLINE.map(([lat, lng]) => {
+  const { x, y } = project(lat, lng);
+  return `${x.toFixed(1)},${y.toFixed(1)}`;
+}).join(" ");
+
+function AttractionCard({ attraction, selected, onToggle }) {
+  const flags = [
+    attraction.fee_required && "Entry fee",
+    attraction.booking_required && "Booking required",
+  ].filter(Boolean);
+  return (
+    <Card variant="outlined" sx={{ marginTop: 1 }}>
+      <CardContent sx={{ padding: 1.5, "&:last-child": { paddingBottom: 1.5 } }}>
+        <Typography variant="subtitle1" fontWeight="bold">
+          {attraction.name}
+        </Typography>
+        <Typography variant="caption" color="text.secondary" component="div">
+          {[attraction.attraction_type?.replace(/_/g, " "), attraction.region, attraction.rating && `★ ${attraction.rating}`]
+            .filter(Boolean)
+            .join(" · ")}
+        </Typography>
+        <Typography variant="body2" sx={{ marginY: 1 }}>
+          {attraction.description}
+        </Typography>
+        {flags.map((flag) => (
+          <Chip key={flag} label={flag} size="small" sx={{ marginRight: 0.5 }} />
+        ))}
+        {attraction.entry_points.length > 0 && (
+          <Typography variant="caption" component="div" sx={{ marginTop: 0.5 }}>
+            Access: {attraction.entry_points.map((e) => e.name).filter(Boolean).join(", ")}
+          </Typography>
+        )}
+        <Button size="small" sx={{ marginTop: 1 }} onClick={() => onToggle(attraction)}>
+          {selected ? "Remove from chat" : "Ask about this place"}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * Offline map of Mauritius. Every attraction is a grey dot; attractions cited
+ * in the latest answer (`highlights`: [{ attraction_id, n }]) are numbered to
+ * match the answer's [n] markers. Stops of the latest itinerary (`itinerary`:
+ * [{ day, stops: [{ order, attraction_id, latitude, longitude }] }]) are
+ * coloured by day, numbered in visiting order and joined by a line. Clicking
+ * a marker opens its card; the card's button toggles the place in
+ * `selectedIds` via `onToggleSelect`.
+ */
+function MapPanel({ highlights = [], itinerary = null, selectedIds = [], onToggleSelect }) {
+  const [attractions, setAttractions] = useState([]);
+  const [status, setStatus] = useState("loading");
+  const [activeId, setActiveId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`/api/attractions?page_size=${MAX_MARKERS}`)
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then((body) => {
+        if (cancelled) return;
+        setAttractions(body.attractions);
+        setStatus("ready");
+      })
+      .catch((error) => {
+        console.error("Failed to load attractions:", error);
+        if (!cancelled) setStatus("error");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // attraction id -> citation numbers in the latest answer
+  const labels = useMemo(() => {
+    const map = new Map();
+    for (const { attraction_id, n } of highlights) {
+      if (!attraction_id) continue;
+      map.set(attraction_id, [...(map.get(attraction_id) || []), n]);
+    }
+    return map;
+  }, [highlights]);
+
+  // attraction id -> { day, order } in the latest itinerary
+  const planned = useMemo(() => {
+    const map = new Map();
+    for (const { day, stops } of itinerary || []) {
+      for (const { attraction_id, order } of stops) map.set(attraction_id, { day, order });
+    }
+    return map;
+  }, [itinerary]);
+
+  const visible = attractions.filter(inBounds);
+  // Draw cited and planned markers last so they sit on top
+  const prominence = (a) => Number(labels.has(a.id)) + Number(planned.has(a.id));
+  const ordered = [...visible].sort((a, b) => prominence(a) - prominence(b));
+  const active = attractions.find((a) => a.id === activeId);
+
+  return (
+    <Box sx={{ display: "flex", flexDirection: "column", height: "100%", overflowY: "auto" }}>
+      <Box sx={{ position: "relative" }}>
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" role="img" aria-label="Map of Mauritius attractions">
+          <polygon points={OUTLINE_POINTS} fill="#e8f5e9" stroke="#81c784" strokeWidth={2} />
+          {(itinerary || []).map(({ day, stops }) => (
+            <polyline
+              key={day}
+              points={stops
+                .filter(inBounds)
+                .map((stop) => {
+                  const { x, y } = project(stop.latitude, stop.longitude);
+                  return `${x.toFixed(1)},${y.toFixed(1)}`;
+                })
+                .join(" ")}
+              fill="none"
+              stroke={dayColor(day)}
+              strokeWidth={3}
+              strokeDasharray="8 6"
+            />
+          ))}
+          {ordered.map((attraction) => {
+            const { x, y } = project(attraction.latitude, attraction.longitude);
+            const cited = labels.get(attraction.id);
+            const stop = planned.get(attraction.id);
+            const label = cited ? cited.join(",") : stop ? String(stop.order) : null;
+            const selected = selectedIds.includes(attraction.id);
+            return (
+              <g
+                key={attraction.id}
+                transform={`translate(${x},${y})`}
+                onClick={() => setActiveId(attraction.id)}
+                style={{ cursor: "pointer" }}
+              >
+                <title>{attraction.name}</title>
+                {selected && <circle r={label ? 15 : 10} fill="none" stroke="#ef6c00" strokeWidth={3} />}
+                {/* A cited stop keeps its citation number inside a ring of its day's colour */}
+                {cited && stop && <circle r={14} fill="none" stroke={dayColor(stop.day)} strokeWidth={3} />}
+                <circle
+                  r={label ? 11 : 6}
+                  fill={cited ? "#1976d2" : stop ? dayColor(stop.day) : "#9e9e9e"}
+                  stroke={attraction.id === activeId ? "#000" : "#fff"}
+                  strokeWidth={2}
+                />
+                {label && (
+                  <text textAnchor="middle" dy="0.35em" fontSize={label.length > 2 ? 9 : 12} fill="#fff">
+                    {label}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+        {status === "loading" && (
+          <CircularProgress size={24} sx={{ position: "absolute", top: 8, right: 8 }} />
+        )}
+      </Box>
+      {itinerary?.length > 0 && (
+        <Box sx={{ display: "flex", gap: 0.5, flexWrap: "wrap", marginTop: 0.5 }}>
+          {itinerary.map(({ day, stops }) => (
+            <Chip
+              key={day}
+              label={`Day ${day}: ${stops.length} ${stops.length === 1 ? "stop" : "stops"}`}
+              size="small"
+              sx={{ backgroundColor: dayColor(day), color: "#fff" }}
+            />
+          ))}
+        </Box>
+      )}
+      {status === "error" && (
+        <Typography variant="caption" color="error">
+          Could not load attractions.
+        </Typography>
+      )}
+      {active ? (
+        <AttractionCard
+          attraction={active}
+          selected={selectedIds.includes(active.id)}
+          onToggle={onToggleSelect}
+        />
+      ) : (
+        <Typography variant="caption" color="text.secondary">
+          Click a marker to see the attraction. Blue numbered markers are cited in the latest answer; coloured ones
+          are itinerary stops in visiting order.
+        </Typography>
+      )}
+    </Box>
+  );
+}
+export default MapPanel;
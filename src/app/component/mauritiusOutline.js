@@ -0,0 +1,58 @@
+// Simplified coastline of the main island as [latitude, longitude] pairs,
+// clockwise from Cap Malheureux. Accurate to a few hundred metres: enough to
+// place markers offline without map tiles.
+export const MAURITIUS_OUTLINE = [
+  [-19.984, 57.614], // Cap Malheureux
+  [-19.995, 57.645],
+  [-20.006, 57.665], // Grand Gaube
+  [-20.035, 57.68],
+  [-20.06, 57.69], // Poudre d'Or
+  [-20.09, 57.705],
+  [-20.11, 57.72], // Roches Noires
+  [-20.13, 57.75], // Poste Lafayette
+  [-20.16, 57.765],
+  [-20.19, 57.775], // Belle Mare
+  [-20.22, 57.785],
+  [-20.245, 57.785], // Trou d'Eau Douce
+  [-20.27, 57.79],
+  [-20.295, 57.78], // Grand River South East
+  [-20.32, 57.77],
+  [-20.34, 57.76], // Bambous Virieux
+  [-20.365, 57.735], // Vieux Grand Port
+  [-20.395, 57.72],
+  [-20.41, 57.71], // Mahébourg
+  [-20.43, 57.73], // Pointe d'Esny
+  [-20.445, 57.715], // Blue Bay
+  [-20.46, 57.69],
+  [-20.48, 57.64],
+  [-20.5, 57.58],
+  [-20.515, 57.55],
+  [-20.525, 57.525], // Gris Gris / Souillac
+  [-20.515, 57.49], // Riambel
+  [-20.51, 57.45],
+  [-20.505, 57.4], // Bel Ombre
+  [-20.49, 57.37], // Baie du Cap
+  [-20.475, 57.33],
+  [-20.46, 57.31], // Le Morne
+  [-20.445, 57.325],
+  [-20.43, 57.335], // La Gaulette
+  [-20.4, 57.345],
+  [-20.37, 57.36],
+  [-20.34, 57.365], // Tamarin
+  [-20.31, 57.36],
+  [-20.28, 57.36], // Flic en Flac
+  [-20.245, 57.38],
+  [-20.21, 57.4], // Albion
+  [-20.185, 57.43],
+  [-20.17, 57.46], // Pointe aux Sables
+  [-20.16, 57.49], // Port Louis
+  [-20.135, 57.5],
+  [-20.11, 57.5], // Baie du Tombeau
+  [-20.085, 57.51],
+  [-20.06, 57.52], // Balaclava
+  [-20.04, 57.54],
+  [-20.03, 57.55], // Trou aux Biches
+  [-20.015, 57.565],
+  [-20.005, 57.58], // Grand Baie
+  [-19.99, 57.59], // Pereybère
+];
@@ -0,0 +1,102 @@
+"use client";
+import {
+  Box,
+  Button,
+  IconButton,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  Typography,
+} from "@mui/material";
+import { Add, DeleteOutline } from "@mui/icons-material";
+import { useEffect, useState } from "react";
+
+function formatWhen(iso) {
+  const date = new Date(iso);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString([], { day: "numeric", month: "short" });
+}
+
+/**
+ * Past conversations from `/api/sessions`, most recent first. Clicking one
+ * calls `onSelect(id)`; "New chat" calls `onNew()`. The list reloads
+ * whenever `refreshKey` changes (e.g. after an answer is saved).
+ */
+function SessionSidebar({ activeId, refreshKey, onSelect, onNew, onDeleted }) {
+  const [sessions, setSessions] = useState([]);
+  const [status, setStatus] = useState("loading");
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch("/api/sessions")
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then((body) => {
+        if (cancelled) return;
+        setSessions(body.sessions);
+        setStatus("ready");
+      })
+      .catch((error) => {
+        console.error("Failed to load conversations:", error);
+        if (!cancelled) setStatus("error");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  const deleteSession = async (id) => {
+    const response = await fetch(`/api/sessions/${id}`, { method: "DELETE" });
+    if (!response.ok && response.status !== 404) {
+      console.error("Failed to delete conversation:", response.status);
+      return;
+    }
+    setSessions((current) => current.filter((s) => s.id !== id));
+    onDeleted?.(id);
+  };
+
+  return (
+    <Box sx={{ display: "flex", flexDirection: "column", height: "100%", overflowY: "auto" }}>
+      <Button startIcon={<Add />} variant="outlined" size="small" onClick={onNew} sx={{ marginBottom: 1 }}>
+        New chat
+      </Button>
+      {status === "error" && (
+        <Typography variant="caption" color="error">
+          Could not load conversations.
+        </Typography>
+      )}
+      {status === "ready" && sessions.length === 0 && (
+        <Typography variant="caption" color="text.secondary">
+          Your conversations will appear here.
+        </Typography>
+      )}
+      <List dense disablePadding>
+        {sessions.map((session) => (
+          <ListItem
+            key={session.id}
+            disablePadding
+            secondaryAction={
+              <IconButton edge="end" size="small" aria-label="Delete conversation" onClick={() => deleteSession(session.id)}>
+                <DeleteOutline fontSize="small" />
+              </IconButton>
+            }
+          >
+            <ListItemButton selected={session.id === activeId} onClick={() => onSelect(session.id)}>
+              <ListItemText
+                primary={session.title}
+                secondary={formatWhen(session.updated_at)}
+                primaryTypographyProps={{ noWrap: true }}
+              />
+            </ListItemButton>
+          </ListItem>
+        ))}
+      </List>
+    </Box>
+  );
+}
+export default SessionSidebar;
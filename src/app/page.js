@@ -8,16 +8,108 @@ import {
   TextField,
   IconButton,
   CircularProgress,
+  ToggleButton,
+  ToggleButtonGroup,
+  Chip,
 } from "@mui/material";
 import { KeyboardReturn } from "@mui/icons-material";
 import ChatContainer from "./component/chatContainer";
-import { useState } from "react";
+import MapPanel from "./component/mapPanel";
+import SessionSidebar from "./component/sessionSidebar";
+import { useEffect, useState } from "react";
 import Image from "next/image";
 
+// The open conversation survives a page refresh through this key
+const SESSION_STORAGE_KEY = "mauritius-chat-session";
+
+// Stored session messages in the shape ChatContainer renders
+function toChatMessage(message) {
+  return {
+    type: message.role,
+    message: message.content,
+    sources: message.sources || [],
+    template: message.template,
+    ...(message.error ? { error: "The answer was cut off" } : {}),
+  };
+}
+
+// { session, messages } for a stored conversation, or null if it's gone
+async function fetchSession(id) {
+  const response = await fetch(`/api/sessions/${id}`);
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+  return response.json();
+}
+
 export default function Home() {
   const [chatMessages, setChatMessages] = useState([]);
+  // Server-side conversation the messages belong to; null until the first answer
+  const [sessionId, setSessionId] = useState(null);
+  // Bumped after each saved turn so the sidebar reloads
+  const [sessionsVersion, setSessionsVersion] = useState(0);
   const [inputMessage, setInputMessage] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  // Prompt template mode sent with each request ("itinerary" | "quick-answer")
+  const [mode, setMode] = useState("itinerary");
+  // Attractions picked on the map, sent along as context until removed
+  const [selectedPlaces, setSelectedPlaces] = useState([]);
+  // Days of the latest plan_itinerary result ([{ day, stops }]), drawn on the map
+  const [itinerary, setItinerary] = useState(null);
+
+  const toggleSelectedPlace = (attraction) => {
+    setSelectedPlaces((places) =>
+      places.some((p) => p.id === attraction.id)
+        ? places.filter((p) => p.id !== attraction.id)
+        : [...places, { id: attraction.id, name: attraction.name }]
+    );
+  };
+
+  const openSession = (id) => {
+    setSessionId(id);
+    if (id) localStorage.setItem(SESSION_STORAGE_KEY, id);
+    else localStorage.removeItem(SESSION_STORAGE_KEY);
+  };
+
+  const startNewChat = () => {
+    openSession(null);
+    setChatMessages([]);
+    setItinerary(null);
+  };
+
+  const loadSession = async (id) => {
+    try {
+      const body = await fetchSession(id);
+      if (!body) {
+        startNewChat();
+        return;
+      }
+      setChatMessages(body.messages.map(toChatMessage));
+      setItinerary(null);
+      openSession(id);
+    } catch (error) {
+      console.error("Failed to load conversation:", error);
+    }
+  };
+
+  // Reopen the conversation from before the refresh, if any
+  useEffect(() => {
+    const saved = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (!saved) return;
+    fetchSession(saved)
+      .then((body) => {
+        if (!body) {
+          localStorage.removeItem(SESSION_STORAGE_KEY);
+          return;
+        }
+        setChatMessages(body.messages.map(toChatMessage));
+        setSessionId(saved);
+      })
+      .catch((error) => console.error("Failed to load conversation:", error));
+  }, []);
+
+  // Markers for the attractions cited in the latest answer
+  const latestAnswer = [...chatMessages].reverse().find((m) => m.type === "assistant");
+  const highlights = latestAnswer?.sources || [];
 
   const handleSendMessage = async () => {
     // Prevent sending empty messages or while loading
@@ -32,7 +124,7 @@ export default function Home() {
     setIsLoading(true);
 
     try {
-      // Send the chat history and new message to the API route
+      // The server keeps the history; only the session id is sent
       const response = await fetch("/api/agent", {
         method: "POST",
         headers: {
@@ -40,39 +132,66 @@ export default function Home() {
         },
         body: JSON.stringify({
           message: inputMessage,
-          history: [...chatMessages, userMessage], // Send the full history for context
+          ...(sessionId ? { sessionId } : {}),
+          template: mode,
+          selected: selectedPlaces.map((p) => p.id),
         }),
       });
 
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        // Errors come back as { error: { code, message } }
+        const body = await response.json().catch(() => null);
+        throw new Error(body?.error?.message || `HTTP error! status: ${response.status}`);
       }
 
-      // Read the streaming response from the server
+      // A first message starts a new session on the server
+      const responseSessionId = response.headers.get("X-Session-Id");
+      if (responseSessionId && responseSessionId !== sessionId) openSession(responseSessionId);
+
+      // The response is NDJSON: a `sources` event, `token` events, then `done`
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
-      let assistantMessage = { type: "assistant", message: "" };
+      let assistantMessage = {
+        type: "assistant",
+        message: "",
+        sources: [],
+        template: response.headers.get("X-Prompt-Template"),
+      };
 
       // Initialize the assistant message in the chat state
       setChatMessages((prevMessages) => [...prevMessages, assistantMessage]);
 
+      const applyEvent = (event) => {
+        if (event.type === "sources") {
+          assistantMessage = { ...assistantMessage, sources: event.sources };
+        } else if (event.type === "token") {
+          assistantMessage = { ...assistantMessage, message: assistantMessage.message + event.text };
+        } else if (event.type === "error") {
+          assistantMessage = { ...assistantMessage, error: event.error.message };
+        } else if (event.type === "done") {
+          assistantMessage = { ...assistantMessage, template: event.template };
+        } else if (event.type === "tool_result" && event.name === "plan_itinerary" && event.ok) {
+          setItinerary(event.result.days);
+        }
+      };
+
+      let buffered = "";
       while (true) {
         const { value, done } = await reader.read();
         if (done) break;
-        const chunk = decoder.decode(value, { stream: true });
-        assistantMessage.message += chunk;
+        buffered += decoder.decode(value, { stream: true });
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+        lines.filter(Boolean).forEach((line) => applyEvent(JSON.parse(line)));
 
         // Mutate the chatMessages state with the streaming chunks
         setChatMessages((prevMessages) => {
           const newMessages = [...prevMessages];
-          const lastMessageIndex = newMessages.length - 1;
-          newMessages[lastMessageIndex] = {
-            ...newMessages[lastMessageIndex],
-            message: assistantMessage.message,
-          };
+          newMessages[newMessages.length - 1] = assistantMessage;
           return newMessages;
         });
       }
+      setSessionsVersion((version) => version + 1);
     } catch (error) {
       console.error("Failed to fetch from chat API:", error);
       // Add a friendly error message to the chat
@@ -85,58 +204,106 @@ export default function Home() {
     }
   };
   return (
-   <Box
+    <Box
       sx={{
         display: "flex",
-        flexDirection: "column",
-        marginLeft: "18%",
-        marginRight: "17%",
+        gap: 3,
+        marginLeft: "5%",
+        marginRight: "5%",
         marginTop: "1%",
-        width: "auto",
         height: "83vh",
       }}
     >
-      <ChatContainer chatMessages={chatMessages} />
-      <div style={{ display: "flex", gap: "8px" }}>
-        <TextField
-          id="outlined-basic"
-          label="Enter your message here"
-          sx={{
-            width: "auto",
-            flexGrow: 1,
-          }}
-          multiline
-          maxRows={3}
-          value={inputMessage}
-          onChange={(e) => setInputMessage(e.target.value)}
-          disabled={isLoading}
-          onKeyPress={(e) => {
-            if (e.key === "Enter" && !e.shiftKey) {
-              e.preventDefault();
-              handleSendMessage();
-            }
-          }}
-        ></TextField>
-        <IconButton
-          sx={{
-            backgroundColor: "primary.main",
-            color: "white",
-            padding: "12px",
-            borderRadius: "25%",
-            "&:hover": {
-              backgroundColor: "primary.dark",
-            },
-          }}
-          onClick={handleSendMessage}
-          disabled={isLoading}
-        >
-          {isLoading ? (
-            <CircularProgress size={24} color="inherit" />
-          ) : (
-            <KeyboardReturn fontSize="large" />
-          )}
-        </IconButton>
-      </div>
+      {/* Past conversations, on wide screens only */}
+      <Box sx={{ width: "16%", minWidth: 180, display: { xs: "none", lg: "block" } }}>
+        <SessionSidebar
+          activeId={sessionId}
+          refreshKey={sessionsVersion}
+          onSelect={(id) => !isLoading && loadSession(id)}
+          onNew={() => !isLoading && startNewChat()}
+          onDeleted={(id) => id === sessionId && startNewChat()}
+        />
+      </Box>
+      <Box
+        sx={{
+          display: "flex",
+          flexDirection: "column",
+          flexGrow: 1,
+          minWidth: 0,
+        }}
+      >
+        <ChatContainer chatMessages={chatMessages} />
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1, flexWrap: "wrap", marginBottom: 1 }}>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={mode}
+            onChange={(e, value) => value && setMode(value)}
+          >
+            <ToggleButton value="itinerary">Plan a trip</ToggleButton>
+            <ToggleButton value="quick-answer">Quick answer</ToggleButton>
+          </ToggleButtonGroup>
+          {selectedPlaces.map((place) => (
+            <Chip
+              key={place.id}
+              label={place.name}
+              size="small"
+              color="warning"
+              variant="outlined"
+              onDelete={() => toggleSelectedPlace(place)}
+            />
+          ))}
+        </Box>
+        <div style={{ display: "flex", gap: "8px" }}>
+          <TextField
+            id="outlined-basic"
+            label="Enter your message here"
+            sx={{
+              width: "auto",
+              flexGrow: 1,
+            }}
+            multiline
+            maxRows={3}
+            value={inputMessage}
+            onChange={(e) => setInputMessage(e.target.value)}
+            disabled={isLoading}
+            onKeyPress={(e) => {
+              if (e.key === "Enter" && !e.shiftKey) {
+                e.preventDefault();
+                handleSendMessage();
+              }
+            }}
+          ></TextField>
+          <IconButton
+            sx={{
+              backgroundColor: "primary.main",
+              color: "white",
+              padding: "12px",
+              borderRadius: "25%",
+              "&:hover": {
+                backgroundColor: "primary.dark",
+              },
+            }}
+            onClick={handleSendMessage}
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <CircularProgress size={24} color="inherit" />
+            ) : (
+              <KeyboardReturn fontSize="large" />
+            )}
+          </IconButton>
+        </div>
+      </Box>
+      {/* Map sits beside the chat on wide screens only */}
+      <Box sx={{ width: "38%", display: { xs: "none", md: "block" } }}>
+        <MapPanel
+          highlights={highlights}
+          itinerary={itinerary}
+          selectedIds={selectedPlaces.map((p) => p.id)}
+          onToggleSelect={toggleSelectedPlace}
+        />
+      </Box>
     </Box>
   );
 }
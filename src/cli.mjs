@@ -0,0 +1,113 @@
+import dotenv from "dotenv";
+// quiet: the banner would end up in --json output
+dotenv.config({ quiet: true });
+
+import { parseArgs } from "util";
+import * as ask from "./cli/ask.mjs";
+import {
+  applySharedFlags,
+  CliError,
+  EXIT_FAILURE,
+  EXIT_OK,
+  EXIT_USAGE,
+  GLOBAL_OPTIONS,
+  GLOBAL_USAGE,
+  SHARED_OPTIONS,
+  SHARED_USAGE,
+  usageError,
+} from "./cli/common.mjs";
+import * as configCommand from "./cli/config.mjs";
+import * as evaluate from "./cli/eval.mjs";
+import * as ingest from "./cli/ingest.mjs";
+import * as search from "./cli/search.mjs";
+import * as stats from "./cli/stats.mjs";
+import * as validate from "./cli/validate.mjs";
+
+// One entry point for everything the app does outside the web server:
+//
+//   npm run cli -- ingest [--rebuild] [--docs-only]
+//   npm run cli -- search "quiet beach for snorkeling" --filter region=East --k 10
+//   npm run cli -- ask "Is Le Morne worth a visit?" --template quick-answer
+//   npm run cli -- eval retrieval|answers
+//   npm run cli -- stats --store local
+//   npm run cli -- validate
+//   npm run cli -- config --profile prod
+//
+// Settings come from src/lib/config.mjs; --profile, --config and the store
+// and embedder flags override it. Add --json for a single JSON document on
+// stdout (errors as { error: { code, message, details? } }, like the API);
+// see cli/common.mjs for the exit codes.
+
+const COMMANDS = { ingest, search, ask, eval: evaluate, stats, validate, config: configCommand };
+
+function commandUsage(name) {
+  const command = COMMANDS[name];
+  const options = [
+    command.usage,
+    ...command.shared.map((flag) => command.sharedUsage?.[flag] ?? SHARED_USAGE[flag]),
+    GLOBAL_USAGE,
+  ].filter(Boolean);
+  return [`Usage: npm run cli -- ${name} [options]`, `  ${command.summary}`, "", "Options:", ...options].join("\n");
+}
+
+function mainUsage() {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length)) + 2;
+  const commands = Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}${command.summary}`);
+  return ["Usage: npm run cli -- <command> [options]", "", "Commands:", ...commands, "", "Run a command with --help for its options."].join("\n");
+}
+
+function parseCommandArgs(name, args) {
+  const command = COMMANDS[name];
+  const shared = Object.fromEntries(command.shared.map((flag) => [flag, SHARED_OPTIONS[flag]]));
+  try {
+    return parseArgs({ args, options: { ...GLOBAL_OPTIONS, ...shared, ...command.options }, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+async function main() {
+  const [name, ...args] = process.argv.slice(2);
+  const json = args.includes("--json");
+
+  if (!name || name === "--help" || name === "-h" || name === "help") {
+    console.log(mainUsage());
+    return EXIT_OK;
+  }
+
+  try {
+    if (!COMMANDS[name]) throw usageError(`Unknown command "${name}" (expected one of: ${Object.keys(COMMANDS).join(", ")})`);
+    const { values, positionals } = parseCommandArgs(name, args);
+    if (values.help) {
+      console.log(commandUsage(name));
+      return EXIT_OK;
+    }
+    applySharedFlags(values);
+
+    // In --json mode stdout carries only the final document
+    const quiet = () => {};
+    const { exitCode = EXIT_OK, result } = await COMMANDS[name].run({
+      values,
+      positionals,
+      log: json ? quiet : console.log,
+      write: json ? quiet : (text) => process.stdout.write(text),
+    });
+    if (json) console.log(JSON.stringify(result, null, 2));
+    return exitCode;
+  } catch (error) {
+    const known = error instanceof CliError;
+    const code = known ? error.code : "INTERNAL_ERROR";
+    if (json) {
+      const details = known && error.details ? { details: error.details } : {};
+      console.log(JSON.stringify({ error: { code, message: error.message, ...details } }, null, 2));
+    } else if (known) {
+      console.error(`❌ ${error.message}`);
+      if (error.exitCode === EXIT_USAGE) console.error(COMMANDS[name] ? commandUsage(name) : mainUsage());
+    } else {
+      console.error("❌ Error:", error);
+    }
+    return known ? error.exitCode : EXIT_FAILURE;
+  }
+}
+
+process.exit(await main());
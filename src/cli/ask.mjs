@@ -0,0 +1,119 @@
+import { createExtractiveModel } from "../lib/answerEval.mjs";
+import { createChatHandler } from "../lib/chat.mjs";
+import { retrieveTopK } from "../lib/retrieval.mjs";
+import { createMemorySessionStore } from "../lib/sessions.mjs";
+import { getAgentTools } from "../lib/tools.mjs";
+import {
+  CliError,
+  EXIT_FAILURE,
+  EXIT_OK,
+  EXIT_UNAVAILABLE,
+  EXIT_USAGE,
+  openEmbedder,
+  openStore,
+  parseFilter,
+  parseK,
+  requireReady,
+  usageError,
+} from "./common.mjs";
+
+// A full RAG answer from the terminal: the same handler as POST /api/agent,
+// with the conversation kept in memory for this one question.
+
+const MODELS = ["gemini", "extractive"];
+
+// Handler error codes that mean the environment, not the answer, is broken
+const UNAVAILABLE_CODES = new Set(["CONFIG_ERROR", "RETRIEVAL_FAILED", "STORAGE_FAILED"]);
+
+export const summary = "answer a question with retrieved sources (like /api/agent)";
+export const shared = ["store", "embedder", "collection", "k", "filter", "json"];
+export const options = {
+  template: { type: "string" },
+  model: { type: "string", default: "gemini" },
+  "no-tools": { type: "boolean", default: false },
+};
+export const usage = `  <question>              what to ask
+  --template <id|mode>    prompt template, e.g. quick-answer or itinerary@v2 (default PROMPT_TEMPLATE)
+  --model <name>          ${MODELS.join(" | ")} (default gemini; extractive answers offline from the sources)
+  --no-tools              answer from retrieved sources only`;
+
+async function* readEvents(response) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) yield JSON.parse(line);
+    }
+  }
+  if (buffer.trim()) yield JSON.parse(buffer);
+}
+
+export async function run({ values, positionals, log, write }) {
+  const question = positionals.join(" ").trim();
+  if (!question) throw usageError("ask needs a question");
+  if (!MODELS.includes(values.model)) throw usageError(`--model must be one of: ${MODELS.join(", ")}`);
+  const k = parseK(values.k);
+  const filter = parseFilter(values.filter);
+
+  const store = openStore();
+  await requireReady({ store, embedder: openEmbedder() });
+
+  const extractive = values.model === "extractive";
+  const handler = createChatHandler({
+    ...(extractive ? { createModel: () => createExtractiveModel() } : {}),
+    retrieve: (query, _k, options) => retrieveTopK(query, k, { ...options, filter, store }),
+    sessions: createMemorySessionStore(),
+    // The extractive stand-in never calls tools
+    tools: extractive || values["no-tools"] ? [] : getAgentTools(),
+  });
+  const response = await handler(
+    new Request("http://localhost/api/agent", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ message: question, ...(values.template ? { template: values.template } : {}) }),
+    })
+  );
+  if (!response.ok) {
+    const { error } = await response.json();
+    const exitCode =
+      error.code === "VALIDATION_FAILED" ? EXIT_USAGE : UNAVAILABLE_CODES.has(error.code) ? EXIT_UNAVAILABLE : EXIT_FAILURE;
+    throw new CliError(exitCode, error.code, error.message, error.details);
+  }
+
+  let answer = "";
+  let sources = [];
+  let template = null;
+  let failure = null;
+  const toolCalls = [];
+  for await (const event of readEvents(response)) {
+    if (event.type === "sources") sources = event.sources;
+    else if (event.type === "token") {
+      answer += event.text;
+      write(event.text);
+    } else if (event.type === "tool_call") {
+      toolCalls.push({ name: event.name, args: event.args });
+      log(`🔧 ${event.name}(${JSON.stringify(event.args)})`);
+    } else if (event.type === "error") {
+      failure = event.error;
+    } else if (event.type === "done") {
+      template = event.template;
+    }
+  }
+
+  log("");
+  if (failure) log(`\n❌ ${failure.message}`);
+  if (sources.length) {
+    log("\n📚 Sources:");
+    for (const source of sources) log(`  [${source.n}] ${source.title}${source.section ? ` (${source.section})` : ""}`);
+  }
+  if (template) log(`\n🧩 ${template}, ${values.model} model`);
+
+  return {
+    exitCode: failure ? EXIT_FAILURE : EXIT_OK,
+    result: { question, answer, sources, tool_calls: toolCalls, template, model: values.model, error: failure },
+  };
+}
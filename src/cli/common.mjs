@@ -0,0 +1,120 @@
+import { ConfigError, getConfig, reloadConfig } from "../lib/config.mjs";
+import { getEmbeddingProvider } from "../lib/embeddings.mjs";
+import { parseFilterArgs } from "../lib/filters.mjs";
+import { checkStartup } from "../lib/startup.mjs";
+import { getVectorStore } from "../lib/vectorStore.mjs";
+
+// Pieces shared by the `npm run cli` subcommands (see src/cli.mjs).
+
+// Exit codes, so scripts can tell a bad invocation from a broken environment
+export const EXIT_OK = 0;
+// The command ran and found a problem: invalid records, failed chunks, a model error
+export const EXIT_FAILURE = 1;
+// Unknown command or flag, or a flag value that doesn't parse
+export const EXIT_USAGE = 2;
+// Missing configuration, an unreachable store, or a collection that isn't there
+export const EXIT_UNAVAILABLE = 3;
+
+// Flags every command accepts
+export const GLOBAL_OPTIONS = {
+  profile: { type: "string" },
+  config: { type: "string" },
+  help: { type: "boolean", default: false },
+};
+
+export const GLOBAL_USAGE = `  --profile <name>        dev | test | prod (default APP_ENV, else from NODE_ENV)
+  --config <file>         config file (default CONFIG_FILE or mauritius.config.json)`;
+
+// Flags shared by several commands; each command lists the ones it uses
+export const SHARED_OPTIONS = {
+  store: { type: "string" },
+  embedder: { type: "string" },
+  collection: { type: "string" },
+  k: { type: "string" },
+  filter: { type: "string", multiple: true },
+  json: { type: "boolean", default: false },
+};
+
+export const SHARED_USAGE = {
+  store: "  --store <backend>       qdrant | local | memory (default VECTOR_STORE or qdrant)",
+  embedder: "  --embedder <provider>   gemini | local (default EMBEDDING_PROVIDER or gemini)",
+  collection: "  --collection <name>     collection name (default QDRANT_COLLECTION_NAME or mauritius_knowledge)",
+  k: "  --k <n>                 number of results (default retrieval.k in the config, 5)",
+  filter: "  --filter <key=value>    e.g. region=East, tags=snorkeling,hiking, fee_required=false,\n                          min_rating=4, near=<lat>,<lng>,<km> or a JSON object (repeatable)",
+  json: "  --json                  print one JSON document instead of the human-readable output",
+};
+
+export class CliError extends Error {
+  constructor(exitCode, code, message, details) {
+    super(message);
+    this.exitCode = exitCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export function usageError(message) {
+  return new CliError(EXIT_USAGE, "USAGE_ERROR", message);
+}
+
+/**
+ * Flags override the matching environment variables, the top layer of the
+ * config (src/lib/config.mjs), so everything the command touches (including
+ * the agent's tools) reads the same store and embedder. Reloads the config
+ * here so the flags take effect and an invalid one fails before the command
+ * starts.
+ */
+export function applySharedFlags(values) {
+  if (values.profile) process.env.APP_ENV = values.profile.toLowerCase();
+  if (values.config) process.env.CONFIG_FILE = values.config;
+  if (values.store) process.env.VECTOR_STORE = values.store.toLowerCase();
+  if (values.collection) process.env.QDRANT_COLLECTION_NAME = values.collection;
+  if (values.embedder) process.env.EMBEDDING_PROVIDER = values.embedder.toLowerCase();
+  try {
+    return reloadConfig();
+  } catch (error) {
+    if (error instanceof ConfigError) throw new CliError(EXIT_UNAVAILABLE, "CONFIG_ERROR", error.message, error.problems);
+    throw error;
+  }
+}
+
+export function parseK(value, fallback = getConfig().retrieval.k) {
+  if (value === undefined) return fallback;
+  const k = Number(value);
+  if (!Number.isInteger(k) || k <= 0) throw usageError("--k must be a positive integer");
+  return k;
+}
+
+export function parseFilter(specs) {
+  try {
+    return parseFilterArgs(specs);
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+export function openStore(options) {
+  try {
+    return getVectorStore(options);
+  } catch (error) {
+    throw new CliError(EXIT_UNAVAILABLE, "CONFIG_ERROR", error.message);
+  }
+}
+
+export function openEmbedder(options) {
+  try {
+    return getEmbeddingProvider(options);
+  } catch (error) {
+    throw new CliError(EXIT_UNAVAILABLE, "CONFIG_ERROR", error.message);
+  }
+}
+
+/**
+ * Run the startup checks (src/lib/startup.mjs) for `store` and `embedder`,
+ * failing with EXIT_UNAVAILABLE on the first problem. `collection` is as
+ * for checkStartup.
+ */
+export async function requireReady({ store, embedder, collection = "required" }) {
+  const [problem] = await checkStartup({ store, embedder, collection });
+  if (problem) throw new CliError(EXIT_UNAVAILABLE, problem.code, problem.message);
+}
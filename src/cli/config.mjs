@@ -0,0 +1,35 @@
+import { describeConfig, getConfig } from "../lib/config.mjs";
+import { checkStartup } from "../lib/startup.mjs";
+import { EXIT_OK, EXIT_UNAVAILABLE, openStore } from "./common.mjs";
+
+// The resolved configuration (secrets masked) and the startup checks the
+// server runs, so a deployment can be checked before it starts.
+
+export const summary = "print the resolved configuration and run the startup checks";
+export const shared = ["store", "embedder", "collection", "json"];
+export const options = {};
+export const usage = "";
+
+function flatten(object, prefix = "") {
+  return Object.entries(object).flatMap(([key, value]) =>
+    value && typeof value === "object" ? flatten(value, `${prefix}${key}.`) : [[`${prefix}${key}`, value]]
+  );
+}
+
+export async function run({ log }) {
+  const config = getConfig();
+  const problems = await checkStartup({ config, store: openStore() });
+
+  log(`⚙️ Profile ${config.profile}${config.file ? `, config file ${config.file}` : ", no config file"}`);
+  for (const [key, value] of flatten(describeConfig(config)).filter(([key]) => key.includes("."))) {
+    log(`   ${key.padEnd(28)} ${value === null ? "–" : value}`);
+  }
+  log("");
+  for (const problem of problems) log(`❌ ${problem.message}`);
+  if (!problems.length) log("✅ Startup checks passed");
+
+  return {
+    exitCode: problems.length ? EXIT_UNAVAILABLE : EXIT_OK,
+    result: { config: describeConfig(config), problems },
+  };
+}
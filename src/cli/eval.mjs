@@ -0,0 +1,240 @@
+import fs from "fs";
+import {
+  createExtractiveModel,
+  evaluateAnswers,
+  formatAnswerReport,
+  getJudge,
+  loadAnswerSet,
+  saveAnswerReport,
+} from "../lib/answerEval.mjs";
+import { getPromptTemplate, PROMPT_TEMPLATES } from "../lib/prompts.mjs";
+import {
+  buildEvalIndex,
+  compareEvalResults,
+  evaluateRetrieval,
+  loadGoldenSet,
+  resolveRetrievalConfig,
+  RETRIEVAL_CONFIGS,
+  saveEvalResults,
+} from "../lib/retrievalEval.mjs";
+import { getAgentTools } from "../lib/tools.mjs";
+import { parseK, usageError } from "./common.mjs";
+
+// Offline evaluation against the sets in eval/golden/:
+//
+//   eval retrieval                                 every named config, local embedder
+//   eval retrieval --config hybrid --chunk-size 300 --k 10
+//   eval answers                                   extractive model, overlap judge
+//   eval answers --model gemini --template all --judge llm
+//
+// Both build their own in-memory index, so --store and --collection don't
+// apply. Each run is saved under eval/results/ so later runs can be compared
+// with --baseline.
+
+const KINDS = ["retrieval", "answers"];
+const MODELS = ["extractive", "gemini"];
+
+export const summary = "score retrieval or answers against the golden sets";
+export const shared = ["embedder", "k", "json"];
+// The index is built here, so the embedder doesn't follow EMBEDDING_PROVIDER
+export const sharedUsage = {
+  embedder: "  --embedder <provider>   local | gemini (default local)",
+  k: "  --k <n>                 results per question, retrieval only (default 5)",
+};
+export const options = {
+  golden: { type: "string" },
+  config: { type: "string", multiple: true },
+  "chunk-size": { type: "string" },
+  "dense-weight": { type: "string" },
+  "lexical-weight": { type: "string" },
+  reranker: { type: "string" },
+  verbose: { type: "boolean", default: false },
+  set: { type: "string" },
+  template: { type: "string", multiple: true },
+  model: { type: "string" },
+  judge: { type: "string" },
+  out: { type: "string" },
+  baseline: { type: "string" },
+};
+export const usage = `  retrieval | answers     what to evaluate
+  --chunk-size <chars>    chunker size (default 500)
+  --out <dir>             where results are saved (default eval/results)
+  --baseline <file>       earlier results to compare against
+ retrieval:
+  --golden <file>         golden set (default eval/golden/retrieval-v1.json)
+  --config <name>         ${Object.keys(RETRIEVAL_CONFIGS).join(" | ")} (repeatable; default all)
+  --dense-weight <w>      hybrid fusion weights
+  --lexical-weight <w>
+  --reranker <name>       heuristic | llm | none (overrides the config's)
+  --verbose               print every question, not just the misses
+ answers:
+  --set <file>            question set (default eval/golden/answers-v1.json)
+  --template <id|mode>    prompt template, or "all" (repeatable; default PROMPT_TEMPLATE or itinerary)
+  --model <name>          ${MODELS.join(" | ")} (default extractive, offline)
+  --judge <name>          overlap | llm (default overlap, offline)`;
+
+const ONLY = {
+  retrieval: ["golden", "config", "dense-weight", "lexical-weight", "reranker", "verbose"],
+  answers: ["set", "template", "model", "judge"],
+};
+
+function positiveNumber(values, flag) {
+  if (values[flag] === undefined) return undefined;
+  const value = Number(values[flag]);
+  if (!Number.isFinite(value) || value <= 0) throw usageError(`--${flag} must be a positive number`);
+  return value;
+}
+
+// Flags shared by both kinds: the chunker and embedder the index is built with
+function indexOverrides(values) {
+  const overrides = {};
+  if (values["chunk-size"]) overrides.chunkSize = positiveNumber(values, "chunk-size");
+  if (values.embedder) overrides.embedder = values.embedder.toLowerCase();
+  return overrides;
+}
+
+function compareWithBaseline(file, results, log) {
+  let baseline;
+  let changes;
+  try {
+    baseline = JSON.parse(fs.readFileSync(file, "utf-8"));
+    changes = compareEvalResults(baseline, results);
+  } catch (error) {
+    throw usageError(`--baseline ${file}: ${error.message}`);
+  }
+  log(`\n📈 Compared with ${file} (${baseline.created_at})`);
+  for (const change of changes) {
+    const sign = change.delta > 0 ? "+" : "";
+    log(`   ${change.config} ${change.metric}: ${change.before} → ${change.after} (${sign}${change.delta})`);
+  }
+  return changes;
+}
+
+function describeConfig(config) {
+  const rerank = config.rerank ? config.rerank.reranker : "none";
+  const weights =
+    config.hybrid.denseWeight !== undefined || config.hybrid.lexicalWeight !== undefined
+      ? `, weights ${config.hybrid.denseWeight ?? 1}/${config.hybrid.lexicalWeight ?? 1}`
+      : "";
+  return `${config.embedder} embedder, ${config.chunkSize}-char chunks, ${config.hybrid.mode}${weights}, rerank ${rerank}`;
+}
+
+async function evalRetrieval(values, log) {
+  const k = parseK(values.k);
+  const overrides = indexOverrides(values);
+  const hybrid = {};
+  if (values["dense-weight"]) hybrid.denseWeight = positiveNumber(values, "dense-weight");
+  if (values["lexical-weight"]) hybrid.lexicalWeight = positiveNumber(values, "lexical-weight");
+  if (Object.keys(hybrid).length) overrides.hybrid = hybrid;
+  if (values.reranker) overrides.rerank = values.reranker === "none" ? false : { reranker: values.reranker };
+
+  let configs;
+  let golden;
+  try {
+    configs = (values.config || Object.keys(RETRIEVAL_CONFIGS)).map((name) => resolveRetrievalConfig(name, overrides));
+    golden = loadGoldenSet(values.golden);
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  log(`📋 Golden set ${golden.version}: ${golden.questions.length} questions, k=${k}`);
+  const runs = [];
+  for (const config of configs) {
+    const run = await evaluateRetrieval(golden, config, { k });
+    runs.push(run);
+    const { recall, mrr, ndcg } = run.metrics;
+    log(`\n🧪 ${config.name} (${describeConfig(config)}, ${run.chunks} chunks)`);
+    log(`   recall@${k} ${recall.toFixed(3)} · MRR ${mrr.toFixed(3)} · nDCG@${k} ${ndcg.toFixed(3)}`);
+    for (const q of run.questions) {
+      if (!values.verbose && q.rr > 0) continue;
+      const mark = q.rr === 0 ? "❌" : q.recall < 1 ? "⚠️" : "✅";
+      log(`   ${mark} ${q.id}: recall ${q.recall.toFixed(2)}, RR ${q.rr.toFixed(2)} — got ${q.retrieved.slice(0, 3).join(", ")}`);
+    }
+  }
+
+  return {
+    golden: { version: golden.version, file: golden.file, questions: golden.questions.length },
+    k,
+    created_at: new Date().toISOString(),
+    runs,
+  };
+}
+
+function formatAnswerMetrics({ groundedness, correctness, refusal }) {
+  const show = (value) => (value === null ? "–" : value.toFixed(3));
+  return `groundedness ${show(groundedness)} · correctness ${show(correctness)} · refusal ${show(refusal)}`;
+}
+
+async function evalAnswers(values, log) {
+  const model = values.model || "extractive";
+  if (!MODELS.includes(model)) throw usageError(`--model must be one of: ${MODELS.join(", ")}`);
+
+  let templates;
+  let judge;
+  let set;
+  // Answers are retrieved the way the chat route does it: hybrid + rerank
+  let retrieval;
+  try {
+    const names = values.template || [undefined];
+    templates = names.includes("all")
+      ? Object.keys(PROMPT_TEMPLATES)
+      : [...new Set(names.map((name) => getPromptTemplate(name).id))];
+    judge = getJudge(values.judge);
+    set = loadAnswerSet(values.set);
+    retrieval = resolveRetrievalConfig("hybrid+rerank", indexOverrides(values));
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const index = await buildEvalIndex(retrieval);
+  log(`📋 Question set ${set.version}: ${set.questions.length} questions`);
+  log(`🤖 Model ${model}, judge ${judge.name}, ${index.chunks} chunks (${retrieval.embedder} embedder)`);
+
+  // The extractive stand-in never calls tools; Gemini gets the configured ones
+  const modelOptions = model === "extractive" ? { createModel: () => createExtractiveModel(), tools: [] } : { tools: getAgentTools() };
+
+  const runs = [];
+  const dir = values.out ? { dir: values.out } : {};
+  for (const template of templates) {
+    const run = await evaluateAnswers(set, { template, judge, modelName: model, index, ...modelOptions });
+    runs.push(run);
+    const report = saveAnswerReport(set, run, formatAnswerReport(set, run), dir);
+    log(`\n🧪 ${template}: ${formatAnswerMetrics(run.metrics)}`);
+    for (const q of run.questions.filter((q) => !q.refusal_ok || q.unsupported.length || q.correctness === 0)) {
+      const problems = [
+        !q.refusal_ok && (q.refused ? "refused" : "should have declined"),
+        q.unsupported.length && `${q.unsupported.length} unsupported claim(s)`,
+        q.correctness === 0 && "no expected facts",
+        q.error,
+      ].filter(Boolean);
+      log(`   ❌ ${q.id}: ${problems.join(", ")}`);
+    }
+    log(`   📝 ${report}`);
+  }
+
+  return {
+    golden: { version: set.version, file: set.file, questions: set.questions.length },
+    model,
+    judge: judge.name,
+    retrieval,
+    created_at: new Date().toISOString(),
+    runs,
+  };
+}
+
+export async function run({ values, positionals, log }) {
+  const [kind, ...rest] = positionals;
+  if (!KINDS.includes(kind)) throw usageError(`eval needs one of: ${KINDS.join(", ")}`);
+  if (rest.length) throw usageError(`Unexpected argument "${rest[0]}"`);
+  const other = KINDS.find((k) => k !== kind);
+  const misplaced = ONLY[other].find((flag) => values[flag] !== undefined && values[flag] !== false);
+  if (misplaced) throw usageError(`--${misplaced} only applies to eval ${other}`);
+  if (kind === "answers" && values.k) throw usageError("--k only applies to eval retrieval");
+
+  const results = kind === "retrieval" ? await evalRetrieval(values, log) : await evalAnswers(values, log);
+  const file = saveEvalResults(results, values.out ? { dir: values.out } : {});
+  log(`\n💾 Saved ${file}`);
+  const changes = values.baseline ? compareWithBaseline(values.baseline, results, log) : undefined;
+
+  return { result: { ...results, file, ...(changes ? { baseline: { file: values.baseline, changes } } : {}) } };
+}
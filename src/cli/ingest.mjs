@@ -0,0 +1,113 @@
+import { formatIssues, hasErrors, loadDataset, TRAVEL_DOCS_FILE } from "../lib/dataset.mjs";
+import {
+  attractionChunks,
+  checkpointFile,
+  formatFailures,
+  formatIngestReport,
+  readCheckpoint,
+  syncChunks,
+  travelDocChunks,
+  writeCheckpoint,
+} from "../lib/ingest.mjs";
+import {
+  CliError,
+  EXIT_FAILURE,
+  EXIT_OK,
+  EXIT_UNAVAILABLE,
+  openEmbedder,
+  openStore,
+  requireReady,
+  usageError,
+} from "./common.mjs";
+
+// Validate the dataset and sync its chunks into the configured store. Only
+// new or changed chunks are embedded; see syncChunks. Progress is
+// checkpointed under the cache dir, so rerunning an interrupted ingest (even
+// a --rebuild) picks up where it stopped.
+
+export const summary = "embed the dataset into the vector store";
+export const shared = ["store", "embedder", "collection", "json"];
+export const options = {
+  rebuild: { type: "boolean", default: false },
+  "docs-only": { type: "boolean", default: false },
+};
+export const usage = `  --rebuild               drop the collection first (needed after switching embedders);
+                          an interrupted rebuild resumes instead of starting over
+  --docs-only             only sync travel docs; attraction chunks already stored stay put
+                          (not with --rebuild, which drops them)`;
+
+export async function run({ values, log }) {
+  if (values.rebuild && values["docs-only"]) {
+    throw usageError("--rebuild drops the whole collection, attractions included; run it without --docs-only");
+  }
+  const embedder = openEmbedder();
+  const store = openStore();
+  log(`🧮 Embedding with ${embedder.provider} (${embedder.model}, ${embedder.dimension} dims)`);
+  if (embedder.cache) log(`♻️ Embedding cache: ${embedder.cache.backend} at ${embedder.cache.location}`);
+  log(`🗄️ Writing to ${store.backend} store at ${store.location}`);
+  await requireReady({ store, embedder, collection: values.rebuild ? "replace" : "optional" });
+
+  // Validate and normalise before embedding anything
+  const { attractions, travelDocs, issues, merges } = loadDataset();
+  if (issues.length > 0) log(formatIssues(issues));
+  if (hasErrors(issues)) {
+    throw new CliError(EXIT_FAILURE, "VALIDATION_FAILED", "Dataset validation failed; fix the records above (see: npm run validate)", issues);
+  }
+  for (const merge of merges) {
+    log(`🔗 Merged ${merge.merged_id} (${merge.merged_from}) into ${merge.id} by ${merge.reason}`);
+  }
+
+  const docsOnly = values["docs-only"];
+  const chunks = docsOnly ? travelDocChunks(travelDocs) : [...travelDocChunks(travelDocs), ...attractionChunks(attractions)];
+
+  // Memory collections don't outlive the process, so there is nothing to resume
+  const checkpoint = store.backend === "memory" ? null : checkpointFile(store);
+  let report;
+  try {
+    if (values.rebuild) {
+      const previous = readCheckpoint(checkpoint, { store, embedder });
+      if (previous?.rebuild) {
+        log(`⏯️ Resuming the --rebuild started ${previous.startedAt}; keeping collection ${store.collection}`);
+      } else {
+        if (await store.exists()) {
+          log(`🔄 --rebuild: deleting collection ${store.collection}...`);
+          await store.deleteCollection();
+        }
+        if (checkpoint) {
+          writeCheckpoint(checkpoint, { store, embedder }, { rebuild: true, startedAt: new Date().toISOString(), stored: 0 });
+        }
+      }
+    }
+    // A full ingest owns the whole collection, so anything not produced above
+    // is stale; --docs-only only owns the travel_docs points.
+    report = await syncChunks({
+      store,
+      embedder,
+      chunks,
+      scope: docsOnly ? { source_file: TRAVEL_DOCS_FILE } : undefined,
+      checkpoint,
+      log,
+    });
+  } catch (error) {
+    throw new CliError(EXIT_UNAVAILABLE, "STORAGE_FAILED", error.message);
+  }
+
+  log(`🎯 Synced ${chunks.length} chunks into ${store.backend} collection: ${store.collection}`);
+  log(`📊 ${formatIngestReport(report)}`);
+  if (report.failed) {
+    log(`\n❌ ${report.failed} chunks failed:\n${formatFailures(report.failures)}`);
+    if (checkpoint) log(`Rerun the same command to retry them (checkpoint: ${checkpoint})`);
+  }
+  if (store.backend === "qdrant") log(`🌐 You can view your data at: ${store.location}dashboard`);
+
+  return {
+    exitCode: report.failed ? EXIT_FAILURE : EXIT_OK,
+    result: {
+      store: { backend: store.backend, location: store.location, collection: store.collection },
+      embedder: { provider: embedder.provider, model: embedder.model, dimension: embedder.dimension },
+      chunks: chunks.length,
+      merges: merges.length,
+      ...report,
+    },
+  };
+}
@@ -0,0 +1,112 @@
+import { geocode } from "../lib/gazetteer.mjs";
+import { findNearby, retrieveTopK } from "../lib/retrieval.mjs";
+import { CliError, EXIT_UNAVAILABLE, openEmbedder, openStore, parseFilter, parseK, requireReady, usageError } from "./common.mjs";
+
+// Retrieval only: the chunks /api/agent would put in front of the model, or
+// with --near the attractions closest to a place.
+
+const MODES = ["hybrid", "dense", "lexical"];
+const RERANKERS = ["heuristic", "llm", "none"];
+
+export const summary = "show the top-k chunks for a query, or the attractions nearest a place";
+export const shared = ["store", "embedder", "collection", "k", "filter", "json"];
+export const options = {
+  mode: { type: "string" },
+  reranker: { type: "string" },
+  near: { type: "string" },
+  radius: { type: "string" },
+};
+export const usage = `  <query>                 the text to search for
+  --mode <mode>           ${MODES.join(" | ")} (default RETRIEVAL_MODE or hybrid)
+  --reranker <name>       ${RERANKERS.join(" | ")} (default RERANKER or heuristic)
+  --near <place>          instead of a query: the nearest attractions to a town,
+                          attraction or "lat,lng"
+  --radius <km>           with --near, only attractions within this distance`;
+
+// "-20.01,57.58" or a place name -> { name, latitude, longitude }
+function parseNear(value) {
+  const coordinates = value.split(",").map((v) => Number(v.trim()));
+  if (coordinates.length === 2 && coordinates.every(Number.isFinite)) {
+    return { name: value.trim(), latitude: coordinates[0], longitude: coordinates[1] };
+  }
+  const place = geocode(value);
+  if (!place) throw usageError(`--near: unknown place "${value}"`);
+  return { name: place.name, latitude: place.latitude, longitude: place.longitude };
+}
+
+async function runNearby({ values, query, log }) {
+  // A query already anchors on places it names ("beaches within 10 km of Grand Baie")
+  if (query) throw usageError(`--near replaces the query; search for "${query} near ${values.near}" instead`);
+  const point = parseNear(values.near);
+  let radiusKm;
+  if (values.radius !== undefined) {
+    radiusKm = Number(values.radius);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0) throw usageError("--radius must be a positive number");
+  }
+  const k = parseK(values.k);
+  const filter = parseFilter(values.filter);
+
+  const store = openStore();
+  // Nothing is embedded, so no embedder is needed
+  await requireReady({ store, embedder: null });
+  log(`🗄️ ${store.backend} store, collection ${store.collection}`);
+  log(`📍 Nearest to ${point.name}${radiusKm ? ` within ${radiusKm} km` : ""}${filter ? ` with ${JSON.stringify(filter)}` : ""}`);
+
+  let hits;
+  try {
+    hits = await findNearby(point, { limit: k, radiusKm, filter, store });
+  } catch (error) {
+    throw new CliError(EXIT_UNAVAILABLE, "RETRIEVAL_FAILED", error.message);
+  }
+
+  if (hits.length === 0) log("No results found.");
+  hits.forEach((hit, i) => {
+    log(`\n${i + 1}. ${hit.title || "Untitled"} (${hit.region || "unknown region"}) · ${hit.distanceKm} km`);
+  });
+
+  return { result: { near: point, radius_km: radiusKm ?? null, k, filter: filter ?? null, hits } };
+}
+
+export async function run({ values, positionals, log }) {
+  const query = positionals.join(" ").trim();
+  if (values.near !== undefined) return runNearby({ values, query, log });
+  if (values.radius !== undefined) throw usageError("--radius needs --near");
+  if (!query) throw usageError("search needs a query or --near");
+  if (values.mode && !MODES.includes(values.mode)) throw usageError(`--mode must be one of: ${MODES.join(", ")}`);
+  if (values.reranker && !RERANKERS.includes(values.reranker)) {
+    throw usageError(`--reranker must be one of: ${RERANKERS.join(", ")}`);
+  }
+  const k = parseK(values.k);
+  const filter = parseFilter(values.filter);
+
+  const store = openStore();
+  // Lexical search never embeds, so it works without an embedding key
+  const embedder = values.mode === "lexical" ? null : openEmbedder();
+  await requireReady({ store, embedder });
+  log(`🗄️ ${store.backend} store, collection ${store.collection}`);
+  log(`🔍 Searching for: "${query}"${filter ? ` with ${JSON.stringify(filter)}` : ""}`);
+
+  let hits;
+  try {
+    hits = await retrieveTopK(query, k, {
+      filter,
+      hybrid: values.mode ? { mode: values.mode } : undefined,
+      rerank: values.reranker ? { reranker: values.reranker } : undefined,
+      store,
+      embedder: embedder ?? undefined,
+    });
+  } catch (error) {
+    throw new CliError(EXIT_UNAVAILABLE, "RETRIEVAL_FAILED", error.message);
+  }
+
+  if (hits.length === 0) log("No results found.");
+  hits.forEach((hit, i) => {
+    const scores = `dense ${hit.scores?.dense?.toFixed(3) ?? "–"}, lexical ${hit.scores?.lexical?.toFixed(3) ?? "–"}`;
+    const distance = hit.distanceKm !== undefined ? ` · ${hit.distanceKm} km from ${hit.distanceFrom}` : "";
+    log(`\n${i + 1}. ${hit.title || "Untitled"} (${hit.type || "unknown"}${hit.region ? `, ${hit.region}` : ""}${distance})`);
+    log(`   📊 ${hit.score.toFixed(4)} (${scores}) · 📁 ${hit.sourceFile || "unknown"} chunk ${hit.chunkIndex ?? "?"}`);
+    log(`   ${(hit.content || "").replace(/\s+/g, " ").trim()}`);
+  });
+
+  return { result: { query, k, filter: filter ?? null, hits } };
+}
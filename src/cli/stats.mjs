@@ -0,0 +1,74 @@
+import { getConfig } from "../lib/config.mjs";
+import { getDataset } from "../lib/dataset.mjs";
+import { CliError, EXIT_OK, EXIT_UNAVAILABLE, openStore } from "./common.mjs";
+
+// What is in the collection, broken down by chunk type, source file and the
+// embedder that produced each vector.
+
+export const summary = "describe the collection and what it holds";
+export const shared = ["store", "embedder", "collection", "json"];
+export const options = {};
+export const usage = "";
+
+function tally(points, field) {
+  const counts = {};
+  for (const point of points) {
+    const value = point.payload[field] ?? "unknown";
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+}
+
+function formatTally(counts) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([value, count]) => `${value} ${count}`)
+    .join(" · ");
+}
+
+export async function run({ log }) {
+  const store = openStore();
+  const { attractions, travelDocs } = getDataset();
+  const { provider } = getConfig().embeddings;
+
+  let info;
+  let points = [];
+  try {
+    info = (await store.exists()) ? await store.getCollectionInfo() : null;
+    if (info) points = await store.scroll();
+  } catch (error) {
+    throw new CliError(EXIT_UNAVAILABLE, "RETRIEVAL_FAILED", `Could not reach the ${store.backend} store: ${error.message}`);
+  }
+
+  const result = {
+    store: { backend: store.backend, location: store.location, collection: store.collection },
+    exists: Boolean(info),
+    vector_size: info?.size ?? null,
+    distance: info?.distance ?? null,
+    points: points.length,
+    by_type: tally(points, "type"),
+    by_source_file: tally(points, "source_file"),
+    by_embedding_provider: tally(points, "embedding_provider"),
+    dataset: { attractions: attractions.length, travel_docs: travelDocs.length },
+  };
+
+  log(`🗄️ ${store.backend} store at ${store.location}`);
+  log(`📚 Collection: ${store.collection}`);
+  if (!info) {
+    log("❗ Collection does not exist; run: npm run cli -- ingest");
+  } else {
+    log(`📐 ${info.size ?? "?"}-dim vectors, ${info.distance ?? "?"} distance`);
+    log(`📦 ${points.length} points`);
+    if (points.length) {
+      log(`   by type: ${formatTally(result.by_type)}`);
+      log(`   by source: ${formatTally(result.by_source_file)}`);
+      log(`   by embedder: ${formatTally(result.by_embedding_provider)}`);
+    }
+    // Vectors from another provider live in a different space; searching them is meaningless
+    const stale = points.length - (result.by_embedding_provider[provider] || 0);
+    if (stale) log(`⚠️ ${stale} points were not embedded by "${provider}"; re-run: npm run cli -- ingest --rebuild`);
+  }
+  log(`📄 Dataset: ${attractions.length} attractions, ${travelDocs.length} travel docs`);
+
+  return { exitCode: info ? EXIT_OK : EXIT_UNAVAILABLE, result };
+}
@@ -0,0 +1,28 @@
+import { formatIssues, hasErrors, loadDataset } from "../lib/dataset.mjs";
+import { EXIT_FAILURE, EXIT_OK } from "./common.mjs";
+
+// Validate and normalise Dataset/*.json; fails if any record has errors so
+// it can gate CI and ingest.
+
+export const summary = "check Dataset/*.json and report invalid records";
+export const shared = ["json"];
+export const options = {};
+export const usage = "";
+
+export async function run({ log }) {
+  const { attractions, travelDocs, issues, merges } = loadDataset();
+  const errors = issues.filter((i) => i.level === "error").length;
+  const warnings = issues.length - errors;
+
+  if (issues.length > 0) log(`${formatIssues(issues)}\n`);
+  for (const merge of merges) {
+    log(`🔗 ${merge.merged_id} (${merge.merged_from}) merged into ${merge.id} by ${merge.reason}`);
+  }
+  log(`📄 ${attractions.length} valid attractions, ${travelDocs.length} travel docs`);
+  log(`${errors ? "❌" : "✅"} ${errors} errors, ${warnings} warnings`);
+
+  return {
+    exitCode: hasErrors(issues) ? EXIT_FAILURE : EXIT_OK,
+    result: { attractions: attractions.length, travel_docs: travelDocs.length, errors, warnings, issues, merges },
+  };
+}
@@ -0,0 +1,14 @@
+// Runs once when the Next.js server starts. An invalid config stops the
+// server; store and embedder problems are warnings in dev and fatal in prod.
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== "nodejs") return;
+  const { getConfig } = await import("./lib/config.mjs");
+  const { checkStartup } = await import("./lib/startup.mjs");
+
+  const config = getConfig();
+  const problems = await checkStartup({ config });
+  for (const problem of problems) console.warn(`⚠️ ${problem.message}`);
+  if (problems.length && config.profile === "prod") {
+    throw new Error(`Startup checks failed in the prod profile:\n  ${problems.map((p) => p.message).join("\n  ")}`);
+  }
+}
@@ -0,0 +1,69 @@
+import { AIMessage, ToolMessage } from "@langchain/core/messages";
+import { getConfig } from "./config.mjs";
+import { runTool, toModelTool } from "./tools.mjs";
+
+// The tool-calling loop behind /api/agent: stream a model turn, run any tool
+// calls it makes, feed the results back, and repeat until it answers.
+
+// Long tool results (a full itinerary, many reviews) are cut to keep turns small
+const MAX_TOOL_RESULT_CHARS = 8000;
+
+function textOf(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) return content.map((block) => (block?.type === "text" ? block.text : "")).join("");
+  return "";
+}
+
+function toToolContent(outcome) {
+  const json = JSON.stringify(outcome.ok ? outcome.result : { error: outcome.error });
+  return json.length > MAX_TOOL_RESULT_CHARS ? `${json.slice(0, MAX_TOOL_RESULT_CHARS)}… (truncated)` : json;
+}
+
+/**
+ * Run `model` on `messages` with `tools` for at most `maxSteps` model turns
+ * (default `agent.maxSteps` in the config).
+ * The last turn is made without tools, so the loop always ends in an answer.
+ * Yields events as they happen:
+ *   { type: "token", text }
+ *   { type: "tool_call", step, id, name, args }
+ *   { type: "tool_result", step, id, name, ok, result | error, duration_ms }
+ * With no tools this is a single streamed model turn.
+ */
+export async function* runAgent(model, messages, { tools = [], maxSteps = getConfig().agent.maxSteps } = {}) {
+  const conversation = [...messages];
+  const withTools = tools.length ? model.bindTools(tools.map(toModelTool)) : model;
+
+  for (let step = 1; step <= maxSteps; step++) {
+    const runner = step < maxSteps ? withTools : model;
+    let text = "";
+    const calls = [];
+    for await (const chunk of await runner.stream(conversation)) {
+      const piece = textOf(chunk.content);
+      if (piece) {
+        text += piece;
+        yield { type: "token", text: piece };
+      }
+      calls.push(...(chunk.tool_calls || []));
+    }
+    if (!calls.length || runner === model) return;
+
+    // Gemini doesn't always send ids; ToolMessages need one to pair with
+    const toolCalls = calls.map((call, i) => ({ ...call, id: call.id || `call_${step}_${i + 1}` }));
+    conversation.push(new AIMessage({ content: text, tool_calls: toolCalls }));
+    for (const call of toolCalls) {
+      yield { type: "tool_call", step, id: call.id, name: call.name, args: call.args };
+      const started = Date.now();
+      const outcome = await runTool(tools, call.name, call.args);
+      yield {
+        type: "tool_result",
+        step,
+        id: call.id,
+        name: call.name,
+        ok: outcome.ok,
+        ...(outcome.ok ? { result: outcome.result } : { error: outcome.error }),
+        duration_ms: Date.now() - started,
+      };
+      conversation.push(new ToolMessage({ tool_call_id: call.id, name: call.name, content: toToolContent(outcome) }));
+    }
+  }
+}
@@ -0,0 +1,409 @@
+import fs from "fs";
+import path from "path";
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { analyze } from "./bm25.mjs";
+import { createChatHandler } from "./chat.mjs";
+import { getConfig } from "./config.mjs";
+import { splitSentences } from "./chunking.mjs";
+import { EVAL_DIR, RESULTS_DIR } from "./retrievalEval.mjs";
+import { retrieveTopK } from "./retrieval.mjs";
+import { createMemorySessionStore } from "./sessions.mjs";
+
+// Answer-quality evaluation: replay a question set through the /api/agent
+// handler and have a judge score every answer for
+//   groundedness  share of factual claims backed by the chunks they cite
+//   correctness   share of the reference answer's key facts the answer gives
+//   refusal       whether it declined exactly when it should
+//
+// A question set is { version, questions: [{ id, question, kind, reference?, facts? }] }.
+// `kind` is "answer" (the sources cover it), "insufficient" (on topic, but
+// the dataset doesn't say; the answer should admit that) or "out_of_scope"
+// (not about Mauritius travel; the answer should decline). `facts` are the
+// phrases a correct answer contains; they default to the names and numbers
+// in `reference`.
+//
+// A judge is { name, judge({ question, answer, sources }) -> Promise<{
+// groundedness, correctness, refused, unsupported, missing }> } where
+// `sources` are [{ n, title, content }] and scores are 0..1 or null when
+// they don't apply.
+
+export const DEFAULT_ANSWER_SET_FILE = path.join(EVAL_DIR, "golden", "answers-v1.json");
+export const QUESTION_KINDS = ["answer", "insufficient", "out_of_scope"];
+
+/**
+ * Load and check a question set. Throws with every problem found.
+ */
+export function loadAnswerSet(file = DEFAULT_ANSWER_SET_FILE) {
+  const set = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const problems = [];
+  if (typeof set.version !== "string" || !set.version) problems.push("version must be a non-empty string");
+  if (!Array.isArray(set.questions) || set.questions.length === 0) problems.push("questions must be a non-empty array");
+  const ids = new Set();
+  for (const [i, q] of (set.questions || []).entries()) {
+    const label = q.id || `#${i + 1}`;
+    if (!q.id) problems.push(`${label}: id is required`);
+    else if (ids.has(q.id)) problems.push(`${label}: duplicate id`);
+    ids.add(q.id);
+    if (typeof q.question !== "string" || !q.question.trim()) problems.push(`${label}: question is required`);
+    if (!QUESTION_KINDS.includes(q.kind)) problems.push(`${label}: kind must be one of ${QUESTION_KINDS.join(", ")}`);
+    if (q.kind === "answer" && !q.reference && !q.facts?.length) problems.push(`${label}: answers need a reference or facts`);
+  }
+  if (problems.length) throw new Error(`Invalid question set ${file}:\n  ${problems.join("\n  ")}`);
+  return { ...set, file };
+}
+
+// ---------- Offline judge ----------
+
+// Phrases that mean the answer declined or admitted it doesn't know
+const REFUSAL_PATTERN = new RegExp(
+  [
+    "\\b(?:i|we) (?:do not|don't|cannot|can't|could not|couldn't) (?:know|find|help|answer|say|confirm)",
+    "\\b(?:do not|don't) have (?:that|this|those|any|enough|specific|details?|information)",
+    "\\bno (?:information|details?|sources?) (?:on|about|for)",
+    "\\bnot (?:covered|mentioned|listed) in (?:the|my) (?:sources|dataset)",
+    "\\bcould not be checked",
+    "\\b(?:only|just) (?:help|assist) with",
+    "\\boutside (?:of )?(?:what i|my|the scope)",
+  ].join("|"),
+  "i"
+);
+
+export function isRefusal(answer) {
+  return REFUSAL_PATTERN.test(answer || "");
+}
+
+// Lower-case connectors allowed inside a proper name ("Île aux Cerfs", "Trou d'Eau Douce")
+const NAME_PATTERN =
+  /[\p{Lu}][\p{L}'’-]*(?:\s+(?:(?:aux|au|de|du|des|la|le|les|en|et|&|d['’])\s*)*[\p{Lu}][\p{L}'’-]*)*/gu;
+// Whole numbers only: the 4s in "4x4" are not facts
+const NUMBER_PATTERN = /(?<![\p{L}\d])\d+(?:[.,]\d+)?(?![\p{L}\d])/gu;
+
+/**
+ * The names and numbers in `text`, the units the offline judge compares.
+ * A single capitalised word opening a sentence ("Yes", "The") is not a name.
+ */
+export function extractFacts(text) {
+  const facts = new Set();
+  for (const sentence of splitSentences(text)) {
+    const body = sentence.replace(/\[\d+(?:\s*,\s*\d+)*\]/g, " ");
+    for (const match of body.matchAll(NAME_PATTERN)) {
+      const name = match[0].trim();
+      const atStart = !body.slice(0, match.index).trim().replace(/^["“(]/, "");
+      if (atStart && !/\s/.test(name)) continue;
+      facts.add(name);
+    }
+    for (const match of body.matchAll(NUMBER_PATTERN)) facts.add(match[0]);
+  }
+  return [...facts];
+}
+
+function phrase(text) {
+  return ` ${analyze(text).join(" ")} `;
+}
+
+function contains(haystack, fact) {
+  const needle = analyze(fact).join(" ");
+  return needle.length > 0 && haystack.includes(` ${needle} `);
+}
+
+// Sentences of an answer, keeping a citation that follows the full stop
+// ("… free. [2] The …") with its sentence
+function splitClaims(answer) {
+  return (answer || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .split(/(?<=[.!?](?:\s*\[\d+(?:\s*,\s*\d+)*\])*)\s+(?=[\p{Lu}\d"“(])/u)
+    .filter(Boolean);
+}
+
+function citationsIn(sentence) {
+  const cited = new Set();
+  for (const match of sentence.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    for (const n of match[1].split(",")) cited.add(Number(n));
+  }
+  return [...cited];
+}
+
+/**
+ * Deterministic judge. A claim is an answer sentence naming a place or
+ * giving a number; it is grounded when it cites sources and every name and
+ * number in it appears in those sources. Correctness is the share of the
+ * question's facts found in the answer.
+ */
+export function createOverlapJudge() {
+  return {
+    name: "overlap",
+    async judge({ question, answer, sources }) {
+      const refused = isRefusal(answer);
+      const byN = new Map(sources.map((s) => [s.n, s]));
+      let claims = 0;
+      const unsupported = [];
+      for (const sentence of splitClaims(answer)) {
+        const facts = extractFacts(sentence);
+        if (!facts.length || isRefusal(sentence)) continue;
+        claims++;
+        const cited = phrase(citationsIn(sentence).map((n) => byN.get(n)?.content || "").join(" "));
+        const missing = facts.filter((fact) => !contains(cited, fact));
+        if (cited.trim() === "" || missing.length) unsupported.push(sentence);
+      }
+
+      let correctness = null;
+      let missing = [];
+      if (question.kind === "answer") {
+        const facts = question.facts?.length ? question.facts : extractFacts(question.reference);
+        const said = phrase(answer);
+        missing = facts.filter((fact) => !contains(said, fact));
+        correctness = facts.length ? (facts.length - missing.length) / facts.length : null;
+      }
+
+      return {
+        groundedness: claims ? (claims - unsupported.length) / claims : null,
+        correctness,
+        refused,
+        unsupported,
+        missing,
+      };
+    },
+  };
+}
+
+// ---------- LLM judge ----------
+
+function parseVerdict(text) {
+  const match = String(text).match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  try {
+    const verdict = JSON.parse(match[0]);
+    const score = (value) => (value === null || value === undefined ? null : Math.min(Math.max(Number(value) || 0, 0), 1));
+    if (typeof verdict.refused !== "boolean") return null;
+    return {
+      groundedness: score(verdict.groundedness),
+      correctness: score(verdict.correctness),
+      refused: verdict.refused,
+      unsupported: Array.isArray(verdict.unsupported) ? verdict.unsupported.map(String) : [],
+      missing: Array.isArray(verdict.missing) ? verdict.missing.map(String) : [],
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * LLM judge: asks the chat model for the same verdict in one call. Falls
+ * back to the overlap judge if the reply can't be parsed.
+ */
+export function createLlmJudge({ model, apiKey = getConfig().gemini.apiKey, fallback = createOverlapJudge() } = {}) {
+  let chat = model;
+  return {
+    name: "llm",
+    async judge(input) {
+      if (!chat) {
+        if (!apiKey) throw new Error("GEMINI_API_KEY is not set in environment (use --judge overlap to judge offline)");
+        chat = new ChatGoogleGenerativeAI({ apiKey, model: getConfig().gemini.chatModel, temperature: 0 });
+      }
+      const { question, answer, sources } = input;
+      const context = sources.map((s) => `[${s.n}] ${s.title}: ${s.content}`).join("\n\n");
+      const prompt =
+        "You grade a Mauritius travel assistant's answer.\n" +
+        `Question: ${question.question}\n` +
+        `Expected behaviour: ${
+          question.kind === "answer"
+            ? `answer it. Reference answer: ${question.reference || question.facts.join("; ")}`
+            : question.kind === "insufficient"
+              ? "say the sources don't have this detail"
+              : "decline, since it is not about travel in Mauritius"
+        }\n\nNumbered sources the assistant saw:\n${context || "(none)"}\n\nAnswer:\n${answer}\n\n` +
+        "Reply with only JSON: {\"groundedness\": share of factual claims supported by the sources they cite (0-1, " +
+        "null if no claims), \"correctness\": agreement with the reference (0-1, null if there is none), " +
+        "\"refused\": true if it declined or said it doesn't know, \"unsupported\": [claims not supported], " +
+        "\"missing\": [reference facts it left out]}";
+      const reply = await chat.invoke(prompt);
+      const verdict = parseVerdict(reply?.content ?? reply);
+      if (verdict) return verdict;
+      console.warn("⚠️ LLM judge returned an unparseable verdict; using the overlap judge instead");
+      return fallback.judge(input);
+    },
+  };
+}
+
+/**
+ * Resolve a judge by name ("overlap" | "llm"). Objects with a `judge`
+ * method pass through.
+ */
+export function getJudge(judge = "overlap") {
+  if (judge && typeof judge.judge === "function") return judge;
+  switch (String(judge).toLowerCase()) {
+    case "overlap":
+      return createOverlapJudge();
+    case "llm":
+      return createLlmJudge();
+    default:
+      throw new Error(`Unknown judge "${judge}" (expected overlap or llm)`);
+  }
+}
+
+// ---------- Offline answer model ----------
+
+const SOURCE_BLOCK = /^Source (\d+) — (.+?) \([^\n]*\n([\s\S]*?)(?=\n\n---\n\n|$(?![\s\S]))/gm;
+// Chunk text opens with "<name> — <section>: "
+const CHUNK_HEADER = /^.+? — [^:]+: /;
+const QUESTION_STOPWORDS = new Set(
+  analyze(
+    "the a an and or for with what where which who how when is are do does can must should i we me my there any " +
+      "it in on of to at be get go need visit much time long mauritius"
+  )
+);
+const EXTRACTIVE_REFUSAL = "I don't have that detail in my Mauritius travel sources.";
+
+/**
+ * Stand-in chat model for offline runs: answers with the one or two source
+ * sentences that, with their source's title, share most words with the
+ * question, cited as [n]. It admits it doesn't know when none shares a
+ * third of them. It exercises the pipeline and the judges, not prompt wording.
+ */
+export function createExtractiveModel({ minOverlap = 0.34, maxSentences = 2 } = {}) {
+  const model = {
+    bindTools: () => model,
+    async stream(messages) {
+      const system = String(messages[0]?.content || "");
+      const question = String(messages.at(-1)?.content || "");
+      const terms = [...new Set(analyze(question).filter((t) => !QUESTION_STOPWORDS.has(t)))];
+      const candidates = [];
+      for (const [, n, title, content] of system.matchAll(SOURCE_BLOCK)) {
+        const titleWords = analyze(title);
+        for (const sentence of splitSentences(content.replace(CHUNK_HEADER, ""))) {
+          const words = new Set([...titleWords, ...analyze(sentence)]);
+          const overlap = terms.length ? terms.filter((t) => words.has(t)).length / terms.length : 0;
+          if (overlap >= minOverlap) candidates.push({ n: Number(n), sentence, overlap });
+        }
+      }
+      // Most overlap first, then the fuller sentence, then the better-ranked source
+      candidates.sort((a, b) => b.overlap - a.overlap || b.sentence.length - a.sentence.length || a.n - b.n);
+      const picked = candidates.slice(0, maxSentences);
+      const answer = picked.length ? picked.map((c) => `${c.sentence} [${c.n}]`).join(" ") : EXTRACTIVE_REFUSAL;
+      return (async function* () {
+        for (const piece of answer.split(/(?<= )/)) yield { content: piece };
+      })();
+    },
+  };
+  return model;
+}
+
+// ---------- Runner ----------
+
+async function ask(handler, message, template) {
+  const response = await handler(
+    new Request("http://localhost/api/agent", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ message, template, debug: true }),
+    })
+  );
+  if (!response.ok) {
+    const body = await response.json();
+    return { error: body.error?.code || `HTTP ${response.status}`, answer: "", sources: [], tools: [] };
+  }
+  const events = (await response.text())
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  const sources = events.find((e) => e.type === "sources")?.sources || [];
+  const context = new Map((events.find((e) => e.type === "debug")?.context || []).map((c) => [c.n, c.content]));
+  return {
+    answer: events.filter((e) => e.type === "token").map((e) => e.text).join(""),
+    sources: sources.map((s) => ({ n: s.n, title: s.title, content: context.get(s.n) || "" })),
+    tools: events.filter((e) => e.type === "tool_call").map((e) => e.name),
+    template: events.find((e) => e.type === "done")?.template,
+    error: events.find((e) => e.type === "error")?.error?.code ?? null,
+  };
+}
+
+function mean(values) {
+  const present = values.filter((v) => v !== null && v !== undefined);
+  return present.length ? Math.round((present.reduce((sum, v) => sum + v, 0) / present.length) * 10000) / 10000 : null;
+}
+
+/**
+ * Ask every question with prompt `template` and judge the answers. `index`
+ * is the `{ store, embedder }` retrieval runs against (see buildEvalIndex);
+ * `createModel` and `tools` are passed to the chat handler, and `modelName`
+ * labels the run. Returns `{ config, metrics: { groundedness, correctness,
+ * refusal }, questions }`.
+ */
+export async function evaluateAnswers(set, { template, judge, createModel, modelName = "custom", tools = [], index }) {
+  const handler = createChatHandler({
+    createModel,
+    retrieve: (query, k, options) => retrieveTopK(query, k, { ...options, store: index.store, embedder: index.embedder }),
+    sessions: createMemorySessionStore(),
+    tools,
+  });
+  const questions = [];
+  for (const question of set.questions) {
+    const reply = await ask(handler, question.question, template);
+    const verdict = reply.error && !reply.answer
+      ? { groundedness: null, correctness: question.kind === "answer" ? 0 : null, refused: false, unsupported: [], missing: [] }
+      : await judge.judge({ question, answer: reply.answer, sources: reply.sources });
+    questions.push({
+      id: question.id,
+      kind: question.kind,
+      question: question.question,
+      answer: reply.answer,
+      cited: [...new Set(citationsIn(reply.answer))],
+      tools: reply.tools,
+      error: reply.error,
+      ...verdict,
+      refusal_ok: verdict.refused === (question.kind !== "answer"),
+    });
+  }
+  return {
+    config: { name: template, judge: judge.name, model: modelName },
+    metrics: {
+      groundedness: mean(questions.map((q) => q.groundedness)),
+      correctness: mean(questions.map((q) => q.correctness)),
+      refusal: mean(questions.map((q) => (q.refusal_ok ? 1 : 0))),
+    },
+    questions,
+  };
+}
+
+function score(value) {
+  return value === null || value === undefined ? "–" : value.toFixed(2);
+}
+
+/**
+ * Plain-text report for one template run. It holds no timestamps and keeps
+ * the question order, so reports for two template versions (or two runs of
+ * one) can be compared with `diff`.
+ */
+export function formatAnswerReport(set, run) {
+  const { groundedness, correctness, refusal } = run.metrics;
+  const lines = [
+    `# ${set.version} · ${run.config.name} · model ${run.config.model} · judge ${run.config.judge}`,
+    "",
+    `groundedness ${score(groundedness)} · correctness ${score(correctness)} · refusal ${score(refusal)} (${run.questions.length} questions)`,
+  ];
+  for (const q of run.questions) {
+    lines.push(
+      "",
+      `## ${q.id} (${q.kind})`,
+      `grounded ${score(q.groundedness)} · correct ${score(q.correctness)} · refused ${q.refused ? "yes" : "no"} ${q.refusal_ok ? "✅" : "❌"}`,
+      `answer: ${q.answer.replace(/\s+/g, " ").trim() || `(none${q.error ? `, ${q.error}` : ""})`}`
+    );
+    if (q.tools.length) lines.push(`tools: ${q.tools.join(", ")}`);
+    for (const claim of q.unsupported) lines.push(`unsupported: ${claim}`);
+    if (q.missing.length) lines.push(`missing: ${q.missing.join("; ")}`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Write the report to `<dir>/<set version>/<template id>.<model>.<judge>.md`,
+ * replacing the previous one for the same template, model and judge.
+ */
+export function saveAnswerReport(set, run, report, { dir = RESULTS_DIR } = {}) {
+  const folder = path.join(dir, set.version);
+  fs.mkdirSync(folder, { recursive: true });
+  const file = path.join(folder, `${run.config.name}.${run.config.model}.${run.config.judge}.md`);
+  fs.writeFileSync(file, report);
+  return file;
+}
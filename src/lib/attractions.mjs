@@ -0,0 +1,220 @@
+import { filterableFields, getDataset } from "./dataset.mjs";
+import { toPayloadFilter } from "./filters.mjs";
+import { haversineKm } from "./geo.mjs";
+import { matchesFilter } from "./vectorStore.mjs";
+
+// Read-side views of the merged attraction dataset for the HTTP API and UI.
+
+/**
+ * Compact record for lists and map markers: identity, position, the
+ * filterable fields and a short description. Full records come from
+ * `getAttraction`.
+ */
+export function toAttractionSummary(attraction) {
+  const fields = filterableFields(attraction);
+  return {
+    id: attraction.id,
+    name: attraction.name,
+    attraction_type: fields.attraction_type,
+    region: fields.region,
+    latitude: attraction.location.latitude,
+    longitude: attraction.location.longitude,
+    tags: fields.tags,
+    rating: fields.rating,
+    fee_required: fields.fee_required ?? null,
+    booking_required: fields.booking_required ?? null,
+    description: attraction.description || "",
+    entry_points: (attraction.prerequisites?.entry_points || []).map((e) => ({
+      name: e.name || null,
+      latitude: Number(e.latitude),
+      longitude: Number(e.longitude),
+    })),
+  };
+}
+
+export function listAttractions({ attractions = getDataset().attractions } = {}) {
+  return attractions.map(toAttractionSummary);
+}
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+export const SORTS = ["name", "-name", "rating", "-rating", "distance"];
+
+const LIST_PARAMS = ["region", "type", "tags"];
+const FLAG_PARAMS = ["fee_required", "booking_required", "tour_guide_required"];
+
+// Comma-separated and repeated params both work: ?tags=beach,hiking or
+// ?tags=beach&tags=hiking
+function listParam(searchParams, name) {
+  return searchParams
+    .getAll(name)
+    .flatMap((v) => v.split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function numbersParam(raw, count) {
+  const parts = raw.split(",").map((v) => Number(v.trim()));
+  return parts.length === count && parts.every(Number.isFinite) ? parts : null;
+}
+
+function positiveIntParam(searchParams, name, errors) {
+  const raw = searchParams.get(name);
+  if (raw === null) return undefined;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    errors.push({ field: name, message: "must be a positive integer" });
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Parse list query parameters:
+ *   region, type, tags          one or more values, any of which may match
+ *   fee_required, booking_required, tour_guide_required   "true" | "false"
+ *   min_rating                  0..5
+ *   bbox=minLng,minLat,maxLng,maxLat
+ *   near=lat,lng&radius_km=10   radius_km is optional with near and adds
+ *                               `distance_km` to each item
+ *   sort                        one of SORTS (default "name"; "distance" needs near)
+ *   page, page_size             1-based; page_size at most MAX_PAGE_SIZE
+ * Returns `{ value, errors }`; `errors` is a list of `{ field, message }`.
+ */
+export function parseAttractionQuery(searchParams) {
+  const errors = [];
+  const filter = {};
+
+  for (const name of LIST_PARAMS) {
+    const values = listParam(searchParams, name);
+    if (values.length) filter[name] = values;
+  }
+  for (const name of FLAG_PARAMS) {
+    const raw = searchParams.get(name);
+    if (raw === null) continue;
+    if (raw !== "true" && raw !== "false") errors.push({ field: name, message: 'must be "true" or "false"' });
+    else filter[name] = raw === "true";
+  }
+  if (searchParams.has("min_rating")) {
+    const minRating = Number(searchParams.get("min_rating"));
+    if (!Number.isFinite(minRating) || minRating < 0 || minRating > 5) {
+      errors.push({ field: "min_rating", message: "must be a number between 0 and 5" });
+    } else {
+      filter.min_rating = minRating;
+    }
+  }
+
+  let bbox;
+  if (searchParams.has("bbox")) {
+    const parts = numbersParam(searchParams.get("bbox"), 4);
+    if (!parts || parts[0] > parts[2] || parts[1] > parts[3]) {
+      errors.push({ field: "bbox", message: "must be minLng,minLat,maxLng,maxLat" });
+    } else {
+      const [minLng, minLat, maxLng, maxLat] = parts;
+      bbox = { minLng, minLat, maxLng, maxLat };
+    }
+  }
+
+  let near;
+  if (searchParams.has("near")) {
+    const parts = numbersParam(searchParams.get("near"), 2);
+    if (!parts || Math.abs(parts[0]) > 90 || Math.abs(parts[1]) > 180) {
+      errors.push({ field: "near", message: "must be lat,lng" });
+    } else {
+      near = { latitude: parts[0], longitude: parts[1] };
+    }
+  }
+  let radiusKm;
+  if (searchParams.has("radius_km")) {
+    radiusKm = Number(searchParams.get("radius_km"));
+    if (!searchParams.has("near")) {
+      errors.push({ field: "radius_km", message: "requires near" });
+    } else if (!Number.isFinite(radiusKm) || radiusKm <= 0) {
+      errors.push({ field: "radius_km", message: "must be a positive number" });
+    }
+  }
+
+  const sort = searchParams.get("sort") ?? "name";
+  if (!SORTS.includes(sort)) {
+    errors.push({ field: "sort", message: `must be one of: ${SORTS.join(", ")}` });
+  } else if (sort === "distance" && !searchParams.has("near")) {
+    errors.push({ field: "sort", message: "distance requires near" });
+  }
+
+  const page = positiveIntParam(searchParams, "page", errors) ?? 1;
+  const pageSize = positiveIntParam(searchParams, "page_size", errors) ?? DEFAULT_PAGE_SIZE;
+  if (pageSize > MAX_PAGE_SIZE) errors.push({ field: "page_size", message: `must be at most ${MAX_PAGE_SIZE}` });
+
+  let payloadFilter;
+  try {
+    payloadFilter = toPayloadFilter(filter);
+  } catch (error) {
+    errors.push({ field: "filter", message: error.message });
+  }
+
+  if (errors.length) return { value: null, errors };
+  return { value: { filter: payloadFilter, bbox, near, radiusKm, sort, page, pageSize }, errors };
+}
+
+function inBbox({ latitude, longitude }, bbox) {
+  return (
+    latitude >= bbox.minLat && latitude <= bbox.maxLat && longitude >= bbox.minLng && longitude <= bbox.maxLng
+  );
+}
+
+// Unrated attractions sort after rated ones in either direction
+function compareRating(a, b, direction) {
+  if (a.rating === null || b.rating === null) return (a.rating === null) - (b.rating === null);
+  return direction * (a.rating - b.rating);
+}
+
+const COMPARATORS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  "-name": (a, b) => b.name.localeCompare(a.name),
+  rating: (a, b) => compareRating(a, b, 1) || a.name.localeCompare(b.name),
+  "-rating": (a, b) => compareRating(a, b, -1) || a.name.localeCompare(b.name),
+  distance: (a, b) => a.distance_km - b.distance_km,
+};
+
+/**
+ * Filter, sort and page attraction summaries for a parsed query (see
+ * `parseAttractionQuery`). Returns `{ attractions, total, page, page_size,
+ * total_pages }`; `total` counts every match, not just this page.
+ */
+export function queryAttractions(
+  { filter, bbox, near, radiusKm, sort = "name", page = 1, pageSize = DEFAULT_PAGE_SIZE } = {},
+  { attractions = getDataset().attractions } = {}
+) {
+  const matches = [];
+  for (const attraction of attractions) {
+    if (filter && !matchesFilter(filterableFields(attraction), filter)) continue;
+    if (bbox && !inBbox(attraction.location, bbox)) continue;
+    const summary = toAttractionSummary(attraction);
+    if (near) {
+      summary.distance_km = Math.round(haversineKm(near, attraction.location) * 100) / 100;
+      if (radiusKm !== undefined && summary.distance_km > radiusKm) continue;
+    }
+    matches.push(summary);
+  }
+  matches.sort(COMPARATORS[sort]);
+
+  const start = (page - 1) * pageSize;
+  return {
+    attractions: matches.slice(start, start + pageSize),
+    total: matches.length,
+    page,
+    page_size: pageSize,
+    total_pages: Math.ceil(matches.length / pageSize),
+  };
+}
+
+/**
+ * Full normalised record (sub_attractions, prerequisites with entry points,
+ * reviews, merge provenance) plus the average `rating`. Ids of records merged
+ * into another one resolve to the merged record. Returns null when unknown.
+ */
+export function getAttraction(id, { attractions = getDataset().attractions } = {}) {
+  const attraction = attractions.find((a) => a.id === id) ?? attractions.find((a) => a.aliases?.includes(id));
+  if (!attraction) return null;
+  return { ...attraction, rating: filterableFields(attraction).rating };
+}
@@ -0,0 +1,61 @@
+import { stem, tokenize } from "./text.mjs";
+import { matchesFilter } from "./vectorStore.mjs";
+
+// Okapi BM25 over chunk content. Tokens are accent-folded and lightly
+// stemmed, so "Pêcheur", "pecheur" and "Trou d'Eau Douce" / "trou d eau douce"
+// all meet in the same terms.
+
+export function analyze(text) {
+  return tokenize(text).map(stem);
+}
+
+/**
+ * Build an in-memory index over `docs` ([{ id, text, payload }]).
+ * Returns `{ size, search(query, { limit, filter }) }`; search hits are
+ * `{ id, score, payload }` like store hits, best first, score > 0 only.
+ */
+export function createBm25Index(docs, { k1 = 1.2, b = 0.75 } = {}) {
+  const postings = new Map();
+  const lengths = [];
+  let totalLength = 0;
+
+  docs.forEach((doc, docIndex) => {
+    const terms = analyze(doc.text);
+    lengths.push(terms.length);
+    totalLength += terms.length;
+    const counts = new Map();
+    for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+    for (const [term, tf] of counts) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push({ docIndex, tf });
+    }
+  });
+
+  const avgLength = docs.length ? totalLength / docs.length : 0;
+
+  function idf(term) {
+    const df = postings.get(term)?.length || 0;
+    return Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+  }
+
+  return {
+    size: docs.length,
+    search(query, { limit = 10, filter } = {}) {
+      const scores = new Map();
+      for (const term of new Set(analyze(query))) {
+        const list = postings.get(term);
+        if (!list) continue;
+        const weight = idf(term);
+        for (const { docIndex, tf } of list) {
+          const norm = tf + k1 * (1 - b + (b * lengths[docIndex]) / (avgLength || 1));
+          scores.set(docIndex, (scores.get(docIndex) || 0) + (weight * tf * (k1 + 1)) / norm);
+        }
+      }
+      return [...scores.entries()]
+        .filter(([docIndex]) => matchesFilter(docs[docIndex].payload, filter))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([docIndex, score]) => ({ id: docs[docIndex].id, score, payload: docs[docIndex].payload }));
+    },
+  };
+}
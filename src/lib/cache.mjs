@@ -0,0 +1,240 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { getConfig } from "./config.mjs";
+
+// Caches shared by ingest and query:
+//   - createLruCache: a bounded in-process map with TTLs, used for retrieval
+//     results (see retrieveTopK)
+//   - embedding caches: content-addressed (embedder + text -> vector), so a
+//     text is embedded once per model no matter which path asks. Every
+//     backend exposes { backend, location, get(key), set(key, vector) };
+//     embeddings.mjs wraps embedders with them (withEmbeddingCache).
+
+/**
+ * Least-recently-used map holding at most `max` entries, each expiring
+ * `ttlMs` after it was set (0 or Infinity: never). `max` 0 stores nothing.
+ */
+export function createLruCache({ max = 500, ttlMs = 0, now = Date.now } = {}) {
+  const entries = new Map();
+  return {
+    get size() {
+      return entries.size;
+    },
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expires <= now()) return undefined;
+      // Re-inserting moves the key to the most recently used end
+      entries.set(key, entry);
+      return entry.value;
+    },
+    // Unlike get, leaves the key's recency alone
+    has(key) {
+      return (entries.get(key)?.expires ?? 0) > now();
+    },
+    set(key, value) {
+      if (max <= 0) return;
+      entries.delete(key);
+      entries.set(key, { value, expires: ttlMs > 0 ? now() + ttlMs : Infinity });
+      while (entries.size > max) entries.delete(entries.keys().next().value);
+    },
+    delete(key) {
+      return entries.delete(key);
+    },
+    // Live entries as [key, value], least recently used first
+    *entries() {
+      for (const [key, entry] of entries) {
+        if (entry.expires > now()) yield [key, entry.value];
+      }
+    },
+    clear() {
+      entries.clear();
+    },
+  };
+}
+
+/**
+ * Cache key for `text` embedded by `embedder`: a hash of the provider, model,
+ * dimension and the exact text, so a different model never reuses a vector.
+ */
+export function embeddingCacheKey(embedder, text) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([embedder.provider, embedder.model, embedder.dimension, text]))
+    .digest("hex");
+}
+
+const memoryEmbeddings = new Map();
+
+// Shared per process, like the memory vector store
+export function createMemoryEmbeddingCache() {
+  return {
+    backend: "memory",
+    location: "process memory",
+    async get(key) {
+      return memoryEmbeddings.get(key);
+    },
+    async set(key, vector) {
+      memoryEmbeddings.set(key, vector);
+    },
+  };
+}
+
+// Cache files read so far, shared by every cache on the same file
+const embeddingFiles = new Map();
+
+/**
+ * Append-only JSON lines file, one `{ key, vector }` per line. It is read
+ * once, then only the lines appended since (by this process or another, e.g.
+ * an ingest while the server runs) are read on a miss. At most `max` vectors
+ * stay in memory, least recently used evicted first, and once the file holds
+ * more than twice that many lines it is rewritten with just those. Delete the
+ * file to clear the cache.
+ */
+export function createFileEmbeddingCache({
+  file = path.join(getConfig().cache.dir, "embeddings.jsonl"),
+  max = getConfig().cache.embeddingsSize,
+} = {}) {
+  if (!embeddingFiles.has(file)) {
+    // The first cache opened on a file sets its bound
+    embeddingFiles.set(file, { vectors: createLruCache({ max }), max, offset: 0, lines: 0 });
+  }
+  const state = embeddingFiles.get(file);
+
+  // Rewritten oldest first, so reading the file back restores the recency
+  // order, and renamed into place so no reader sees half a file. Lines another
+  // process appends meanwhile are lost, which only costs a re-embed.
+  function compact() {
+    const lines = [...state.vectors.entries()].map(([key, vector]) => `${JSON.stringify({ key, vector })}\n`);
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, lines.join(""));
+    fs.renameSync(temp, file);
+    state.offset = fs.statSync(file).size;
+    state.lines = lines.length;
+  }
+
+  function refresh() {
+    const size = fs.statSync(file, { throwIfNoEntry: false })?.size ?? 0;
+    if (size < state.offset) {
+      // Truncated or replaced (e.g. compacted by another process): start over
+      state.vectors.clear();
+      state.offset = 0;
+      state.lines = 0;
+    }
+    if (size === state.offset) return;
+
+    const buffer = Buffer.alloc(size - state.offset);
+    const fd = fs.openSync(file, "r");
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, state.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    // A line still being written is picked up by the next refresh
+    const end = buffer.lastIndexOf(0x0a) + 1;
+    for (const line of buffer.subarray(0, end).toString("utf-8").split("\n")) {
+      if (!line) continue;
+      state.lines++;
+      try {
+        const { key, vector } = JSON.parse(line);
+        // A key always maps to the same vector, so one already held keeps
+        // its place in the recency order
+        if (!state.vectors.has(key)) state.vectors.set(key, vector);
+      } catch {
+        // Skip a corrupt line rather than losing the rest of the cache
+      }
+    }
+    state.offset += end;
+    if (state.lines > 2 * state.max) compact();
+  }
+
+  return {
+    backend: "file",
+    location: file,
+    async get(key) {
+      if (!state.vectors.has(key)) refresh();
+      return state.vectors.get(key);
+    },
+    async set(key, vector) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const line = Buffer.from(`${JSON.stringify({ key, vector })}\n`);
+      const fd = fs.openSync(file, "a");
+      try {
+        fs.writeSync(fd, line);
+        // Skip re-reading our own line unless another process wrote before it
+        const size = fs.fstatSync(fd).size;
+        if (size - line.length === state.offset) {
+          state.offset = size;
+          state.lines++;
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+      state.vectors.set(key, vector);
+      if (state.lines > 2 * state.max) compact();
+    },
+  };
+}
+
+const sqliteCaches = new Map();
+
+/**
+ * One SQLite table keyed by cache key. Uses node:sqlite, so it needs Node
+ * 22.5 or later; the file backend works everywhere.
+ */
+export function createSqliteEmbeddingCache({ file = path.join(getConfig().cache.dir, "embeddings.sqlite") } = {}) {
+  if (sqliteCaches.has(file)) return sqliteCaches.get(file);
+  // Looked up at runtime so older Nodes get this error rather than a failed import
+  const sqlite = process.getBuiltinModule?.("node:sqlite");
+  if (!sqlite) {
+    throw new Error(
+      `The SQLite embedding cache needs Node 22.5 or later (running ${process.version}); set EMBEDDING_CACHE=file`
+    );
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new sqlite.DatabaseSync(file);
+  // WAL lets the server read while an ingest writes
+  db.exec("PRAGMA journal_mode = WAL");
+  db.exec(
+    "CREATE TABLE IF NOT EXISTS embeddings (key TEXT PRIMARY KEY, vector TEXT NOT NULL, created_at INTEGER NOT NULL)"
+  );
+  const select = db.prepare("SELECT vector FROM embeddings WHERE key = ?");
+  const insert = db.prepare("INSERT OR REPLACE INTO embeddings (key, vector, created_at) VALUES (?, ?, ?)");
+
+  const cache = {
+    backend: "sqlite",
+    location: file,
+    async get(key) {
+      const row = select.get(key);
+      return row ? JSON.parse(row.vector) : undefined;
+    },
+    async set(key, vector) {
+      insert.run(key, JSON.stringify(vector), Date.now());
+    },
+  };
+  sqliteCaches.set(file, cache);
+  return cache;
+}
+
+const EMBEDDING_CACHES = {
+  file: createFileEmbeddingCache,
+  sqlite: createSqliteEmbeddingCache,
+  memory: createMemoryEmbeddingCache,
+};
+
+/**
+ * The embedding cache selected by `cache.embeddings` in the config
+ * (EMBEDDING_CACHE, default "file" under CACHE_DIR), or null for "none".
+ */
+export function getEmbeddingCache(name = getConfig().cache.embeddings) {
+  if (name === "none") return null;
+  const factory = EMBEDDING_CACHES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown embedding cache "${name}" (expected one of: ${[...Object.keys(EMBEDDING_CACHES), "none"].join(", ")})`
+    );
+  }
+  return factory();
+}
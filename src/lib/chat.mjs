@@ -0,0 +1,366 @@
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { AIMessage, HumanMessage } from "@langchain/core/messages";
+import { runAgent } from "./agent.mjs";
+import { getConfig } from "./config.mjs";
+import { getDataset } from "./dataset.mjs";
+import { errorResponse } from "./http.mjs";
+import { buildSystemMessage, getPromptTemplate } from "./prompts.mjs";
+import { getQueryRewriter, interleaveResults } from "./queryRewrite.mjs";
+import { formatContextForPrompt, retrieveTopK } from "./retrieval.mjs";
+import { getSessionStore, isValidSessionId, resolveOwner, titleFromMessage } from "./sessions.mjs";
+import { getAgentTools } from "./tools.mjs";
+
+// Request handling for POST /api/agent, kept out of the route file so the
+// model and retriever can be swapped for stand-ins (see src/tests/agent.test.mjs).
+
+export const MAX_MESSAGE_LENGTH = 2000;
+// Earlier messages of the session loaded as conversation history
+export const MAX_HISTORY_MESSAGES = 50;
+export const MAX_SELECTED = 10;
+
+// Error codes returned in `{ error: { code, message, details? } }` bodies:
+//   INVALID_JSON        400  body is not JSON
+//   VALIDATION_FAILED   400  body doesn't match the schema; details lists each problem
+//   NOT_FOUND           404  sessionId names no session of this browser
+//   CONFIG_ERROR        500  server is missing configuration (e.g. GEMINI_API_KEY)
+//   RETRIEVAL_FAILED    503  vector store or embedder unavailable
+//   STORAGE_FAILED      503  session store unavailable
+//   MODEL_ERROR         502  the chat model rejected or failed the request
+//   INTERNAL_ERROR      500  anything else
+
+class ChatError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Check a request body against the chat schema:
+ *   { message: string (1..MAX_MESSAGE_LENGTH after trimming),
+ *     sessionId?: session to continue; omit to start a new one,
+ *     template?: prompt mode or id, e.g. "quick-answer" or "itinerary@v1",
+ *     debug?: boolean (adds a `debug` event with the rewritten query and the
+ *             text of each source),
+ *     selected?: attraction ids picked on the map (at most MAX_SELECTED) }
+ * Returns `{ value, errors }`; `errors` is a list of `{ field, message }`.
+ */
+export function validateChatRequest(body) {
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { value: null, errors: [{ field: "body", message: "must be a JSON object" }] };
+  }
+
+  const { message, sessionId, history, template, debug = false, selected = [] } = body;
+  if (typeof message !== "string") {
+    errors.push({ field: "message", message: "must be a string" });
+  } else if (!message.trim()) {
+    errors.push({ field: "message", message: "must not be empty" });
+  } else if (message.length > MAX_MESSAGE_LENGTH) {
+    errors.push({ field: "message", message: `must be at most ${MAX_MESSAGE_LENGTH} characters` });
+  }
+
+  if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+    errors.push({ field: "sessionId", message: "must be a session id" });
+  }
+  // History lives server-side now; a client-supplied copy is not trusted
+  if (history !== undefined) {
+    errors.push({ field: "history", message: "is no longer accepted; pass sessionId to continue a conversation" });
+  }
+
+  let promptTemplate;
+  if (template !== undefined && typeof template !== "string") {
+    errors.push({ field: "template", message: "must be a string" });
+  } else {
+    try {
+      promptTemplate = getPromptTemplate(template);
+    } catch (error) {
+      errors.push({ field: "template", message: error.message });
+    }
+  }
+
+  if (typeof debug !== "boolean") errors.push({ field: "debug", message: "must be a boolean" });
+
+  if (!Array.isArray(selected) || selected.some((id) => typeof id !== "string")) {
+    errors.push({ field: "selected", message: "must be an array of attraction ids" });
+  } else if (selected.length > MAX_SELECTED) {
+    errors.push({ field: "selected", message: `must have at most ${MAX_SELECTED} entries` });
+  }
+
+  if (errors.length) return { value: null, errors };
+  return { value: { message: message.trim(), sessionId, template: promptTemplate, debug, selected }, errors };
+}
+
+/**
+ * Stored session messages as history entries (`{ type, message }`), the
+ * shape the rewriter and `toChatMessages` take.
+ */
+export function toHistory(messages) {
+  return messages.map((m) => ({ type: m.role, message: m.content }));
+}
+
+/**
+ * Map history onto LangChain messages. `system` entries are notices the UI
+ * shows (e.g. "An error occurred"), not instructions, so they are dropped
+ * rather than forwarded to the model.
+ */
+export function toChatMessages(history) {
+  return history
+    .filter((entry) => entry.type !== "system")
+    .map((entry) =>
+      entry.type === "user" ? new HumanMessage({ content: entry.message }) : new AIMessage({ content: entry.message })
+    );
+}
+
+/**
+ * Citation entry for the `sources` event. `n` matches the "Source N" label
+ * the model saw in its context, so `[n]` in the answer points here.
+ */
+export function toSource(hit, i) {
+  return {
+    n: i + 1,
+    title: hit.title || "Untitled",
+    attraction_id: hit.attractionId ?? null,
+    section: hit.section ?? null,
+    document_id: hit.documentId ?? null,
+    source_file: hit.sourceFile ?? null,
+    review_url: hit.reviewUrl ?? null,
+    score: hit.score,
+    distance_km: hit.distanceKm ?? null,
+  };
+}
+
+/**
+ * Look up map-selected attraction ids. Returns `{ places, unknown }` where
+ * `places` are the matching records and `unknown` the ids not in the dataset.
+ */
+export function resolveSelection(ids, attractions = getDataset().attractions) {
+  const byId = new Map(attractions.map((a) => [a.id, a]));
+  return {
+    places: ids.filter((id) => byId.has(id)).map((id) => byId.get(id)),
+    unknown: ids.filter((id) => !byId.has(id)),
+  };
+}
+
+function defaultCreateModel() {
+  const { apiKey, chatModel, temperature } = getConfig().gemini;
+  if (!apiKey) {
+    throw new ChatError(500, "CONFIG_ERROR", "GEMINI_API_KEY is not set on the server");
+  }
+  return new ChatGoogleGenerativeAI({ apiKey, model: chatModel, temperature, streaming: true });
+}
+
+/**
+ * Build the POST handler. `createModel()` returns a chat model with
+ * `stream(messages)`; `retrieve(query, k, options)` returns retrieval hits;
+ * `rewriter` turns the message plus history into standalone search queries;
+ * `sessions` is the session store history is loaded from and each turn
+ * (question, answer and its sources) is saved to. `tools` are offered to the
+ * model (see src/lib/tools.mjs) for up to `maxSteps` model turns; the model
+ * needs `bindTools(tools)` unless `tools` is empty. `loadAttractions()`
+ * returns the attractions that map selections are looked up in (default:
+ * the dataset). Options left out follow the config (src/lib/config.mjs),
+ * read per request, and `retrieval.k` sets how many sources each answer gets.
+ *
+ * Successful responses are NDJSON, one event per line:
+ *   { type: "sources", sources: [{ n, title, attraction_id, section, document_id, source_file, review_url, score, distance_km }] }
+ *   { type: "debug", rewrite, context: [{ n, content }] }   only when the request sets `debug: true`
+ *   { type: "tool_call", step, id, name, args }    each tool the model calls
+ *   { type: "tool_result", step, id, name, ok, result | error, duration_ms }
+ *   { type: "token", text }            repeated as the answer streams
+ *   { type: "error", error: { code, message } }   only if the model fails mid-answer
+ *   { type: "error", error: { code: "STORAGE_FAILED", message } }   if the turn could not be saved
+ *   { type: "done", template, sessionId }   always last; `template` is the prompt id used
+ * The session id is also sent up front in the X-Session-Id header. Only
+ * sessions of the browser's owner key (see resolveOwner) can be continued.
+ */
+export function createChatHandler({
+  createModel = defaultCreateModel,
+  retrieve = retrieveTopK,
+  rewriter: customRewriter,
+  sessions: customSessions,
+  tools: customTools,
+  maxSteps: customMaxSteps,
+  loadAttractions = () => getDataset().attractions,
+} = {}) {
+  return async function POST(req) {
+    // Resolved here rather than at import, so `next build` can load the
+    // route without a complete environment
+    let k;
+    let rewriter;
+    let sessions;
+    let tools;
+    let maxSteps;
+    try {
+      const config = getConfig();
+      k = config.retrieval.k;
+      maxSteps = customMaxSteps ?? config.agent.maxSteps;
+      rewriter = customRewriter ?? getQueryRewriter();
+      sessions = customSessions ?? getSessionStore();
+      tools = customTools ?? getAgentTools();
+    } catch (error) {
+      console.error("Configuration error:", error);
+      return errorResponse(500, "CONFIG_ERROR", "The server configuration is invalid");
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return errorResponse(400, "INVALID_JSON", "Request body must be valid JSON");
+    }
+
+    const { value, errors } = validateChatRequest(body);
+    if (!value) return errorResponse(400, "VALIDATION_FAILED", "Invalid chat request", errors);
+
+    // Sessions are per browser; a new browser's key is set with the answer
+    const { owner, headers: ownerHeaders } = resolveOwner(req);
+
+    try {
+      let selection = { places: [], unknown: [] };
+      if (value.selected.length) {
+        try {
+          selection = resolveSelection(value.selected, loadAttractions());
+        } catch (error) {
+          console.error("Dataset error:", error);
+          throw new ChatError(500, "INTERNAL_ERROR", "Could not load the attractions");
+        }
+      }
+      if (selection.unknown.length) {
+        throw new ChatError(400, "VALIDATION_FAILED", "Invalid chat request", [
+          { field: "selected", message: `unknown attraction ids: ${selection.unknown.join(", ")}` },
+        ]);
+      }
+      const selectedNames = selection.places.map((a) => a.name);
+
+      const model = createModel();
+
+      let session = null;
+      let history = [];
+      if (value.sessionId) {
+        try {
+          session = await sessions.getSession(value.sessionId, { owner });
+          if (session) history = toHistory(await sessions.getMessages(session.id, { limit: MAX_HISTORY_MESSAGES }));
+        } catch (error) {
+          console.error("Session store error:", error);
+          throw new ChatError(503, "STORAGE_FAILED", "Could not load the conversation");
+        }
+        if (!session) throw new ChatError(404, "NOT_FOUND", `No session with id "${value.sessionId}"`);
+      }
+
+      // Map selections count as the latest thing the traveller pointed at
+      const context = selectedNames.length
+        ? [...history, { type: "user", message: `Selected on the map: ${selectedNames.join(", ")}` }]
+        : history;
+
+      // Follow-ups ("is it free?") are searched as standalone queries; a
+      // failing rewriter just means searching the message as typed.
+      let rewrite;
+      try {
+        rewrite = await rewriter.rewrite(value.message, context);
+      } catch (error) {
+        console.error("Query rewrite error:", error);
+        rewrite = { original: value.message, query: value.message, subQueries: [], places: [], rewriter: "none" };
+      }
+      const queries = rewrite.subQueries.length ? rewrite.subQueries : [rewrite.query];
+
+      let retrieved;
+      try {
+        // Places the traveller named earlier anchor distance ranking
+        const geo = { context: context.filter((entry) => entry.type === "user").map((entry) => entry.message) };
+        const results = await Promise.all(queries.map((query) => retrieve(query, k, { geo })));
+        retrieved = results.length === 1 ? results[0] : interleaveResults(results, queries, k);
+      } catch (error) {
+        console.error("Retrieval error:", error);
+        throw new ChatError(503, "RETRIEVAL_FAILED", "Could not search the knowledge base");
+      }
+
+      const messages = [
+        buildSystemMessage(value.template, formatContextForPrompt(retrieved), {
+          selectedPlaces: selectedNames,
+          tools: tools.length > 0,
+        }),
+        ...toChatMessages(history),
+        new HumanMessage({ content: value.message }),
+      ];
+
+      // Pull the first event before answering so model failures (bad key,
+      // quota, blocked prompt) still get a proper error status.
+      let iterator;
+      let first;
+      try {
+        iterator = runAgent(model, messages, { tools, maxSteps });
+        first = await iterator.next();
+      } catch (error) {
+        // Provider errors can carry keys, quotas or prompt text; they stay in the log
+        console.error("Model error:", error);
+        throw new ChatError(502, "MODEL_ERROR", "The language model failed to respond");
+      }
+
+      // New conversations are only stored once there is an answer to keep
+      if (!session) {
+        try {
+          session = await sessions.createSession({ title: titleFromMessage(value.message), owner });
+        } catch (error) {
+          console.error("Session store error:", error);
+          throw new ChatError(503, "STORAGE_FAILED", "Could not start the conversation");
+        }
+      }
+
+      const textEncoder = new TextEncoder();
+      const send = (controller, event) => controller.enqueue(textEncoder.encode(`${JSON.stringify(event)}\n`));
+      const sources = retrieved.map(toSource);
+      const readableStream = new ReadableStream({
+        async start(controller) {
+          // Sources first, so citation markers can link as soon as they stream in
+          send(controller, { type: "sources", sources });
+          if (value.debug) {
+            send(controller, { type: "debug", rewrite, context: retrieved.map((hit, i) => ({ n: i + 1, content: hit.content })) });
+          }
+          let answer = "";
+          let failure = null;
+          try {
+            for (let step = first; !step.done; step = await iterator.next()) {
+              if (step.value.type === "token") answer += step.value.text;
+              send(controller, step.value);
+            }
+          } catch (error) {
+            console.error("Model stream error:", error);
+            failure = "MODEL_ERROR";
+            send(controller, { type: "error", error: { code: failure, message: "The answer was cut off" } });
+          }
+          try {
+            await sessions.appendMessages(session.id, [
+              { role: "user", content: value.message, selected: value.selected.length ? value.selected : null },
+              { role: "assistant", content: answer, sources, template: value.template.id, error: failure },
+            ]);
+          } catch (error) {
+            console.error("Session store error:", error);
+            send(controller, {
+              type: "error",
+              error: { code: "STORAGE_FAILED", message: "This answer could not be saved to the conversation" },
+            });
+          }
+          send(controller, { type: "done", template: value.template.id, sessionId: session.id });
+          controller.close();
+        },
+      });
+
+      return new Response(readableStream, {
+        headers: {
+          "Content-Type": "application/x-ndjson; charset=utf-8",
+          // Which prompt version produced this answer (also in the `done` event)
+          "X-Prompt-Template": value.template.id,
+          "X-Session-Id": session.id,
+          ...ownerHeaders,
+        },
+      });
+    } catch (error) {
+      if (error instanceof ChatError) return errorResponse(error.status, error.code, error.message, error.details);
+      console.error("Chat API error:", error);
+      return errorResponse(500, "INTERNAL_ERROR", "Something went wrong while answering");
+    }
+  };
+}
@@ -0,0 +1,158 @@
+import { getConfig } from "./config.mjs";
+import { cleanText } from "./text.mjs";
+
+// Chunks are `{ section, content }`. Attraction chunks are cut along the
+// schema (one section per concern) and then along sentence boundaries, and
+// every chunk repeats the attraction name so it stands on its own in a prompt.
+
+export function splitSentences(text) {
+  const cleaned = cleanText(text);
+  if (!cleaned) return [];
+  // Split after . ! ? followed by whitespace and an upper-case letter or digit,
+  // which keeps "4.1/5" intact, but not after an abbreviation that precedes a
+  // name, which keeps "St. Thérèse" and "Mt. Choisy" intact.
+  return cleaned.split(/(?<=[.!?])(?<!\b(?:St|Ste|Mt|Mr|Mrs|Ms|Dr|Rev)\.)\s+(?=[\p{Lu}\d"“(])/u).filter(Boolean);
+}
+
+function splitLongSentence(sentence, chunkSize) {
+  const pieces = [];
+  let current = "";
+  for (const word of sentence.split(" ")) {
+    if (current && current.length + word.length + 1 > chunkSize) {
+      pieces.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Greedily pack whole sentences into chunks of at most `chunkSize` characters
+ * (default `chunking.chunkSize` in the config). Only a single sentence
+ * longer than `chunkSize` is cut, and then at a word.
+ */
+export function chunkText(text, chunkSize = getConfig().chunking.chunkSize) {
+  const chunks = [];
+  let current = "";
+  for (const sentence of splitSentences(text)) {
+    const parts = sentence.length > chunkSize ? splitLongSentence(sentence, chunkSize) : [sentence];
+    for (const part of parts) {
+      if (current && current.length + part.length + 1 > chunkSize) {
+        chunks.push(current);
+        current = part;
+      } else {
+        current = current ? `${current} ${part}` : part;
+      }
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function yesNo(value) {
+  if (value === true) return "yes";
+  if (value === false) return "no";
+  return "unknown";
+}
+
+function describeSection(attraction) {
+  const lines = [];
+  if (attraction.attraction_type) lines.push(`Type: ${attraction.attraction_type}.`);
+  const loc = attraction.location || {};
+  const region = loc.region;
+  if (loc.address || region) lines.push(`Location: ${[loc.address, region].filter(Boolean).join(" | ")}.`);
+  if (Array.isArray(attraction.tags) && attraction.tags.length) lines.push(`Tags: ${attraction.tags.join(", ")}.`);
+  if (attraction.description) lines.push(attraction.description);
+  return lines.join(" ");
+}
+
+function prerequisitesSection(attraction) {
+  const pre = attraction.prerequisites;
+  if (!pre) return "";
+  const lines = [
+    `Booking required: ${yesNo(pre.booking_required)}.`,
+    `Entrance fee required: ${yesNo(pre.fee_required)}.`,
+    `Tour guide required: ${yesNo(pre.tour_guide_required)}.`,
+  ];
+  const entryPoints = Array.isArray(pre.entry_points) ? pre.entry_points : [];
+  for (const entry of entryPoints) {
+    const notes = entry.access_notes ? ` ${entry.access_notes}` : "";
+    lines.push(`Entry point: ${entry.name || "unnamed"}.${notes}`);
+  }
+  if (pre.notes) lines.push(`Notes: ${pre.notes}`);
+  return lines.join(" ");
+}
+
+function reviewsSection(attraction) {
+  const reviews = Array.isArray(attraction.reviews) ? attraction.reviews : [];
+  return reviews
+    .map((r) => {
+      const count = r.reviewCount != null ? ` (${r.reviewCount} reviews)` : "";
+      const rating = r.rating != null ? ` rated ${r.rating}/5` : "";
+      const summary = r.summary ? ` ${r.summary}` : "";
+      return `${r.source || "Reviewers"}${rating}${count}.${summary}`;
+    })
+    .join(" ");
+}
+
+function advisoriesSection(attraction) {
+  const info = attraction.additional_info || {};
+  const advisories = info.advisories || {};
+  const lines = [];
+  for (const [kind, text] of Object.entries(advisories)) {
+    if (text) lines.push(`${kind[0].toUpperCase()}${kind.slice(1)} advisory: ${text}`);
+  }
+  if (info.notes) lines.push(`Notes: ${info.notes}`);
+  return lines.join(" ");
+}
+
+function subAttractionSection(sub) {
+  if (typeof sub === "string") return sub;
+  return [sub.name, sub.attraction_type && `(${sub.attraction_type})`, sub.description]
+    .filter(Boolean)
+    .join(" ");
+}
+
+const SECTION_LABELS = {
+  description: "Description",
+  prerequisites: "Prerequisites and entry points",
+  reviews: "Reviews",
+  advisories: "Advisories",
+  sub_attraction: "Sub-attraction",
+};
+
+// Least room a chunk body gets after the header, so a long attraction name
+// can't squeeze the body to a few characters (or below zero)
+const MIN_BODY_CHARS = 50;
+
+/**
+ * Split one attraction record into labelled chunks, one or more per section:
+ * description, prerequisites, reviews, advisories and each sub_attraction.
+ * Chunks stay within `chunkSize` unless the header alone leaves less than
+ * MIN_BODY_CHARS for the body; then the body gets that minimum.
+ */
+export function chunkAttraction(attraction, chunkSize = getConfig().chunking.chunkSize) {
+  const name = attraction.name || attraction.id || "Unnamed attraction";
+  const sections = [
+    ["description", describeSection(attraction)],
+    ["prerequisites", prerequisitesSection(attraction)],
+    ["reviews", reviewsSection(attraction)],
+    ["advisories", advisoriesSection(attraction)],
+    ...(Array.isArray(attraction.sub_attractions) ? attraction.sub_attractions : []).map((sub) => [
+      "sub_attraction",
+      subAttractionSection(sub),
+    ]),
+  ];
+
+  const chunks = [];
+  for (const [section, body] of sections) {
+    const header = `${name} — ${SECTION_LABELS[section]}: `;
+    for (const piece of chunkText(body, Math.max(MIN_BODY_CHARS, chunkSize - header.length))) {
+      chunks.push({ section, content: `${header}${piece}` });
+    }
+  }
+  return chunks;
+}
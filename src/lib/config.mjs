@@ -0,0 +1,290 @@
+import fs from "fs";
+import path from "path";
+
+// Every setting the app reads, in one place. Values are resolved in layers,
+// later ones winning:
+//   1. the defaults in SETTINGS
+//   2. the profile (APP_ENV = dev | test | prod; otherwise NODE_ENV
+//      "production" -> prod, "test" -> test, anything else -> dev)
+//   3. the config file (CONFIG_FILE, default mauritius.config.json if it
+//      exists): the same nested shape as the config, plus an optional
+//      `profiles: { prod: {...} }` section applied on top for that profile
+//   4. environment variables
+// Values are coerced and checked against their type; every problem is
+// reported at once in a ConfigError.
+
+export const PROFILES = ["dev", "test", "prod"];
+export const DEFAULT_CONFIG_FILE = "mauritius.config.json";
+
+const GEMINI_CHAT_MODEL = "gemini-2.5-flash-preview-05-20";
+
+// setting path -> { env, type, default, choices?, min?, max?, secret? }
+// type: string | integer | number | boolean | path (resolved against the cwd)
+const SETTINGS = {
+  "gemini.apiKey": { env: "GEMINI_API_KEY", type: "string", default: null, secret: true },
+  "gemini.chatModel": { env: "GEMINI_CHAT_MODEL", type: "string", default: GEMINI_CHAT_MODEL },
+  "gemini.temperature": { env: "GEMINI_TEMPERATURE", type: "number", default: 0.7, min: 0, max: 2 },
+  "gemini.embeddingModel": { env: "GEMINI_EMBEDDING_MODEL", type: "string", default: "models/embedding-001" },
+
+  "embeddings.provider": { env: "EMBEDDING_PROVIDER", type: "string", default: "gemini", choices: ["gemini", "local"] },
+  // null: the provider's own size (768 for both)
+  "embeddings.dimension": { env: "EMBEDDING_DIMENSION", type: "integer", default: null, min: 1 },
+  // Ingest pipeline: texts per batch request (Gemini takes up to 100),
+  // requests in flight, the request rate and retries on 429/5xx
+  "embeddings.batchSize": { env: "EMBED_BATCH_SIZE", type: "integer", default: 50, min: 1, max: 100 },
+  "embeddings.concurrency": { env: "EMBED_CONCURRENCY", type: "integer", default: 2, min: 1 },
+  "embeddings.requestsPerMinute": { env: "EMBED_REQUESTS_PER_MINUTE", type: "number", default: 60, min: 1 },
+  "embeddings.maxRetries": { env: "EMBED_MAX_RETRIES", type: "integer", default: 5, min: 0 },
+
+  "vectorStore.backend": { env: "VECTOR_STORE", type: "string", default: "qdrant", choices: ["qdrant", "local", "memory"] },
+  "vectorStore.url": { env: "QDRANT_URL", type: "string", default: "http://localhost:6333/" },
+  "vectorStore.collection": { env: "QDRANT_COLLECTION_NAME", type: "string", default: "mauritius_knowledge" },
+  "vectorStore.localDir": { env: "LOCAL_STORE_DIR", type: "path", default: "embeddings" },
+  // Expected vector size; null accepts whatever the embedder produces
+  "vectorStore.vectorSize": { env: "VECTOR_SIZE", type: "integer", default: null, min: 1 },
+  // Points per upsert during ingest
+  "vectorStore.uploadBatchSize": { env: "UPLOAD_BATCH_SIZE", type: "integer", default: 64, min: 1 },
+
+  "chunking.chunkSize": { env: "CHUNK_SIZE", type: "integer", default: 500, min: 50 },
+
+  "retrieval.k": { env: "RETRIEVAL_K", type: "integer", default: 5, min: 1 },
+  "retrieval.mode": { env: "RETRIEVAL_MODE", type: "string", default: "hybrid", choices: ["hybrid", "dense", "lexical"] },
+  "retrieval.denseWeight": { env: "HYBRID_DENSE_WEIGHT", type: "number", default: 1, min: 0 },
+  "retrieval.lexicalWeight": { env: "HYBRID_LEXICAL_WEIGHT", type: "number", default: 1, min: 0 },
+  "retrieval.rrfK": { env: "HYBRID_RRF_K", type: "number", default: 60, min: 0 },
+  "retrieval.candidates": { env: "HYBRID_CANDIDATES", type: "integer", default: 20, min: 1 },
+  "retrieval.geoBoostWeight": { env: "GEO_BOOST_WEIGHT", type: "number", default: 0.5, min: 0 },
+  "retrieval.geoBoostScaleKm": { env: "GEO_BOOST_SCALE_KM", type: "number", default: 10, min: 0 },
+
+  "rerank.reranker": { env: "RERANKER", type: "string", default: "heuristic", choices: ["heuristic", "llm", "none"] },
+  "rerank.candidates": { env: "RERANK_CANDIDATES", type: "integer", default: 30, min: 1 },
+  "rerank.mmr": { env: "RERANK_MMR", type: "boolean", default: true },
+  "rerank.lambda": { env: "MMR_LAMBDA", type: "number", default: 0.7, min: 0, max: 1 },
+
+  "queryRewrite.rewriter": { env: "QUERY_REWRITER", type: "string", default: "rules", choices: ["rules", "llm", "none"] },
+  "queryRewrite.split": { env: "QUERY_SPLIT", type: "boolean", default: true },
+
+  "prompts.template": { env: "PROMPT_TEMPLATE", type: "string", default: "itinerary" },
+
+  // "all", "none" or a comma-separated list of tool names
+  "agent.tools": { env: "AGENT_TOOLS", type: "string", default: "all" },
+  "agent.maxSteps": { env: "AGENT_MAX_STEPS", type: "integer", default: 5, min: 1 },
+
+  // null: "postgres" when a database URL is set, otherwise "file"
+  "sessions.backend": { env: "SESSION_STORE", type: "string", default: null, choices: ["postgres", "file", "memory"] },
+  "sessions.dir": { env: "SESSION_STORE_DIR", type: "path", default: "sessions" },
+  "sessions.databaseUrl": { env: "DATABASE_URL", type: "string", default: null, secret: true },
+
+  // Where embeddings are cached by content (text + model); see src/lib/cache.mjs
+  "cache.embeddings": { env: "EMBEDDING_CACHE", type: "string", default: "file", choices: ["file", "sqlite", "memory", "none"] },
+  "cache.dir": { env: "CACHE_DIR", type: "path", default: ".cache" },
+  // Vectors the file cache keeps in memory; the file is compacted at twice this
+  "cache.embeddingsSize": { env: "EMBEDDING_CACHE_SIZE", type: "integer", default: 20000, min: 1 },
+  // Retrieval results kept in memory; 0 turns the cache off
+  "cache.retrievalSize": { env: "RETRIEVAL_CACHE_SIZE", type: "integer", default: 500, min: 0 },
+  // Seconds a cached retrieval result is served for; 0: until the collection changes
+  "cache.retrievalTtl": { env: "RETRIEVAL_CACHE_TTL", type: "number", default: 300, min: 0 },
+};
+
+// Profile defaults, applied over SETTINGS. `test` runs fully offline.
+const PROFILE_DEFAULTS = {
+  dev: {},
+  test: {
+    embeddings: { provider: "local" },
+    vectorStore: { backend: "memory" },
+    sessions: { backend: "memory" },
+    rerank: { reranker: "heuristic" },
+    queryRewrite: { rewriter: "rules" },
+    cache: { embeddings: "memory" },
+  },
+  prod: {},
+};
+
+/**
+ * @typedef {object} Config
+ * @property {"dev"|"test"|"prod"} profile
+ * @property {string|null} file  config file that was read, if any
+ * @property {{ apiKey: string|null, chatModel: string, temperature: number, embeddingModel: string }} gemini
+ * @property {{ provider: "gemini"|"local", dimension: number|null, batchSize: number, concurrency: number,
+ *   requestsPerMinute: number, maxRetries: number }} embeddings
+ * @property {{ backend: "qdrant"|"local"|"memory", url: string, collection: string, localDir: string, vectorSize: number|null,
+ *   uploadBatchSize: number }} vectorStore
+ * @property {{ chunkSize: number }} chunking
+ * @property {{ k: number, mode: "hybrid"|"dense"|"lexical", denseWeight: number, lexicalWeight: number, rrfK: number,
+ *   candidates: number, geoBoostWeight: number, geoBoostScaleKm: number }} retrieval
+ * @property {{ reranker: "heuristic"|"llm"|"none", candidates: number, mmr: boolean, lambda: number }} rerank
+ * @property {{ rewriter: "rules"|"llm"|"none", split: boolean }} queryRewrite
+ * @property {{ template: string }} prompts
+ * @property {{ tools: string, maxSteps: number }} agent
+ * @property {{ backend: "postgres"|"file"|"memory"|null, dir: string, databaseUrl: string|null }} sessions
+ * @property {{ embeddings: "file"|"sqlite"|"memory"|"none", dir: string, embeddingsSize: number, retrievalSize: number, retrievalTtl: number }} cache
+ */
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  ${problems.join("\n  ")}`);
+    this.problems = problems;
+  }
+}
+
+function getPath(object, key) {
+  return key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split(".");
+  let target = object;
+  for (const part of parts.slice(0, -1)) target = target[part] ??= {};
+  target[parts.at(-1)] = value;
+}
+
+function coerce(setting, raw) {
+  if (raw === null) return { value: null };
+  const { type, choices, min, max } = setting;
+  let value = raw;
+  if (type === "integer" || type === "number") {
+    value = typeof raw === "string" ? Number(raw.trim()) : raw;
+    if (typeof value !== "number" || !Number.isFinite(value) || (type === "integer" && !Number.isInteger(value))) {
+      return { error: `must be ${type === "integer" ? "an integer" : "a number"}` };
+    }
+    if (min !== undefined && value < min) return { error: `must be at least ${min}` };
+    if (max !== undefined && value > max) return { error: `must be at most ${max}` };
+  } else if (type === "boolean") {
+    if (typeof raw === "string") {
+      if (!["true", "false"].includes(raw.trim().toLowerCase())) return { error: "must be true or false" };
+      value = raw.trim().toLowerCase() === "true";
+    } else if (typeof raw !== "boolean") {
+      return { error: "must be true or false" };
+    }
+  } else {
+    if (typeof raw !== "string" || !raw.trim()) return { error: "must be a non-empty string" };
+    value = raw.trim();
+    if (choices) value = value.toLowerCase();
+    if (choices && !choices.includes(value)) return { error: `must be one of: ${choices.join(", ")}` };
+    if (type === "path") value = path.resolve(value);
+  }
+  return { value };
+}
+
+/**
+ * The profile selected by APP_ENV, falling back to NODE_ENV.
+ */
+export function resolveProfile(env = process.env) {
+  if (env.APP_ENV) return env.APP_ENV.toLowerCase();
+  if (env.NODE_ENV === "production") return "prod";
+  if (env.NODE_ENV === "test") return "test";
+  return "dev";
+}
+
+function readConfigFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new ConfigError([`config file ${file} not found`]);
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new ConfigError([`config file ${file} is not valid JSON: ${error.message}`]);
+  }
+}
+
+/**
+ * Resolve the configuration from defaults, `profile`, the config `file` and
+ * `env`; throws a ConfigError listing every invalid or unknown setting.
+ * Returns a frozen Config.
+ * @returns {Config}
+ */
+export function loadConfig({ env = process.env, profile = resolveProfile(env), file = env.CONFIG_FILE } = {}) {
+  const problems = [];
+  if (!PROFILES.includes(profile)) {
+    throw new ConfigError([`profile "${profile}" must be one of: ${PROFILES.join(", ")} (APP_ENV)`]);
+  }
+  const configFile = path.resolve(file || DEFAULT_CONFIG_FILE);
+  const fromFile = readConfigFile(configFile, Boolean(file));
+
+  const layers = [
+    { name: `profile ${profile}`, values: PROFILE_DEFAULTS[profile] },
+    { name: configFile, values: fromFile ? { ...fromFile, profiles: undefined } : {} },
+    { name: `${configFile} (profiles.${profile})`, values: fromFile?.profiles?.[profile] || {} },
+  ];
+  // Typos in a config file would otherwise be silently ignored
+  for (const layer of layers.slice(1)) {
+    for (const [section, values] of Object.entries(layer.values)) {
+      if (values === undefined) continue;
+      if (!values || typeof values !== "object" || Array.isArray(values)) {
+        problems.push(`${layer.name}: ${section} must be an object`);
+        continue;
+      }
+      for (const key of Object.keys(values)) {
+        if (!SETTINGS[`${section}.${key}`]) problems.push(`${layer.name}: unknown setting ${section}.${key}`);
+      }
+    }
+  }
+
+  const config = { profile, file: fromFile ? configFile : null };
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    let value = setting.type === "path" && setting.default ? path.resolve(setting.default) : setting.default;
+    const sources = [
+      ...layers.map((layer) => ({ name: layer.name, raw: getPath(layer.values, key) })),
+      { name: setting.env, raw: env[setting.env] === "" ? undefined : env[setting.env] },
+    ];
+    for (const { name, raw } of sources) {
+      if (raw === undefined) continue;
+      const result = coerce(setting, raw);
+      if (result.error) {
+        const shown = setting.secret ? "" : `, got ${JSON.stringify(raw)}`;
+        problems.push(`${key} (${name}) ${result.error}${shown}`);
+      } else {
+        value = result.value;
+      }
+    }
+    setPath(config, key, value);
+  }
+
+  if (profile === "prod") {
+    // Nothing works without the model, and in-memory stores lose everything on restart
+    if (!config.gemini.apiKey) problems.push("gemini.apiKey (GEMINI_API_KEY) is required in the prod profile");
+    if (config.vectorStore.backend === "memory") problems.push("vectorStore.backend cannot be memory in the prod profile");
+    if (config.sessions.backend === "memory") problems.push("sessions.backend cannot be memory in the prod profile");
+  }
+  if (problems.length) throw new ConfigError(problems);
+
+  for (const section of Object.values(config)) {
+    if (section && typeof section === "object") Object.freeze(section);
+  }
+  return Object.freeze(config);
+}
+
+let cached = null;
+
+/**
+ * `loadConfig()` for the current process, resolved on first use and cached
+ * after that. Call reloadConfig() after changing the environment or the
+ * config file.
+ * @returns {Config}
+ */
+export function getConfig() {
+  cached ??= loadConfig();
+  return cached;
+}
+
+/**
+ * Drop the cached config and resolve it again from the current environment
+ * and config file.
+ * @returns {Config}
+ */
+export function reloadConfig() {
+  cached = null;
+  return getConfig();
+}
+
+/**
+ * The config with secrets masked, for printing.
+ */
+export function describeConfig(config = getConfig()) {
+  const copy = JSON.parse(JSON.stringify(config));
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    if (setting.secret && getPath(copy, key)) setPath(copy, key, "(set)");
+  }
+  return copy;
+}
@@ -0,0 +1,418 @@
+import fs from "fs";
+import path from "path";
+import { haversineKm } from "./geo.mjs";
+import { stem, tokenize } from "./text.mjs";
+
+// Loading, validation, normalisation and merging of the files under Dataset/.
+// Ingestion only ever sees normalised records: numeric ratings, a fixed
+// region vocabulary and `location.region` (never `loc.Region`), with the same
+// place described in several files collapsed into one canonical record.
+
+export const DATASET_DIR = path.join(process.cwd(), "Dataset");
+// Oldest first: when files disagree, the later file wins.
+export const ATTRACTION_FILES = ["attractions.json", "attractions_ver2.json"];
+export const TRAVEL_DOCS_FILE = "travel_docs.json";
+
+export const REGIONS = [
+  "North",
+  "Northeast",
+  "East",
+  "Southeast",
+  "South",
+  "Southwest",
+  "West",
+  "Northwest",
+  "Central",
+];
+
+// Lower-cased free-text labels seen in the data, mapped onto REGIONS.
+const REGION_ALIASES = {
+  center: "Central",
+  centre: "Central",
+  plateau: "Central",
+  midlands: "Central",
+  "curepipe center": "Central",
+  "curepipe centre": "Central",
+  "north of curepipe": "Central",
+  "east – midlands": "Central",
+  "east - midlands": "Central",
+  "north east": "Northeast",
+  "south east": "Southeast",
+  "south west": "Southwest",
+  "north west": "Northwest",
+};
+
+// Main island plus offshore islets, and Rodrigues.
+const MAURITIUS_BOUNDS = [
+  { minLat: -20.6, maxLat: -19.8, minLng: 57.25, maxLng: 57.85 },
+  { minLat: -19.8, maxLat: -19.6, minLng: 63.3, maxLng: 63.5 },
+];
+
+const POPULARITY_LEVELS = ["low", "moderate", "high"];
+
+export function normalizeRegion(value) {
+  if (typeof value !== "string" || !value.trim()) return null;
+  const key = value.trim().toLowerCase();
+  const direct = REGIONS.find((r) => r.toLowerCase() === key);
+  return direct || REGION_ALIASES[key] || null;
+}
+
+/**
+ * "4.1/5 stars", "4.5/5", "5/5" or 4.1 -> 4.1 on a 0–5 scale; null if unparseable.
+ */
+export function parseRating(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string") return null;
+  const match = value.match(/(\d+(?:\.\d+)?)\s*(?:\/\s*(\d+(?:\.\d+)?))?/);
+  if (!match) return null;
+  const score = Number(match[1]);
+  const scale = match[2] ? Number(match[2]) : 5;
+  return scale === 5 ? score : Math.round((score / scale) * 5 * 10) / 10;
+}
+
+export function isWithinMauritius(lat, lng) {
+  return MAURITIUS_BOUNDS.some(
+    (b) => lat >= b.minLat && lat <= b.maxLat && lng >= b.minLng && lng <= b.maxLng
+  );
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Return a normalised copy of one attraction record. Never throws; problems
+ * are reported separately by `validateAttraction`.
+ */
+export function normalizeAttraction(record) {
+  const loc = record.location || {};
+  const { Region, ...restLocation } = loc;
+  const rawRegion = loc.region ?? Region;
+
+  const popularity = {};
+  for (const [audience, level] of Object.entries(record.audience_popularity || {})) {
+    popularity[audience] = typeof level === "string" ? level.trim().toLowerCase() : level;
+  }
+
+  return {
+    ...record,
+    attraction_type: isNonEmptyString(record.attraction_type)
+      ? record.attraction_type.trim().toLowerCase().replace(/\s+/g, "_")
+      : record.attraction_type,
+    tags: [...new Set((record.tags || []).map((t) => String(t).trim().toLowerCase()).filter(Boolean))],
+    audience_popularity: popularity,
+    location: {
+      ...restLocation,
+      latitude: Number(loc.latitude),
+      longitude: Number(loc.longitude),
+      region: normalizeRegion(rawRegion) ?? rawRegion,
+    },
+    reviews: (record.reviews || []).map((r) => ({
+      ...r,
+      rating: parseRating(r.rating),
+      reviewCount: r.reviewCount == null ? null : Number(r.reviewCount),
+    })),
+    sub_attractions: Array.isArray(record.sub_attractions) ? record.sub_attractions : [],
+  };
+}
+
+/**
+ * Check one raw attraction record. Returns `{ errors, warnings }` as lists of
+ * human-readable messages; errors block ingestion, warnings do not.
+ */
+export function validateAttraction(record) {
+  const errors = [];
+  const warnings = [];
+
+  for (const field of ["id", "name", "attraction_type", "description"]) {
+    if (!isNonEmptyString(record[field])) errors.push(`missing required field "${field}"`);
+  }
+
+  const loc = record.location;
+  if (!loc || typeof loc !== "object") {
+    errors.push(`missing required field "location"`);
+  } else {
+    const lat = Number(loc.latitude);
+    const lng = Number(loc.longitude);
+    if (loc.latitude == null || loc.longitude == null || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      errors.push("location.latitude/longitude must be numbers");
+    } else if (!isWithinMauritius(lat, lng)) {
+      errors.push(`location (${lat}, ${lng}) is outside Mauritius`);
+    }
+    const rawRegion = loc.region ?? loc.Region;
+    if (!isNonEmptyString(rawRegion)) {
+      errors.push(`missing required field "location.region"`);
+    } else if (!normalizeRegion(rawRegion)) {
+      errors.push(`unknown region "${rawRegion}" (expected one of: ${REGIONS.join(", ")})`);
+    }
+    if (loc.Region !== undefined) warnings.push(`"location.Region" should be "location.region"`);
+  }
+
+  const pre = record.prerequisites;
+  if (!pre || typeof pre !== "object") {
+    errors.push(`missing required field "prerequisites"`);
+  } else {
+    for (const flag of ["fee_required", "booking_required", "tour_guide_required"]) {
+      if (typeof pre[flag] !== "boolean") errors.push(`prerequisites.${flag} must be true or false`);
+    }
+    (pre.entry_points || []).forEach((entry, i) => {
+      if (!isNonEmptyString(entry?.name)) errors.push(`prerequisites.entry_points[${i}].name is missing`);
+      if (entry?.latitude != null && entry?.longitude != null && !isWithinMauritius(Number(entry.latitude), Number(entry.longitude))) {
+        errors.push(`prerequisites.entry_points[${i}] (${entry.latitude}, ${entry.longitude}) is outside Mauritius`);
+      }
+    });
+  }
+
+  if (record.tags !== undefined && !Array.isArray(record.tags)) errors.push("tags must be an array");
+
+  for (const [audience, level] of Object.entries(record.audience_popularity || {})) {
+    if (!POPULARITY_LEVELS.includes(String(level).trim().toLowerCase())) {
+      errors.push(`audience_popularity.${audience} "${level}" is not one of: ${POPULARITY_LEVELS.join(", ")}`);
+    }
+  }
+
+  (record.reviews || []).forEach((review, i) => {
+    if (review?.rating == null) {
+      warnings.push(`reviews[${i}] has no rating`);
+      return;
+    }
+    const rating = parseRating(review.rating);
+    if (rating === null) errors.push(`reviews[${i}].rating "${review.rating}" is not a rating`);
+    else if (rating < 0 || rating > 5) errors.push(`reviews[${i}].rating "${review.rating}" is outside 0–5`);
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Structured fields stored on every chunk of an attraction so retrieval can
+ * filter on them. `location` uses Qdrant's geo shape ({ lat, lon }).
+ */
+export function filterableFields(attraction) {
+  const pre = attraction.prerequisites || {};
+  const ratings = (attraction.reviews || []).map((r) => r.rating).filter((r) => typeof r === "number");
+  const rating = ratings.length
+    ? Math.round((ratings.reduce((sum, r) => sum + r, 0) / ratings.length) * 10) / 10
+    : null;
+  return {
+    attraction_id: attraction.id,
+    attraction_type: attraction.attraction_type,
+    region: attraction.location?.region,
+    tags: attraction.tags || [],
+    fee_required: pre.fee_required,
+    booking_required: pre.booking_required,
+    tour_guide_required: pre.tour_guide_required,
+    popularity_locals: attraction.audience_popularity?.locals ?? null,
+    popularity_tourists: attraction.audience_popularity?.tourists ?? null,
+    rating,
+    location: { lat: attraction.location.latitude, lon: attraction.location.longitude },
+  };
+}
+
+function readJson(fileName, dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, fileName), "utf-8"));
+}
+
+// ---------- Merging across dataset versions ----------
+
+const SAME_PLACE_MAX_KM = 0.1;
+
+export function normalizeName(name) {
+  return tokenize(name).map(stem).join(" ");
+}
+
+function nameSimilarity(a, b) {
+  const ta = new Set(normalizeName(a).split(" "));
+  const tb = new Set(normalizeName(b).split(" "));
+  const shared = [...ta].filter((t) => tb.has(t)).length;
+  return shared / new Set([...ta, ...tb]).size;
+}
+
+/**
+ * Why two records describe the same place, or null. Coordinates alone are
+ * not enough: several distinct sites share a car park (Vallée de Ferney and
+ * Ferney Viewpoint sit on the same point), so proximity also needs a
+ * similar name.
+ */
+function sameAttractionReason(a, b) {
+  if (a.id === b.id) return "id";
+  if (normalizeName(a.name) === normalizeName(b.name)) return "name";
+  const distance = haversineKm(a.location, b.location);
+  if (distance <= SAME_PLACE_MAX_KM && nameSimilarity(a.name, b.name) >= 0.8) return "proximity";
+  return null;
+}
+
+function unionBy(older = [], newer = [], keyOf) {
+  const byKey = new Map();
+  for (const item of [...older, ...newer]) {
+    byKey.set(keyOf(item), item);
+  }
+  return [...byKey.values()];
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function preferNewer(older = {}, newer = {}) {
+  const merged = { ...older };
+  for (const [key, value] of Object.entries(newer)) {
+    if (!isEmpty(value)) merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * Merge `newer` into `older` (both normalised). Scalars from the newer record
+ * win unless empty; tags, reviews, entry points and sub-attractions are
+ * unioned; the older id is kept so point ids stay stable.
+ */
+function mergePair(older, newer) {
+  const merged = preferNewer(older, newer);
+  merged.id = older.id;
+  merged.tags = [...new Set([...(older.tags || []), ...(newer.tags || [])])];
+  merged.audience_popularity = preferNewer(older.audience_popularity, newer.audience_popularity);
+  merged.location = preferNewer(older.location, newer.location);
+  merged.prerequisites = {
+    ...preferNewer(older.prerequisites, newer.prerequisites),
+    entry_points: unionBy(older.prerequisites?.entry_points, newer.prerequisites?.entry_points, (e) =>
+      normalizeName(e.name)
+    ),
+  };
+  merged.reviews = unionBy(older.reviews, newer.reviews, (r) => r.url || `${r.source}|${r.summary}`);
+  merged.additional_info = {
+    ...preferNewer(older.additional_info, newer.additional_info),
+    advisories: preferNewer(older.additional_info?.advisories, newer.additional_info?.advisories),
+  };
+  merged.sub_attractions = unionBy(older.sub_attractions, newer.sub_attractions, (sub) =>
+    normalizeName(typeof sub === "string" ? sub : sub.name)
+  );
+  merged.source_file = newer.source_file;
+  merged.sources = [...new Set([...(older.sources || [older.source_file]), newer.source_file])];
+  merged.aliases = [...new Set([...(older.aliases || []), newer.id].filter((id) => id !== merged.id))];
+  return merged;
+}
+
+/**
+ * Collapse records describing the same place (same id, same normalised name,
+ * or within 100 m with a similar name) into one canonical record per place.
+ * Input order is precedence order: later records win.
+ *
+ * Returns `{ attractions, merges }`; each merge is
+ * `{ id, merged_id, merged_from, reason }`.
+ */
+export function mergeAttractions(records) {
+  const canonical = [];
+  const merges = [];
+  for (const record of records) {
+    const index = canonical.findIndex((existing) => sameAttractionReason(existing, record));
+    if (index === -1) {
+      canonical.push({ ...record, sources: [record.source_file], aliases: [] });
+      continue;
+    }
+    const reason = sameAttractionReason(canonical[index], record);
+    merges.push({ id: canonical[index].id, merged_id: record.id, merged_from: record.source_file, reason });
+    canonical[index] = mergePair(canonical[index], record);
+  }
+  return { attractions: canonical, merges };
+}
+
+/**
+ * Load, validate, normalise and merge every dataset file.
+ *
+ * Returns `{ attractions, travelDocs, issues, merges }`. Each attraction
+ * carries `source_file` (the file that won) and `sources` (every file that
+ * described it); each issue is `{ file, index, id, level, message }`.
+ */
+export function loadDataset({ dir = DATASET_DIR, files = ATTRACTION_FILES } = {}) {
+  const issues = [];
+  const attractions = [];
+
+  for (const file of files) {
+    // Ids repeat legitimately across versions (merged below), never within a file.
+    const seenIds = new Map();
+    if (!fs.existsSync(path.join(dir, file))) {
+      issues.push({ file, index: null, id: null, level: "warning", message: "file not found, skipped" });
+      continue;
+    }
+    let raw;
+    try {
+      raw = readJson(file, dir);
+    } catch (error) {
+      issues.push({ file, index: null, id: null, level: "error", message: `invalid JSON: ${error.message}` });
+      continue;
+    }
+    const records = Array.isArray(raw?.attractions) ? raw.attractions : Array.isArray(raw) ? raw : null;
+    if (!records) {
+      issues.push({ file, index: null, id: null, level: "error", message: `expected an "attractions" array` });
+      continue;
+    }
+
+    records.forEach((record, index) => {
+      const { errors, warnings } = validateAttraction(record);
+      const id = record?.id ?? null;
+      if (id && seenIds.has(id)) {
+        const first = seenIds.get(id);
+        errors.push(`duplicate id, first seen at index ${first.index}`);
+      } else if (id) {
+        seenIds.set(id, { index });
+      }
+      for (const message of errors) issues.push({ file, index, id, level: "error", message });
+      for (const message of warnings) issues.push({ file, index, id, level: "warning", message });
+      if (errors.length === 0) {
+        attractions.push({ ...normalizeAttraction(record), source_file: file });
+      }
+    });
+  }
+
+  let travelDocs = [];
+  if (fs.existsSync(path.join(dir, TRAVEL_DOCS_FILE))) {
+    const docs = readJson(TRAVEL_DOCS_FILE, dir);
+    travelDocs = (Array.isArray(docs) ? docs : []).filter((doc, index) => {
+      const ok = isNonEmptyString(doc?.title) && isNonEmptyString(doc?.content);
+      if (!ok) {
+        issues.push({ file: TRAVEL_DOCS_FILE, index, id: doc?.title ?? null, level: "error", message: "title and content are required" });
+      }
+      return ok;
+    });
+  }
+
+  const { attractions: merged, merges } = mergeAttractions(attractions);
+  return { attractions: merged, travelDocs, issues, merges };
+}
+
+// Servers (API routes, chat) read the dataset on every request; reuse the
+// merged result until one of the files changes on disk.
+const datasetCache = new Map();
+
+/**
+ * `loadDataset()` memoised per directory and file modification times.
+ */
+export function getDataset({ dir = DATASET_DIR, files = ATTRACTION_FILES } = {}) {
+  const stamp = [...files, TRAVEL_DOCS_FILE]
+    .map((file) => {
+      const full = path.join(dir, file);
+      return fs.existsSync(full) ? fs.statSync(full).mtimeMs : 0;
+    })
+    .join(":");
+  const key = `${dir}|${files.join(",")}`;
+  const cached = datasetCache.get(key);
+  if (cached && cached.stamp === stamp) return cached.dataset;
+  const dataset = loadDataset({ dir, files });
+  datasetCache.set(key, { stamp, dataset });
+  return dataset;
+}
+
+export function hasErrors(issues) {
+  return issues.some((issue) => issue.level === "error");
+}
+
+export function formatIssues(issues) {
+  return issues
+    .map((issue) => {
+      const where = issue.index === null ? issue.file : `${issue.file}[${issue.index}]`;
+      const icon = issue.level === "error" ? "❌" : "⚠️";
+      return `${icon} ${where}${issue.id ? ` ${issue.id}` : ""}: ${issue.message}`;
+    })
+    .join("\n");
+}
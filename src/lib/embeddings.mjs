@@ -0,0 +1,195 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { embeddingCacheKey, getEmbeddingCache } from "./cache.mjs";
+import { getConfig } from "./config.mjs";
+import { stem, tokenize } from "./text.mjs";
+
+// Every embedder exposes the same shape:
+//   { provider, model, dimension, embed(text) -> Promise<number[]>,
+//     embedBatch(texts) -> Promise<number[][]> }
+// so ingest and query paths never need to know which one they were given.
+// embedBatch returns vectors in the order of `texts`.
+
+const GEMINI_DIMENSION = 768;
+
+const LOCAL_EMBEDDING_MODEL = "hashed-bow-v1";
+const LOCAL_DIMENSION = 768;
+
+export function createGeminiEmbedder({
+  apiKey = getConfig().gemini.apiKey,
+  model = getConfig().gemini.embeddingModel,
+  dimension = GEMINI_DIMENSION,
+} = {}) {
+  // The API has no output size to ask for, so a different one can't be honoured
+  if (dimension !== GEMINI_DIMENSION) {
+    throw new Error(
+      `The gemini embedder produces ${GEMINI_DIMENSION}-dim vectors, not ${dimension} (unset EMBEDDING_DIMENSION or set it to ${GEMINI_DIMENSION})`
+    );
+  }
+  if (!apiKey) {
+    throw new Error(
+      "GEMINI_API_KEY is not set in environment (set EMBEDDING_PROVIDER=local to embed offline)"
+    );
+  }
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const embeddingModel = genAI.getGenerativeModel({ model });
+
+  return {
+    provider: "gemini",
+    model,
+    dimension: GEMINI_DIMENSION,
+    async embed(text) {
+      const embedResp = await embeddingModel.embedContent(text);
+      return embedResp.embedding.values;
+    },
+    // One request for up to 100 texts
+    async embedBatch(texts) {
+      const { embeddings } = await embeddingModel.batchEmbedContents({
+        requests: texts.map((text) => ({ content: { role: "user", parts: [{ text }] } })),
+      });
+      return embeddings.map((embedding) => embedding.values);
+    },
+  };
+}
+
+// 32-bit FNV-1a; stable across runs and platforms, which is all we need here.
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic offline embedder: hashed bag of unigrams and bigrams with
+ * sublinear term frequency, projected onto a fixed number of dimensions and
+ * L2-normalised so cosine similarity behaves like the Gemini vectors.
+ */
+export function createLocalEmbedder({ dimension = LOCAL_DIMENSION } = {}) {
+  function embedSync(text) {
+    const tokens = tokenize(text).map(stem);
+    const features = [...tokens];
+    for (let i = 0; i < tokens.length - 1; i++) {
+      features.push(`${tokens[i]}_${tokens[i + 1]}`);
+    }
+
+    const counts = new Map();
+    for (const feature of features) {
+      counts.set(feature, (counts.get(feature) || 0) + 1);
+    }
+
+    const vector = new Array(dimension).fill(0);
+    for (const [feature, count] of counts) {
+      const hash = hashToken(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % dimension] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm ? vector.map((v) => v / norm) : vector;
+  }
+
+  return {
+    provider: "local",
+    model: LOCAL_EMBEDDING_MODEL,
+    dimension,
+    async embed(text) {
+      return embedSync(text);
+    },
+    async embedBatch(texts) {
+      return texts.map(embedSync);
+    },
+  };
+}
+
+/**
+ * Wrap `embedder` so each text is embedded once per model: vectors are looked
+ * up in `cache` (see src/lib/cache.mjs) and stored after a miss. The result's
+ * `cache` counts hits and misses. A cache that can't be written to (e.g. a
+ * read-only filesystem) is warned about once and otherwise ignored.
+ */
+export function withEmbeddingCache(embedder, cache) {
+  const stats = { backend: cache.backend, location: cache.location, hits: 0, misses: 0 };
+  let warned = false;
+
+  async function store(key, vector) {
+    try {
+      await cache.set(key, vector);
+    } catch (error) {
+      if (!warned) console.warn(`⚠️ Embedding cache ${cache.location} is not writable: ${error.message}`);
+      warned = true;
+    }
+  }
+
+  return {
+    ...embedder,
+    cache: stats,
+    async embed(text) {
+      const key = embeddingCacheKey(embedder, text);
+      const cached = await cache.get(key);
+      if (cached) {
+        stats.hits++;
+        return cached;
+      }
+      stats.misses++;
+      const vector = await embedder.embed(text);
+      await store(key, vector);
+      return vector;
+    },
+    // Only the texts missing from the cache go to the provider, in one batch
+    async embedBatch(texts) {
+      const keys = texts.map((text) => embeddingCacheKey(embedder, text));
+      const vectors = await Promise.all(keys.map((key) => cache.get(key)));
+      const missing = vectors.flatMap((vector, i) => (vector ? [] : [i]));
+      stats.hits += texts.length - missing.length;
+      stats.misses += missing.length;
+      if (missing.length) {
+        const embedded = await embedder.embedBatch(missing.map((i) => texts[i]));
+        for (const [j, i] of missing.entries()) {
+          vectors[i] = embedded[j];
+          await store(keys[i], embedded[j]);
+        }
+      }
+      return vectors;
+    },
+  };
+}
+
+const PROVIDERS = {
+  gemini: createGeminiEmbedder,
+  local: createLocalEmbedder,
+};
+
+/**
+ * Build the embedder selected by `embeddings.provider` in the config
+ * (EMBEDDING_PROVIDER, default "gemini"). Options are passed through to the
+ * provider factory. Gemini embeddings go through the configured embedding
+ * cache (`cache.embeddings`) unless `options.cache` is false or another cache.
+ */
+export function getEmbeddingProvider(options = {}) {
+  const { embeddings } = getConfig();
+  const name = (options.provider || embeddings.provider).toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown embedding provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`
+    );
+  }
+  const dimension = options.dimension ?? embeddings.dimension;
+  const embedder = factory({ ...options, ...(dimension ? { dimension } : {}) });
+  // The local embedder is quicker than a cache lookup
+  if (name === "local" || options.cache === false) return embedder;
+  const cache = options.cache ?? getEmbeddingCache();
+  return cache ? withEmbeddingCache(embedder, cache) : embedder;
+}
+
+/**
+ * Payload fields recording which embedder produced a vector.
+ */
+export function embeddingMetadata(embedder) {
+  return {
+    embedding_provider: embedder.provider,
+    embedding_model: embedder.model,
+  };
+}
@@ -0,0 +1,102 @@
+import { normalizeRegion } from "./dataset.mjs";
+
+// Caller-facing filter fields, mapped onto payload fields written at ingest.
+// e.g. { region: "East", tags: ["snorkeling"], fee_required: false,
+//        near: { latitude: -20.28, longitude: 57.365, radius_km: 10 } }
+const FILTER_FIELDS = {
+  region: "region",
+  type: "attraction_type",
+  attraction_type: "attraction_type",
+  tags: "tags",
+  fee_required: "fee_required",
+  booking_required: "booking_required",
+  tour_guide_required: "tour_guide_required",
+  popularity_locals: "popularity_locals",
+  popularity_tourists: "popularity_tourists",
+  min_rating: "rating",
+  source_file: "source_file",
+  section: "section",
+  near: "location",
+};
+
+function asList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Translate a caller filter into the store's payload filter, normalising
+ * values the way ingest does (region vocabulary, lower-case tags/types).
+ * Unknown fields throw so typos don't silently widen the search.
+ */
+export function toPayloadFilter(filter) {
+  if (!filter) return undefined;
+  const payloadFilter = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (value === undefined || value === null) continue;
+    const field = FILTER_FIELDS[key];
+    if (!field) {
+      throw new Error(`Unknown filter field "${key}" (expected one of: ${Object.keys(FILTER_FIELDS).join(", ")})`);
+    }
+    if (key === "region") {
+      payloadFilter[field] = asList(value).map((r) => normalizeRegion(r) ?? r);
+    } else if (key === "tags" || key === "type" || key === "attraction_type") {
+      payloadFilter[field] = asList(value).map((v) => String(v).trim().toLowerCase().replace(/\s+/g, key === "tags" ? " " : "_"));
+    } else if (key === "min_rating") {
+      payloadFilter[field] = { gte: Number(value) };
+    } else if (key === "near") {
+      const { latitude, longitude, radius_km: radiusKm } = value;
+      if (![latitude, longitude, radiusKm].every(Number.isFinite)) {
+        throw new Error('Filter "near" needs numeric latitude, longitude and radius_km');
+      }
+      payloadFilter[field] = { geo_radius: { center: { lat: latitude, lon: longitude }, radius_km: radiusKm } };
+    } else {
+      payloadFilter[field] = value;
+    }
+  }
+  return Object.keys(payloadFilter).length ? payloadFilter : undefined;
+}
+
+const BOOLEAN_FIELDS = new Set(["fee_required", "booking_required", "tour_guide_required"]);
+
+/**
+ * Build a caller filter from command-line `key=value` specs, e.g.
+ *   region=East,North   tags=snorkeling   fee_required=false   min_rating=4
+ *   near=-20.28,57.365,10   (latitude, longitude, radius in km)
+ * Comma-separated values become lists. A spec starting with "{" is read as
+ * a JSON filter and merged in. Field names are checked by toPayloadFilter.
+ */
+export function parseFilterArgs(specs = []) {
+  const filter = {};
+  for (const spec of specs) {
+    if (spec.trim().startsWith("{")) {
+      let parsed;
+      try {
+        parsed = JSON.parse(spec);
+      } catch {
+        throw new Error(`Filter ${spec} is not valid JSON`);
+      }
+      Object.assign(filter, parsed);
+      continue;
+    }
+    const separator = spec.indexOf("=");
+    if (separator < 1) throw new Error(`Filter "${spec}" must look like key=value`);
+    const key = spec.slice(0, separator).trim();
+    const raw = spec.slice(separator + 1).trim();
+    if (BOOLEAN_FIELDS.has(key)) {
+      if (raw !== "true" && raw !== "false") throw new Error(`Filter "${key}" must be true or false`);
+      filter[key] = raw === "true";
+    } else if (key === "min_rating") {
+      filter[key] = Number(raw);
+      if (!Number.isFinite(filter[key])) throw new Error('Filter "min_rating" must be a number');
+    } else if (key === "near") {
+      const [latitude, longitude, radius_km] = raw.split(",").map(Number);
+      filter[key] = { latitude, longitude, radius_km };
+    } else {
+      const values = raw.split(",").map((v) => v.trim()).filter(Boolean);
+      filter[key] = values.length === 1 ? values[0] : values;
+    }
+  }
+  // Validates field names and "near" up front
+  toPayloadFilter(filter);
+  return Object.keys(filter).length ? filter : undefined;
+}
@@ -0,0 +1,161 @@
+import { getDataset } from "./dataset.mjs";
+import { buildPlaceIndex, findPlaces } from "./queryRewrite.mjs";
+import { foldAccents, tokenize } from "./text.mjs";
+
+// Offline geocoding for place names in questions ("near Flic en Flac",
+// "within 20 km of Grand Baie"). Towns and villages come from the table
+// below; attractions are geocoded from the dataset itself.
+
+// Town and village centres, accurate to a few hundred metres. `region` uses
+// the dataset's REGIONS vocabulary.
+export const GAZETTEER = [
+  // North and Northwest
+  { name: "Port Louis", region: "Northwest", latitude: -20.161, longitude: 57.501 },
+  { name: "Baie du Tombeau", region: "Northwest", latitude: -20.118, longitude: 57.505 },
+  { name: "Terre Rouge", region: "Northwest", latitude: -20.128, longitude: 57.525 },
+  { name: "Balaclava", region: "Northwest", latitude: -20.083, longitude: 57.516 },
+  { name: "Pointe aux Piments", region: "Northwest", latitude: -20.064, longitude: 57.52 },
+  { name: "Triolet", region: "North", latitude: -20.057, longitude: 57.548 },
+  { name: "Trou aux Biches", region: "North", latitude: -20.038, longitude: 57.546 },
+  { name: "Mont Choisy", region: "North", latitude: -20.025, longitude: 57.555 },
+  { name: "Grand Baie", aliases: ["Grand Bay"], region: "North", latitude: -20.013, longitude: 57.58 },
+  { name: "Pereybère", region: "North", latitude: -19.996, longitude: 57.588 },
+  { name: "Cap Malheureux", region: "North", latitude: -19.984, longitude: 57.614 },
+  { name: "Pamplemousses", region: "North", latitude: -20.104, longitude: 57.57 },
+  // Northeast
+  { name: "Grand Gaube", region: "Northeast", latitude: -20.006, longitude: 57.661 },
+  { name: "Goodlands", region: "Northeast", latitude: -20.035, longitude: 57.643 },
+  { name: "Poudre d'Or", region: "Northeast", latitude: -20.058, longitude: 57.687 },
+  { name: "Rivière du Rempart", region: "Northeast", latitude: -20.103, longitude: 57.684 },
+  { name: "Roches Noires", region: "Northeast", latitude: -20.111, longitude: 57.712 },
+  { name: "Poste Lafayette", region: "Northeast", latitude: -20.133, longitude: 57.75 },
+  // East
+  { name: "Poste de Flacq", region: "East", latitude: -20.163, longitude: 57.73 },
+  { name: "Centre de Flacq", aliases: ["Flacq"], region: "East", latitude: -20.19, longitude: 57.715 },
+  { name: "Belle Mare", region: "East", latitude: -20.19, longitude: 57.772 },
+  { name: "Quatre Cocos", region: "East", latitude: -20.208, longitude: 57.763 },
+  { name: "Palmar", region: "East", latitude: -20.21, longitude: 57.785 },
+  { name: "Trou d'Eau Douce", region: "East", latitude: -20.239, longitude: 57.786 },
+  { name: "Bel Air Rivière Sèche", aliases: ["Bel Air"], region: "East", latitude: -20.255, longitude: 57.75 },
+  { name: "Grand River South East", aliases: ["GRSE", "Grande Rivière Sud Est"], region: "East", latitude: -20.289, longitude: 57.776 },
+  // Southeast
+  { name: "Bambous Virieux", region: "Southeast", latitude: -20.343, longitude: 57.758 },
+  { name: "Ferney", region: "Southeast", latitude: -20.367, longitude: 57.702 },
+  { name: "Vieux Grand Port", aliases: ["Old Grand Port"], region: "Southeast", latitude: -20.383, longitude: 57.717 },
+  { name: "Mahébourg", region: "Southeast", latitude: -20.408, longitude: 57.7 },
+  { name: "Pointe d'Esny", region: "Southeast", latitude: -20.429, longitude: 57.729 },
+  { name: "Blue Bay", region: "Southeast", latitude: -20.444, longitude: 57.71 },
+  { name: "Plaine Magnien", region: "Southeast", latitude: -20.429, longitude: 57.666 },
+  { name: "Rose Belle", region: "Southeast", latitude: -20.4, longitude: 57.6 },
+  // South and Southwest
+  { name: "Rivière des Anguilles", region: "South", latitude: -20.485, longitude: 57.553 },
+  { name: "Souillac", region: "South", latitude: -20.517, longitude: 57.517 },
+  { name: "Surinam", region: "South", latitude: -20.51, longitude: 57.505 },
+  { name: "Riambel", region: "South", latitude: -20.515, longitude: 57.49 },
+  { name: "Chemin Grenier", region: "South", latitude: -20.487, longitude: 57.465 },
+  { name: "Bel Ombre", region: "South", latitude: -20.501, longitude: 57.405 },
+  { name: "Baie du Cap", region: "Southwest", latitude: -20.49, longitude: 57.377 },
+  { name: "Chamarel", region: "Southwest", latitude: -20.428, longitude: 57.388 },
+  { name: "Le Morne", region: "Southwest", latitude: -20.456, longitude: 57.315 },
+  { name: "La Gaulette", region: "Southwest", latitude: -20.43, longitude: 57.335 },
+  // West
+  { name: "Black River", aliases: ["Rivière Noire"], region: "West", latitude: -20.36, longitude: 57.37 },
+  { name: "Tamarin", region: "West", latitude: -20.325, longitude: 57.37 },
+  { name: "Flic en Flac", region: "West", latitude: -20.28, longitude: 57.365 },
+  { name: "Cascavelle", region: "West", latitude: -20.292, longitude: 57.409 },
+  { name: "Bambous", region: "West", latitude: -20.257, longitude: 57.406 },
+  { name: "Albion", region: "West", latitude: -20.21, longitude: 57.4 },
+  { name: "Pointe aux Sables", region: "West", latitude: -20.169, longitude: 57.466 },
+  // Central plateau
+  { name: "Beau Bassin", region: "Central", latitude: -20.225, longitude: 57.469 },
+  { name: "Rose Hill", region: "Central", latitude: -20.239, longitude: 57.468 },
+  { name: "Ebène", aliases: ["Ebene Cybercity"], region: "Central", latitude: -20.244, longitude: 57.487 },
+  { name: "Moka", region: "Central", latitude: -20.233, longitude: 57.496 },
+  { name: "Saint Pierre", region: "Central", latitude: -20.217, longitude: 57.523 },
+  { name: "Quartier Militaire", region: "Central", latitude: -20.248, longitude: 57.592 },
+  { name: "Quatre Bornes", region: "Central", latitude: -20.265, longitude: 57.479 },
+  { name: "Phoenix", region: "Central", latitude: -20.286, longitude: 57.496 },
+  { name: "Vacoas", region: "Central", latitude: -20.298, longitude: 57.478 },
+  { name: "Floréal", region: "Central", latitude: -20.3, longitude: 57.503 },
+  { name: "Curepipe", region: "Central", latitude: -20.316, longitude: 57.526 },
+  { name: "Forest Side", region: "Central", latitude: -20.317, longitude: 57.542 },
+  { name: "Nouvelle France", region: "Central", latitude: -20.372, longitude: 57.56 },
+  // Rodrigues
+  { name: "Port Mathurin", region: null, latitude: -19.683, longitude: 63.42 },
+];
+
+function phrase(text) {
+  return tokenize(text).join(" ");
+}
+
+/**
+ * Every geocodable place as `{ name, kind, region, latitude, longitude,
+ * aliases }`: gazetteer towns first (so "Blue Bay" is the village, not the
+ * marine park), then dataset attractions with the query rewriter's short
+ * aliases ("Blue Bay Marine Park" -> "blue bay").
+ */
+export function buildGazetteer(attractions = getDataset().attractions) {
+  const towns = GAZETTEER.map((town) => ({
+    ...town,
+    kind: "town",
+    aliases: [town.name, ...(town.aliases || [])].map(phrase),
+  }));
+  const aliasesByName = new Map(buildPlaceIndex(attractions).map((p) => [p.name, p.aliases]));
+  const pois = attractions.map((a) => ({
+    name: a.name,
+    kind: "attraction",
+    id: a.id,
+    region: a.location.region,
+    latitude: a.location.latitude,
+    longitude: a.location.longitude,
+    aliases: aliasesByName.get(a.name),
+  }));
+  return [...towns, ...pois];
+}
+
+let defaultGazetteer;
+let defaultAttractions;
+function getDefaultGazetteer() {
+  const { attractions } = getDataset();
+  if (attractions !== defaultAttractions) {
+    defaultGazetteer = buildGazetteer(attractions);
+    defaultAttractions = attractions;
+  }
+  return defaultGazetteer;
+}
+
+/**
+ * Places named in `text`, in order of mention, the longest name winning
+ * when names overlap ("Grand River South East Waterfall" over the village).
+ */
+export function findPlaceMentions(text, places = getDefaultGazetteer()) {
+  const byName = new Map(places.map((p) => [p.name, p]));
+  return findPlaces(text, places).map((name) => byName.get(name));
+}
+
+/**
+ * Geocode one place name: an exact name or alias first, else the first place
+ * mentioned in it. Returns the gazetteer or attraction entry, or null.
+ */
+export function geocode(name, places = getDefaultGazetteer()) {
+  const wanted = phrase(name);
+  return places.find((p) => p.aliases.includes(wanted)) ?? findPlaceMentions(name, places)[0] ?? null;
+}
+
+// "within 20 km of Grand Baie", "5km from Mahébourg", "10 kilometres around Curepipe"
+const RADIUS_PATTERN = /(\d+(?:\.\d+)?)\s*(?:km|kms|kilomet(?:er|re)s?)\s+(?:of|from|around)\s+(.+)/i;
+
+/**
+ * The place a question is anchored on, if any: `{ place, radiusKm? }`.
+ * An explicit "N km of <place>" sets a radius; any other mention only gives
+ * a point to rank by distance from.
+ */
+export function parseGeoQuery(text, places = getDefaultGazetteer()) {
+  const radius = foldAccents(text || "").match(RADIUS_PATTERN);
+  if (radius) {
+    const [place] = findPlaceMentions(radius[2], places);
+    if (place) return { place, radiusKm: Number(radius[1]) };
+  }
+  const [place] = findPlaceMentions(text || "", places);
+  return place ? { place } : null;
+}
@@ -0,0 +1,37 @@
+import { createHash } from "node:crypto";
+
+// Helpers shared by the API route handlers.
+
+/**
+ * JSON error body in the shape every endpoint uses:
+ * `{ error: { code, message, details? } }`.
+ */
+export function errorResponse(status, code, message, details) {
+  return new Response(JSON.stringify({ error: { code, message, ...(details ? { details } : {}) } }), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export function jsonResponse(body, { status = 200, headers = {} } = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+/**
+ * JSON response with a weak ETag over the serialised body. Answers 304 with
+ * no body when the request's If-None-Match already names that ETag, so
+ * clients polling read-only data only download it when it changes.
+ */
+export function cachedJsonResponse(req, body, { headers = {} } = {}) {
+  const json = JSON.stringify(body);
+  const etag = `W/"${createHash("sha1").update(json).digest("base64url")}"`;
+  const cacheHeaders = { ETag: etag, "Cache-Control": "no-cache", ...headers };
+  const ifNoneMatch = req.headers.get("if-none-match");
+  if (ifNoneMatch && ifNoneMatch.split(",").some((tag) => tag.trim() === etag || tag.trim() === "*")) {
+    return new Response(null, { status: 304, headers: cacheHeaders });
+  }
+  return new Response(json, { headers: { "Content-Type": "application/json", ...cacheHeaders } });
+}
@@ -0,0 +1,323 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { chunkAttraction, chunkText } from "./chunking.mjs";
+import { getConfig } from "./config.mjs";
+import { filterableFields, TRAVEL_DOCS_FILE } from "./dataset.mjs";
+import { embeddingMetadata } from "./embeddings.mjs";
+import { createTokenBucket, withRetry } from "./rateLimit.mjs";
+import { foldedField, foldForSearch } from "./text.mjs";
+
+/**
+ * Stable point id for a chunk: a name-based (v5-style) UUID of
+ * `document_id` + `chunk_index`, so re-ingesting the same chunk always
+ * lands on the same point. Qdrant only accepts integers or UUIDs.
+ */
+export function pointId(documentId, chunkIndex) {
+  const hex = crypto.createHash("sha1").update(`${documentId}#${chunkIndex}`).digest("hex");
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Chunks for the travel documents, in the shape `syncChunks` takes.
+ * `chunkSize` (characters) defaults to `chunking.chunkSize` in the config.
+ */
+export function travelDocChunks(docs, { chunkSize } = {}) {
+  return docs.flatMap((doc) =>
+    chunkText(doc.content, chunkSize).map((content, i) => ({
+      document_id: `doc_${doc.title.replace(/\s+/g, "_")}`,
+      chunk_index: i,
+      content,
+      payload: {
+        type: "doc",
+        title: doc.title,
+        section: "document",
+        source_file: TRAVEL_DOCS_FILE,
+      },
+    }))
+  );
+}
+
+/**
+ * Chunks for merged attraction records, each carrying the filterable fields.
+ */
+export function attractionChunks(attractions, { chunkSize } = {}) {
+  return attractions.flatMap((attr) =>
+    chunkAttraction(attr, chunkSize).map(({ section, content }, i) => ({
+      document_id: attr.id.replace(/\s+/g, "_"),
+      chunk_index: i,
+      content,
+      payload: {
+        type: "attraction",
+        title: attr.name,
+        section,
+        source_file: attr.source_file,
+        sources: attr.sources,
+        // Shown as the citation link in the chat sources panel
+        review_url: attr.reviews?.find((r) => r.url)?.url ?? null,
+        ...filterableFields(attr),
+      },
+    }))
+  );
+}
+
+export function contentHash(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function storeKey(store) {
+  return `${store.backend}:${store.location}:${store.collection}`;
+}
+
+/**
+ * Where ingest into `store` keeps its checkpoint: one file per store and
+ * collection under `cache.dir`.
+ */
+export function checkpointFile(store, dir = getConfig().cache.dir) {
+  return path.join(dir, `ingest-${store.backend}-${store.collection}.json`.replace(/[^\w.-]+/g, "_"));
+}
+
+/**
+ * The checkpoint an unfinished ingest left in `file`, if it was for the same
+ * store, collection and embedding model; otherwise null. Checkpoints look like
+ * `{ store, model, rebuild, startedAt, updatedAt, stored, failures }`.
+ */
+export function readCheckpoint(file, { store, embedder }) {
+  if (!file || !fs.existsSync(file)) return null;
+  try {
+    const checkpoint = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return checkpoint.store === storeKey(store) && checkpoint.model === embedder.model ? checkpoint : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a checkpoint for `store` and `embedder` (see readCheckpoint). Goes
+ * through a temporary file so a crash mid-write never leaves half a file.
+ */
+export function writeCheckpoint(file, { store, embedder }, fields) {
+  const checkpoint = { store: storeKey(store), model: embedder.model, ...fields, updatedAt: new Date().toISOString() };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+  return checkpoint;
+}
+
+function pipelineDefaults() {
+  const { embeddings, vectorStore } = getConfig();
+  return {
+    batchSize: embeddings.batchSize,
+    concurrency: embeddings.concurrency,
+    requestsPerMinute: embeddings.requestsPerMinute,
+    maxRetries: embeddings.maxRetries,
+    retryDelayMs: 1000,
+    uploadBatchSize: vectorStore.uploadBatchSize,
+  };
+}
+
+// Custom embedders may only implement embed()
+function embedBatch(embedder, texts) {
+  return embedder.embedBatch ? embedder.embedBatch(texts) : Promise.all(texts.map((text) => embedder.embed(text)));
+}
+
+/**
+ * Bring the store in line with `chunks` without dropping the collection.
+ *
+ * Each chunk is `{ document_id, chunk_index, content, payload }`. Chunks whose
+ * content hash and embedding model match what is stored are left alone; new
+ * or changed ones are embedded and upserted; stored points inside `scope`
+ * (a store filter, e.g. `{ source_file: "travel_docs.json" }`) that no longer
+ * correspond to any chunk are deleted.
+ *
+ * New and changed chunks are embedded in batches of `embeddings.batchSize`
+ * texts, `embeddings.concurrency` requests at a time, paced by a token
+ * bucket at `embeddings.requestsPerMinute` and retried with exponential
+ * backoff on 429/5xx up to `embeddings.maxRetries` times. Points are upserted
+ * every `vectorStore.uploadBatchSize`, so an interrupted run keeps what it
+ * stored and a rerun only embeds the rest. `pipeline` overrides any of these
+ * (and `retryDelayMs`, `sleep` for tests). A batch that still fails is
+ * recorded and the run carries on.
+ *
+ * With `checkpoint` (a file, see checkpointFile) progress is written there
+ * after every upload. The file is removed once a run ends without failures;
+ * otherwise it lists them for the next run.
+ *
+ * Returns `{ added, updated, unchanged, removed, failed }` counts and
+ * `failures`: `[{ document_id, chunk_index, stage: "embed" | "upload", error }]`.
+ * `cached` counts vectors that came from the embedding cache instead of the
+ * provider, when the embedder has one.
+ */
+export async function syncChunks({ store, embedder, chunks, scope, checkpoint, pipeline, log = console.log }) {
+  const settings = { ...pipelineDefaults(), ...pipeline };
+  const report = { added: 0, updated: 0, unchanged: 0, removed: 0, failed: 0, failures: [] };
+  const cacheHits = embedder.cache?.hits ?? 0;
+
+  if (!(await store.exists())) {
+    log(`📝 Collection ${store.collection} doesn't exist, creating it...`);
+    await store.createCollection({ size: embedder.dimension, distance: "Cosine" });
+  } else {
+    const info = await store.getCollectionInfo();
+    if (info?.size && info.size !== embedder.dimension) {
+      throw new Error(
+        `Collection ${store.collection} holds ${info.size}-dim vectors but ${embedder.provider} produces ${embedder.dimension}; re-run with --rebuild`
+      );
+    }
+  }
+
+  const resumed = readCheckpoint(checkpoint, { store, embedder });
+  if (resumed?.stored || resumed?.failures?.length) {
+    log(`⏯️ Resuming the ingest started ${resumed.startedAt}: ${resumed.stored} chunks were stored before it stopped`);
+    if (resumed.failures?.length) log(`🔁 Retrying ${resumed.failures.length} chunks that failed last time`);
+  }
+  const progress = { rebuild: false, startedAt: new Date().toISOString(), stored: 0, ...resumed, failures: [] };
+  const saveProgress = () => checkpoint && writeCheckpoint(checkpoint, { store, embedder }, progress);
+
+  const existing = new Map();
+  for (const point of await store.scroll({ filter: scope })) {
+    existing.set(String(point.id), point);
+  }
+
+  const pending = [];
+  const seen = new Set();
+  for (const chunk of chunks) {
+    const id = pointId(chunk.document_id, chunk.chunk_index);
+    if (seen.has(id)) {
+      log(`⚠️ Skipping duplicate ${chunk.document_id} chunk ${chunk.chunk_index}`);
+      continue;
+    }
+    // The folded copy lets text filters match the same words on every store
+    const payload = { ...chunk.payload, [foldedField("content")]: foldForSearch(chunk.content) };
+    // Payload is hashed too so metadata-only edits (region, flags) still propagate.
+    const hash = contentHash(`${chunk.content}\n${JSON.stringify(payload)}`);
+    seen.add(id);
+
+    const stored = existing.get(id)?.payload;
+    if (stored && stored.content_hash === hash && stored.embedding_model === embedder.model) {
+      report.unchanged++;
+      continue;
+    }
+    pending.push({ chunk, payload, id, hash, stored: Boolean(stored) });
+  }
+  if (pending.length) saveProgress();
+
+  function fail(items, stage, error) {
+    for (const { chunk } of items) {
+      report.failures.push({ document_id: chunk.document_id, chunk_index: chunk.chunk_index, stage, error: error.message });
+    }
+    const what = items.length === 1 ? `${items[0].chunk.document_id} chunk ${items[0].chunk.chunk_index}` : `${items.length} chunks`;
+    log(`❌ Error ${stage === "embed" ? "embedding" : "uploading"} ${what}: ${error.message}`);
+  }
+
+  const retry = {
+    retries: settings.maxRetries,
+    baseDelayMs: settings.retryDelayMs,
+    sleep: settings.sleep,
+    onRetry: (error, attempt, delayMs) =>
+      log(`⏳ ${error.message.split("\n")[0]}; retry ${attempt}/${settings.maxRetries} in ${(delayMs / 1000).toFixed(1)}s`),
+  };
+
+  // Uploads run one at a time, behind the embedding workers
+  let uploads = Promise.resolve();
+  let toUpload = [];
+  function upload(items) {
+    uploads = uploads.then(async () => {
+      try {
+        // Store errors are mostly transient (network, a busy server)
+        await withRetry(() => store.upsert(items.map((item) => item.point)), { ...retry, isRetryable: () => true });
+      } catch (error) {
+        fail(items, "upload", error);
+        return;
+      }
+      for (const item of items) {
+        if (item.stored) report.updated++;
+        else report.added++;
+      }
+      progress.stored += items.length;
+      log(`📤 Stored ${report.added + report.updated}/${pending.length} new or changed chunks`);
+      saveProgress();
+    });
+  }
+
+  const batches = [];
+  for (let i = 0; i < pending.length; i += settings.batchSize) batches.push(pending.slice(i, i + settings.batchSize));
+  const limiter = createTokenBucket({ perMinute: settings.requestsPerMinute, sleep: settings.sleep });
+
+  let next = 0;
+  async function embedWorker() {
+    while (next < batches.length) {
+      const batch = batches[next++];
+      try {
+        const vectors = await withRetry(async () => {
+          await limiter.take();
+          return embedBatch(embedder, batch.map((item) => item.chunk.content));
+        }, retry);
+        if (vectors.length !== batch.length) throw new Error(`Expected ${batch.length} vectors, got ${vectors.length}`);
+        batch.forEach((item, i) => {
+          item.point = {
+            id: item.id,
+            vector: vectors[i],
+            payload: {
+              ...item.payload,
+              content: item.chunk.content,
+              chunk_index: item.chunk.chunk_index,
+              document_id: item.chunk.document_id,
+              content_hash: item.hash,
+              ...embeddingMetadata(embedder),
+            },
+          };
+        });
+        toUpload.push(...batch);
+        while (toUpload.length >= settings.uploadBatchSize) upload(toUpload.splice(0, settings.uploadBatchSize));
+      } catch (error) {
+        fail(batch, "embed", error);
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(settings.concurrency, batches.length) }, embedWorker));
+  if (toUpload.length) upload(toUpload);
+  await uploads;
+
+  // Keep the stored id type: points from older runs may have integer ids.
+  const stale = [...existing.entries()].filter(([key]) => !seen.has(key)).map(([, point]) => point.id);
+  if (stale.length > 0) {
+    await store.delete({ ids: stale });
+    report.removed = stale.length;
+  }
+
+  report.failed = report.failures.length;
+  if (checkpoint) {
+    progress.failures = report.failures;
+    if (report.failed) saveProgress();
+    else fs.rmSync(checkpoint, { force: true });
+  }
+  if (embedder.cache) report.cached = embedder.cache.hits - cacheHits;
+  return report;
+}
+
+/**
+ * One line per distinct error, with the chunks it hit.
+ */
+export function formatFailures(failures) {
+  const byError = new Map();
+  for (const failure of failures) {
+    const key = `${failure.stage}: ${failure.error}`;
+    byError.set(key, [...(byError.get(key) || []), `${failure.document_id}#${failure.chunk_index}`]);
+  }
+  return [...byError]
+    .map(([error, ids]) => `  ${error}\n    ${ids.length} chunks: ${ids.slice(0, 10).join(", ")}${ids.length > 10 ? ", …" : ""}`)
+    .join("\n");
+}
+
+export function formatIngestReport(report) {
+  const parts = [
+    `➕ added ${report.added}`,
+    `🔁 updated ${report.updated}`,
+    `⏸️ unchanged ${report.unchanged}`,
+    `🗑️ removed ${report.removed}`,
+  ];
+  if (report.cached) parts.push(`♻️ ${report.cached} from the embedding cache`);
+  if (report.failed) parts.push(`❌ failed ${report.failed}`);
+  return parts.join(" · ");
+}
@@ -0,0 +1,399 @@
+import { getDataset, isWithinMauritius, normalizeRegion } from "./dataset.mjs";
+import { haversineKm } from "./geo.mjs";
+import { buildGazetteer, geocode } from "./gazetteer.mjs";
+import { stem, tokenize } from "./text.mjs";
+
+// Day-by-day plans built straight from attraction coordinates: pick the
+// attractions that match the traveller's interests, group them into one
+// geographic cluster per day, and order each day as a loop from the base.
+
+// Straight-line distance understates Mauritian roads; these turn it into a
+// rough drive estimate (coastal and hill roads average well under 50 km/h).
+export const ROAD_DETOUR_FACTOR = 1.3;
+export const AVERAGE_SPEED_KMH = 40;
+
+export const PACES = {
+  relaxed: { stopsPerDay: 2, visitFactor: 1.25 },
+  moderate: { stopsPerDay: 3, visitFactor: 1 },
+  packed: { stopsPerDay: 4, visitFactor: 0.8 },
+};
+
+// Driving plus visiting should fit in a day out
+const DAY_BUDGET_MINUTES = 9 * 60;
+export const MAX_DAYS = 14;
+const MAX_INTERESTS = 10;
+
+// Rough centre of each region's main tourist area, for "staying in the North"
+const REGION_CENTRES = {
+  North: { latitude: -20.01, longitude: 57.58 }, // Grand Baie
+  Northeast: { latitude: -20.07, longitude: 57.68 },
+  East: { latitude: -20.2, longitude: 57.75 }, // Belle Mare / Trou d'Eau Douce
+  Southeast: { latitude: -20.41, longitude: 57.7 }, // Mahébourg
+  South: { latitude: -20.5, longitude: 57.5 },
+  Southwest: { latitude: -20.45, longitude: 57.35 }, // Le Morne
+  West: { latitude: -20.29, longitude: 57.37 }, // Flic en Flac
+  Northwest: { latitude: -20.16, longitude: 57.5 }, // Port Louis
+  Central: { latitude: -20.32, longitude: 57.52 }, // Curepipe
+};
+
+// Typical time on site by attraction type (first matching keyword wins)
+const VISIT_MINUTES = [
+  [/golf/, 240],
+  [/beach|island|islet|marine|coastal|lagoon/, 180],
+  [/nature|reserve|walk|mountain|garden|park|waterfall|hiking/, 150],
+  [/museum|historical|gallery|shop|mall|cave/, 90],
+  [/viewpoint|monument|memorial|church|religious|scenic|rock|volcano|crater|promenade/, 45],
+];
+const DEFAULT_VISIT_MINUTES = 90;
+
+// Common ways travellers phrase interests that the tags spell differently
+const INTEREST_SYNONYMS = {
+  snorkelling: "snorkeling",
+  hike: "hiking",
+  trek: "hiking",
+  trekking: "hiking",
+  beaches: "beach",
+  museums: "museum",
+  culture: "history",
+  heritage: "history",
+  historic: "historical",
+  shops: "shopping",
+  kids: "family-friendly",
+  family: "family-friendly",
+  nature: "nature",
+  views: "viewpoint",
+};
+
+function terms(text) {
+  return tokenize(text).map(stem);
+}
+
+export function estimateDrive(from, to) {
+  const km = haversineKm(from, to) * ROAD_DETOUR_FACTOR;
+  return {
+    drive_km: Math.round(km * 10) / 10,
+    // Rounded up to 5 minutes; even short hops take a few minutes to park
+    drive_minutes: Math.max(5, Math.ceil(((km / AVERAGE_SPEED_KMH) * 60) / 5) * 5),
+  };
+}
+
+function visitMinutes(attraction, pace) {
+  const type = `${attraction.attraction_type || ""} ${(attraction.tags || []).join(" ")}`;
+  const match = VISIT_MINUTES.find(([pattern]) => pattern.test(type));
+  const base = match ? match[1] : DEFAULT_VISIT_MINUTES;
+  return Math.round((base * PACES[pace].visitFactor) / 15) * 15;
+}
+
+/**
+ * Where a visitor actually arrives: the entry point nearest `from` when the
+ * record lists any (e.g. the boat jetty for an island), else the attraction.
+ */
+function arrivalPoint(attraction, from) {
+  const entries = (attraction.prerequisites?.entry_points || []).filter(
+    (e) => Number.isFinite(Number(e.latitude)) && Number.isFinite(Number(e.longitude))
+  );
+  const location = { latitude: attraction.location.latitude, longitude: attraction.location.longitude };
+  if (!entries.length) return { ...location, entry_point: null };
+  const best = entries
+    .map((e) => ({ latitude: Number(e.latitude), longitude: Number(e.longitude), entry_point: e.name || null }))
+    .sort((a, b) => haversineKm(from, a) - haversineKm(from, b))[0];
+  return best;
+}
+
+/**
+ * Resolve the traveller's base to `{ name, latitude, longitude }`. Accepts
+ * coordinates (`{ latitude, longitude, name? }`), a region ("East", "North"),
+ * a town or village ("Flic en Flac") or an attraction name. Throws with a
+ * readable message otherwise.
+ */
+export function resolveBase(base, attractions) {
+  if (base && typeof base === "object") {
+    const latitude = Number(base.latitude);
+    const longitude = Number(base.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || !isWithinMauritius(latitude, longitude)) {
+      throw new Error("base coordinates must be numbers inside Mauritius");
+    }
+    return { name: base.name || "Custom location", latitude, longitude };
+  }
+
+  const name = String(base || "").trim();
+  const region = normalizeRegion(name);
+  if (region) return { name: region, ...REGION_CENTRES[region] };
+  const place = geocode(name, buildGazetteer(attractions));
+  if (place) return { name: place.name, latitude: place.latitude, longitude: place.longitude };
+
+  throw new Error(`Unknown base location "${name}" (use a region, a town, an attraction name or { latitude, longitude })`);
+}
+
+/**
+ * Share of interests an attraction matches (0–1). An interest matches when
+ * all its words appear in the attraction's tags, type, name or description.
+ */
+function interestScore(attraction, interests) {
+  if (!interests.length) return 0;
+  const vocabulary = new Set(
+    terms(
+      [attraction.name, attraction.attraction_type, ...(attraction.tags || []), attraction.description].join(" ")
+    )
+  );
+  const matched = interests.filter((interest) => {
+    const words = terms(INTEREST_SYNONYMS[interest.toLowerCase()] || interest);
+    return words.length && words.every((w) => vocabulary.has(w));
+  });
+  return matched.length / interests.length;
+}
+
+function averageRating(attraction) {
+  const ratings = (attraction.reviews || []).map((r) => r.rating).filter((r) => typeof r === "number");
+  return ratings.length ? ratings.reduce((sum, r) => sum + r, 0) / ratings.length : null;
+}
+
+function rankCandidates(attractions, { base, interests }) {
+  return attractions
+    .filter((a) => Number.isFinite(a.location?.latitude) && Number.isFinite(a.location?.longitude))
+    .map((attraction) => {
+      const match = interestScore(attraction, interests);
+      const rating = averageRating(attraction);
+      const distanceKm = haversineKm(base, attraction.location);
+      const popular = attraction.audience_popularity?.tourists === "high" ? 0.2 : 0;
+      return {
+        attraction,
+        match,
+        distanceKm,
+        // Interests dominate; rating, popularity and closeness to base break ties
+        rank: match * 2 + (rating ?? 3.5) / 5 + popular - distanceKm / 60,
+      };
+    })
+    .sort((a, b) => b.rank - a.rank);
+}
+
+function centroid(points) {
+  return {
+    latitude: points.reduce((sum, p) => sum + p.latitude, 0) / points.length,
+    longitude: points.reduce((sum, p) => sum + p.longitude, 0) / points.length,
+  };
+}
+
+/**
+ * Capacity-bounded k-means: at most `capacity` stops per cluster. Seeds are
+ * chosen farthest-first from the best-ranked stop, so results are stable.
+ */
+export function clusterStops(stops, k, capacity) {
+  if (!stops.length) return [];
+  const point = (s) => s.attraction.location;
+  const seeds = [point(stops[0])];
+  while (seeds.length < Math.min(k, stops.length)) {
+    const farthest = stops
+      .map((s) => ({ s, d: Math.min(...seeds.map((c) => haversineKm(c, point(s)))) }))
+      .sort((a, b) => b.d - a.d)[0];
+    seeds.push(point(farthest.s));
+  }
+
+  let centers = seeds;
+  let clusters = [];
+  for (let iteration = 0; iteration < 10; iteration++) {
+    clusters = centers.map(() => []);
+    // Best-ranked stops pick first, so they always land in their nearest cluster
+    for (const stop of stops) {
+      const order = centers
+        .map((c, i) => ({ i, d: haversineKm(c, point(stop)) }))
+        .sort((a, b) => a.d - b.d);
+      const slot = order.find(({ i }) => clusters[i].length < capacity);
+      if (slot) clusters[slot.i].push(stop);
+    }
+    const next = clusters.map((members, i) => (members.length ? centroid(members.map(point)) : centers[i]));
+    const moved = next.some((c, i) => haversineKm(c, centers[i]) > 0.05);
+    centers = next;
+    if (!moved) break;
+  }
+  return clusters.filter((members) => members.length);
+}
+
+function loopLength(base, points) {
+  let total = 0;
+  let from = base;
+  for (const p of points) {
+    total += haversineKm(from, p);
+    from = p;
+  }
+  return total + haversineKm(from, base);
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, i) =>
+    permutations([...items.slice(0, i), ...items.slice(i + 1)]).map((rest) => [item, ...rest])
+  );
+}
+
+/**
+ * Order one day's stops as the shortest loop from and back to the base:
+ * exhaustive for small days, nearest-neighbour beyond that.
+ */
+export function orderStops(base, stops) {
+  const withPoints = stops.map((s) => ({ ...s, point: arrivalPoint(s.attraction, base) }));
+  if (withPoints.length <= 6) {
+    return permutations(withPoints).reduce((best, candidate) =>
+      loopLength(base, candidate.map((s) => s.point)) < loopLength(base, best.map((s) => s.point)) ? candidate : best
+    );
+  }
+  const ordered = [];
+  const remaining = [...withPoints];
+  let from = base;
+  while (remaining.length) {
+    remaining.sort((a, b) => haversineKm(from, a.point) - haversineKm(from, b.point));
+    const next = remaining.shift();
+    ordered.push(next);
+    from = next.point;
+  }
+  return ordered;
+}
+
+function buildDay(base, ordered, pace) {
+  let from = base;
+  const stops = ordered.map((s, i) => {
+    const leg = estimateDrive(from, s.point);
+    from = s.point;
+    const a = s.attraction;
+    return {
+      order: i + 1,
+      attraction_id: a.id,
+      name: a.name,
+      attraction_type: a.attraction_type,
+      region: a.location.region,
+      latitude: a.location.latitude,
+      longitude: a.location.longitude,
+      entry_point: s.point.entry_point,
+      ...leg,
+      visit_minutes: visitMinutes(a, pace),
+      fee_required: a.prerequisites?.fee_required ?? null,
+      booking_required: a.prerequisites?.booking_required ?? null,
+      matched_interests: s.match,
+    };
+  });
+  const returnLeg = estimateDrive(from, base);
+  const driveMinutes = stops.reduce((sum, s) => sum + s.drive_minutes, 0) + returnLeg.drive_minutes;
+  const visitTotal = stops.reduce((sum, s) => sum + s.visit_minutes, 0);
+  return {
+    regions: [...new Set(stops.map((s) => s.region))],
+    stops,
+    return_to_base: returnLeg,
+    totals: {
+      drive_km: Math.round((stops.reduce((sum, s) => sum + s.drive_km, 0) + returnLeg.drive_km) * 10) / 10,
+      drive_minutes: driveMinutes,
+      visit_minutes: visitTotal,
+      day_minutes: driveMinutes + visitTotal,
+    },
+  };
+}
+
+/**
+ * Build a plan. `params` is `{ days, base, interests?, pace? }` (see
+ * validateItineraryRequest). Returns
+ *   { base, days: [{ day, regions, stops: [...], return_to_base, totals }], unplaced, params }
+ * where `unplaced` lists matching attractions that didn't fit.
+ */
+export function planItinerary({ days, base, interests = [], pace = "moderate" }, { attractions } = {}) {
+  const pool = attractions || getDataset().attractions;
+  const home = resolveBase(base, pool);
+  const { stopsPerDay } = PACES[pace];
+
+  let candidates = rankCandidates(pool, { base: home, interests });
+  // With interests, only matching places are worth a slot; top up only if
+  // fewer than one per day matched.
+  if (interests.length) {
+    const matching = candidates.filter((c) => c.match > 0);
+    candidates = matching.length >= days ? matching : candidates;
+  }
+  const selected = candidates.slice(0, days * stopsPerDay);
+
+  const plannedDays = [];
+  const unplaced = candidates.slice(days * stopsPerDay).filter((c) => c.match > 0);
+  for (const cluster of clusterStops(selected, days, stopsPerDay)) {
+    let ordered = orderStops(home, cluster);
+    let day = buildDay(home, ordered, pace);
+    // Drop the weakest stop until the day fits the time budget (keep at least one)
+    while (day.totals.day_minutes > DAY_BUDGET_MINUTES && ordered.length > 1) {
+      const weakest = ordered.reduce((w, s) => (s.rank < w.rank ? s : w));
+      unplaced.push(weakest);
+      ordered = orderStops(home, ordered.filter((s) => s !== weakest));
+      day = buildDay(home, ordered, pace);
+    }
+    plannedDays.push(day);
+  }
+
+  // Closest cluster first, so day 1 starts gently after arrival
+  plannedDays.sort((a, b) => a.totals.drive_km - b.totals.drive_km);
+
+  return {
+    base: home,
+    days: plannedDays.map((day, i) => ({ day: i + 1, ...day })),
+    unplaced: unplaced.map((c) => ({
+      attraction_id: c.attraction.id,
+      name: c.attraction.name,
+      region: c.attraction.location.region,
+      distance_km: Math.round(c.distanceKm * 10) / 10,
+    })),
+    params: { days, interests, pace },
+  };
+}
+
+/**
+ * Check an itinerary request body:
+ *   { days: 1..MAX_DAYS, base: string | { latitude, longitude, name? },
+ *     interests?: string[], pace?: "relaxed" | "moderate" | "packed" }
+ * Returns `{ value, errors }` like validateChatRequest; `value.base` is the
+ * resolved `{ name, latitude, longitude }`.
+ */
+export function validateItineraryRequest(body, { attractions } = {}) {
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { value: null, errors: [{ field: "body", message: "must be a JSON object" }] };
+  }
+  const { days, base, interests = [], pace = "moderate" } = body;
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    errors.push({ field: "days", message: `must be an integer from 1 to ${MAX_DAYS}` });
+  }
+  let home;
+  if (typeof base === "string" ? !base.trim() : !base || typeof base !== "object") {
+    errors.push({ field: "base", message: "must be a place name or { latitude, longitude }" });
+  } else {
+    try {
+      home = resolveBase(base, attractions || getDataset().attractions);
+    } catch (error) {
+      errors.push({ field: "base", message: error.message });
+    }
+  }
+  if (!Array.isArray(interests) || interests.some((i) => typeof i !== "string" || !i.trim())) {
+    errors.push({ field: "interests", message: "must be an array of non-empty strings" });
+  } else if (interests.length > MAX_INTERESTS) {
+    errors.push({ field: "interests", message: `must have at most ${MAX_INTERESTS} entries` });
+  }
+  if (!PACES[pace]) {
+    errors.push({ field: "pace", message: `must be one of: ${Object.keys(PACES).join(", ")}` });
+  }
+
+  if (errors.length) return { value: null, errors };
+  return { value: { days, base: home, interests: interests.map((i) => i.trim()), pace }, errors };
+}
+
+/**
+ * Plain-text rendering of a plan for the chat model to narrate.
+ */
+export function formatItineraryForPrompt(plan) {
+  const lines = [`Itinerary from ${plan.base.name} (${plan.params.pace} pace, ${plan.days.length} day${plan.days.length === 1 ? "" : "s"})`];
+  for (const day of plan.days) {
+    lines.push(`Day ${day.day} — ${day.regions.join(", ")} (about ${day.totals.drive_minutes} min driving)`);
+    for (const stop of day.stops) {
+      const via = stop.entry_point ? ` via ${stop.entry_point}` : "";
+      const notes = [stop.fee_required && "fee", stop.booking_required && "booking needed"].filter(Boolean);
+      lines.push(
+        `  ${stop.order}. ${stop.name}${via} — ${stop.drive_minutes} min drive (${stop.drive_km} km), ` +
+          `~${stop.visit_minutes} min visit${notes.length ? ` [${notes.join(", ")}]` : ""}`
+      );
+    }
+    lines.push(`  Return to base: ${day.return_to_base.drive_minutes} min (${day.return_to_base.drive_km} km)`);
+  }
+  return lines.join("\n");
+}
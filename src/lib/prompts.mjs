@@ -0,0 +1,125 @@
+import { SystemMessage } from "@langchain/core/messages";
+import { getConfig } from "./config.mjs";
+
+// Versioned system prompt templates. A template is the persona, the
+// instructions for one answer mode, and the shared grounding and refusal
+// policies. Never edit a published version in place: add `<mode>@v<n+1>`
+// so answers recorded with an older id can still be traced to its text.
+
+const PERSONA_V1 =
+  "You are a friendly local travel guide for Mauritius. You know the island's beaches, " +
+  "nature parks, heritage sites, food and practical travel rules, and you help visitors " +
+  "decide what to see and how to fit it into their trip.";
+
+const GROUNDING_V1 =
+  "Base facts about specific places (locations, fees, opening hours, booking rules, ratings) " +
+  "on the numbered sources in the context. Refer to them as [1], [2], ... matching their numbers. " +
+  "If the sources don't cover something, say you don't have that detail rather than guessing. " +
+  "General knowledge about Mauritius (climate, culture, getting around) is fine without a source.";
+
+const REFUSAL_V1 =
+  "Only help with travel to and within Mauritius (including Rodrigues). Politely decline other " +
+  "requests in one sentence and steer back to trip planning. Never invent prices, visa rules or " +
+  "safety guidance; for legal or medical questions point to official sources.";
+
+const NO_CONTEXT_V1 =
+  "No sources were retrieved for this question. Answer only from general knowledge and say that " +
+  "specific details could not be checked against the dataset.";
+
+const TOOLS_V1 =
+  "You can call tools that read the structured attraction dataset. For fees, booking, guides, opening notes " +
+  "and entry points, call get_attraction rather than relying on the sources. Use search_attractions to find " +
+  "places by region, type, tags, rating or distance, distance_between for how far apart two places are, " +
+  "plan_itinerary for day-by-day plans and check_travel_docs for visas, entry rules and customs. Tool results " +
+  "are facts from the dataset: use them without a [n] marker, and say which place they describe.";
+
+export const PROMPT_TEMPLATES = {
+  "quick-answer@v1": {
+    id: "quick-answer@v1",
+    mode: "quick-answer",
+    persona: PERSONA_V1,
+    instructions: "Answer in at most three short sentences or a brief list. No preamble.",
+    grounding: GROUNDING_V1,
+    refusal: REFUSAL_V1,
+    noContext: NO_CONTEXT_V1,
+  },
+  "itinerary@v1": {
+    id: "itinerary@v1",
+    mode: "itinerary",
+    persona: PERSONA_V1,
+    instructions:
+      "Help the traveller plan. Ask about trip length, where they're staying and what they enjoy " +
+      "if you don't know yet. Suggest places grouped by area so days don't zig-zag across the island, " +
+      "and mention booking or fee requirements when the sources list them.",
+    grounding: GROUNDING_V1,
+    refusal: REFUSAL_V1,
+    noContext: NO_CONTEXT_V1,
+  },
+  // v2: adds the tool-use policy for the tool-calling agent
+  "quick-answer@v2": {
+    id: "quick-answer@v2",
+    mode: "quick-answer",
+    persona: PERSONA_V1,
+    instructions: "Answer in at most three short sentences or a brief list. No preamble.",
+    grounding: GROUNDING_V1,
+    tools: TOOLS_V1,
+    refusal: REFUSAL_V1,
+    noContext: NO_CONTEXT_V1,
+  },
+  "itinerary@v2": {
+    id: "itinerary@v2",
+    mode: "itinerary",
+    persona: PERSONA_V1,
+    instructions:
+      "Help the traveller plan. Ask about trip length, where they're staying and what they enjoy " +
+      "if you don't know yet. Suggest places grouped by area so days don't zig-zag across the island, " +
+      "and mention booking or fee requirements when the sources list them.",
+    grounding: GROUNDING_V1,
+    tools: TOOLS_V1,
+    refusal: REFUSAL_V1,
+    noContext: NO_CONTEXT_V1,
+  },
+};
+
+export const PROMPT_MODES = [...new Set(Object.values(PROMPT_TEMPLATES).map((t) => t.mode))];
+
+function versionOf(id) {
+  return Number(id.split("@v")[1]);
+}
+
+/**
+ * Resolve a template by exact id ("itinerary@v1") or by mode ("itinerary"),
+ * which picks the mode's latest version. Defaults to `prompts.template` in
+ * the config (PROMPT_TEMPLATE, default "itinerary"). Unknown names throw.
+ */
+export function getPromptTemplate(name = getConfig().prompts.template) {
+  if (PROMPT_TEMPLATES[name]) return PROMPT_TEMPLATES[name];
+  const versions = Object.values(PROMPT_TEMPLATES)
+    .filter((t) => t.mode === name)
+    .sort((a, b) => versionOf(b.id) - versionOf(a.id));
+  if (!versions.length) {
+    throw new Error(`Unknown prompt template "${name}" (expected one of: ${[...PROMPT_MODES, ...Object.keys(PROMPT_TEMPLATES)].join(", ")})`);
+  }
+  return versions[0];
+}
+
+/**
+ * The system message for one turn: template text plus the retrieved context
+ * block (or the template's no-context notice), and the places the traveller
+ * picked on the map, if any. The tool policy is included only when the
+ * model is given tools (`tools: true`).
+ */
+export function buildSystemMessage(template, contextBlock, { selectedPlaces = [], tools = false } = {}) {
+  const sections = [
+    template.persona,
+    template.instructions,
+    `Grounding: ${template.grounding}`,
+    ...(tools && template.tools ? [`Tools: ${template.tools}`] : []),
+    `Scope: ${template.refusal}`,
+    ...(selectedPlaces.length
+      ? [`The traveller has selected these places on the map and is likely asking about them: ${selectedPlaces.join(", ")}.`]
+      : []),
+    contextBlock ? `Context:\n${contextBlock}` : template.noContext,
+  ];
+  return new SystemMessage({ content: sections.join("\n\n") });
+}
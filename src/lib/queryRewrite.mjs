@@ -0,0 +1,255 @@
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { getConfig } from "./config.mjs";
+import { getDataset } from "./dataset.mjs";
+import { tokenize } from "./text.mjs";
+
+// Turn the latest chat message into standalone search queries. A rewriter
+// exposes `{ name, rewrite(message, history) -> Promise<Rewrite> }` where
+//   Rewrite = { original, query, subQueries: string[], places: string[], rewriter }
+// `subQueries` has more than one entry only when the message asks several
+// things at once; each is searched separately and the results merged.
+
+const HISTORY_TURNS = 6;
+
+// Words that point back at something said earlier ("is it free?", "how do I get there?",
+// "what about the golf club?")
+const REFERENCE_WORDS =
+  /\b(it|its|it's|there|that|this|these|those|they|them|their|here|same|the place|the beach|the park)\b|^\s*(what|how) about\b|^\s*and\b/i;
+
+const QUESTION_START = "(?:how|what|where|when|which|who|why|is|are|can|could|do|does|should|will)";
+const SPLIT_PATTERN = new RegExp(`[?;]\\s+|\\s+(?:and|also|plus)\\s+(?=${QUESTION_START}\\b)`, "i");
+
+// Trailing words dropped to make short aliases ("Blue Bay Marine Park" -> "blue bay")
+const GENERIC_WORDS = new Set([
+  "beach", "waterfront", "park", "marine", "nature", "reserve", "museum", "monument", "viewpoint",
+  "view", "point", "church", "garden", "memorial", "mall", "volcano", "waterfall", "walk",
+  "mountain", "reservoir", "ltd", "gallery", "shopping",
+]);
+
+function phrase(text) {
+  return tokenize(text).join(" ");
+}
+
+function aliasesFor(name) {
+  const aliases = new Set([phrase(name)]);
+  const head = name.split(/[&,]/)[0];
+  for (const variant of [name, head]) {
+    const tokens = tokenize(variant);
+    while (tokens.length > 1 && GENERIC_WORDS.has(tokens.at(-1))) tokens.pop();
+    const alias = tokens.join(" ");
+    if (tokens.length > 1 || alias.length >= 6) aliases.add(alias);
+    aliases.add(phrase(variant));
+  }
+  return [...aliases].filter(Boolean);
+}
+
+/**
+ * Known place names for matching mentions in chat text: every attraction's
+ * name plus short aliases without generic suffixes or "& ..." tails.
+ * An alias that is another attraction's full name is not used.
+ */
+export function buildPlaceIndex(attractions) {
+  const fullNames = new Set(attractions.map((a) => phrase(a.name)));
+  return attractions.map((a) => ({
+    name: a.name,
+    aliases: aliasesFor(a.name).filter((alias) => alias === phrase(a.name) || !fullNames.has(alias)),
+  }));
+}
+
+// Rebuilt when getDataset() reloads a changed dataset, as in the gazetteer
+let defaultPlaces;
+let defaultAttractions;
+function defaultPlaceIndex() {
+  const { attractions } = getDataset();
+  if (attractions !== defaultAttractions) {
+    defaultPlaces = buildPlaceIndex(attractions);
+    defaultAttractions = attractions;
+  }
+  return defaultPlaces;
+}
+
+/**
+ * Places mentioned in `text`, in order of first mention. When one mention is
+ * contained in a longer one ("Île aux Cerfs" inside "Île aux Cerfs Golf
+ * Club"), only the longer one counts.
+ */
+export function findPlaces(text, places) {
+  const haystack = ` ${phrase(text)} `;
+  const matches = [];
+  for (const place of places) {
+    for (const alias of place.aliases) {
+      const at = haystack.indexOf(` ${alias} `);
+      if (at >= 0) {
+        matches.push({ name: place.name, start: at, end: at + alias.length });
+        break;
+      }
+    }
+  }
+  return matches
+    .filter((m) => !matches.some((o) => o !== m && o.start <= m.start && o.end >= m.end && o.end - o.start > m.end - m.start))
+    .sort((a, b) => a.start - b.start)
+    .map((m) => m.name);
+}
+
+/**
+ * The places a follow-up most likely refers to: those named in the latest
+ * user turn that names any, else in the latest assistant turn (max three).
+ */
+function placesInFocus(history, places) {
+  const recent = history.filter((e) => e.type !== "system").slice(-HISTORY_TURNS);
+  for (const type of ["user", "assistant"]) {
+    for (const entry of [...recent].reverse()) {
+      if (entry.type !== type) continue;
+      const found = findPlaces(entry.message, places);
+      if (found.length) return found.slice(0, 3);
+    }
+  }
+  return [];
+}
+
+function isFollowUp(text) {
+  return REFERENCE_WORDS.test(text) || tokenize(text).length <= 3;
+}
+
+/**
+ * Split a multi-part question into its parts. Parts too short to search on
+ * their own stay attached to the previous one.
+ */
+export function splitIntents(message) {
+  const parts = [];
+  for (const raw of message.split(SPLIT_PATTERN)) {
+    const part = raw.trim().replace(/[?;]+$/, "");
+    if (!part) continue;
+    if (parts.length && tokenize(part).length < 2) parts[parts.length - 1] += ` ${part}`;
+    else parts.push(part);
+  }
+  return parts.length ? parts : [message];
+}
+
+/**
+ * Offline rewriter: splits multi-part questions, and prefixes parts that
+ * don't name a place with the place(s) the conversation was last about.
+ */
+export function createRuleBasedRewriter({ places, split = true } = {}) {
+  return {
+    name: "rules",
+    async rewrite(message, history = []) {
+      const index = places || defaultPlaceIndex();
+      const mentioned = findPlaces(message, index);
+      const focus = mentioned.length ? [] : placesInFocus(history, index);
+      const resolve = (part) =>
+        !focus.length || findPlaces(part, index).length || !isFollowUp(part) ? part : `${focus.join(", ")}: ${part}`;
+
+      const parts = split ? splitIntents(message) : [message];
+      const subQueries = parts.map(resolve);
+      return {
+        original: message,
+        query: resolve(message),
+        subQueries: subQueries.length > 1 ? subQueries : [],
+        places: mentioned.length ? mentioned : focus,
+        rewriter: "rules",
+      };
+    },
+  };
+}
+
+function parseRewrite(text) {
+  const match = String(text).match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  try {
+    const parsed = JSON.parse(match[0]);
+    if (typeof parsed.query !== "string" || !parsed.query.trim()) return null;
+    const subQueries = Array.isArray(parsed.sub_queries) ? parsed.sub_queries.filter((q) => typeof q === "string" && q.trim()) : [];
+    return { query: parsed.query.trim(), subQueries: subQueries.length > 1 ? subQueries : [] };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * LLM rewriter: asks the chat model for a standalone query (and sub-queries
+ * for multi-part questions). Falls back to the rule-based rewrite when the
+ * model errors or replies with something unparseable.
+ */
+export function createLlmRewriter({ model, apiKey = getConfig().gemini.apiKey, split = true, fallback } = {}) {
+  const rules = fallback || createRuleBasedRewriter({ split });
+  let chat = model;
+  return {
+    name: "llm",
+    async rewrite(message, history = []) {
+      const base = await rules.rewrite(message, history);
+      try {
+        if (!chat) {
+          if (!apiKey) throw new Error("GEMINI_API_KEY is not set");
+          chat = new ChatGoogleGenerativeAI({ apiKey, model: getConfig().gemini.chatModel, temperature: 0 });
+        }
+        const transcript = history
+          .filter((e) => e.type !== "system")
+          .slice(-HISTORY_TURNS)
+          .map((e) => `${e.type}: ${e.message.slice(0, 500)}`)
+          .join("\n");
+        const prompt =
+          "Rewrite the traveller's latest message about Mauritius into a standalone search query, " +
+          "replacing references like \"it\" or \"there\" with the place they refer to." +
+          (split ? " If it asks about several unrelated things, also give one query per thing." : "") +
+          `\n\nConversation:\n${transcript || "(none)"}\n\nLatest message: ${message}\n\n` +
+          'Reply with only JSON: {"query": "...", "sub_queries": ["...", "..."]}';
+        const reply = await chat.invoke(prompt);
+        const parsed = parseRewrite(reply?.content ?? reply);
+        if (parsed) {
+          return { ...base, query: parsed.query, subQueries: split ? parsed.subQueries : [], rewriter: "llm" };
+        }
+        console.warn("⚠️ LLM query rewriter returned unparseable output; using rule-based rewrite");
+      } catch (error) {
+        console.warn(`⚠️ LLM query rewriter failed (${error.message}); using rule-based rewrite`);
+      }
+      return base;
+    },
+  };
+}
+
+/**
+ * Resolve a rewriter by name ("rules" | "llm" | "none"), defaulting to
+ * `queryRewrite.rewriter` in the config (QUERY_REWRITER).
+ * `queryRewrite.split: false` (QUERY_SPLIT=false) turns off multi-intent
+ * splitting. Objects with a `rewrite` method pass through.
+ */
+export function getQueryRewriter(rewriter = getConfig().queryRewrite.rewriter) {
+  if (rewriter && typeof rewriter.rewrite === "function") return rewriter;
+  const { split } = getConfig().queryRewrite;
+  switch (String(rewriter).toLowerCase()) {
+    case "rules":
+      return createRuleBasedRewriter({ split });
+    case "llm":
+      return createLlmRewriter({ split });
+    case "none":
+      return {
+        name: "none",
+        async rewrite(message) {
+          return { original: message, query: message, subQueries: [], places: [], rewriter: "none" };
+        },
+      };
+    default:
+      throw new Error(`Unknown query rewriter "${rewriter}" (expected rules, llm or none)`);
+  }
+}
+
+/**
+ * Merge per-sub-query result lists by taking each list's next best hit in
+ * turn, so every part of the question is represented. Duplicates keep their
+ * first (best) position; each hit records the sub-query that found it.
+ */
+export function interleaveResults(resultLists, queries, topK) {
+  const merged = [];
+  const seen = new Set();
+  const depth = Math.max(0, ...resultLists.map((list) => list.length));
+  for (let rank = 0; rank < depth && merged.length < topK; rank++) {
+    resultLists.forEach((list, i) => {
+      const hit = list[rank];
+      if (!hit || seen.has(String(hit.id)) || merged.length >= topK) return;
+      seen.add(String(hit.id));
+      merged.push({ ...hit, subQuery: queries[i] });
+    });
+  }
+  return merged;
+}
@@ -0,0 +1,79 @@
+// Pacing and retries for calls to rate-limited APIs (embedding during
+// ingest). Both take `now` / `sleep` so tests can run without waiting.
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Token bucket: holds up to `capacity` tokens and refills `perMinute` of them
+ * a minute. `take(n)` resolves once n tokens are available, so callers in
+ * parallel share one rate; it throws for n above `capacity`, which could
+ * never be granted. Starts full, allowing an initial burst.
+ */
+export function createTokenBucket({ perMinute, capacity = perMinute, now = Date.now, sleep = defaultSleep }) {
+  const perMs = perMinute / 60_000;
+  let tokens = capacity;
+  let updatedAt = now();
+  // Waiters queue up so a large request can't be starved by small ones
+  let queue = Promise.resolve();
+
+  function refill() {
+    const at = now();
+    tokens = Math.min(capacity, tokens + (at - updatedAt) * perMs);
+    updatedAt = at;
+  }
+
+  return {
+    take(n = 1) {
+      if (n > capacity) throw new RangeError(`Cannot take ${n} tokens from a bucket that holds ${capacity}`);
+      const turn = queue.then(async () => {
+        refill();
+        while (tokens < n) {
+          await sleep(Math.ceil((n - tokens) / perMs));
+          refill();
+        }
+        tokens -= n;
+      });
+      queue = turn;
+      return turn;
+    },
+  };
+}
+
+/**
+ * Whether a failed call is worth retrying: rate limited (429) or a server
+ * error (5xx). Reads `status` from Gemini SDK errors, or the status code in
+ * the message for errors that only carry text.
+ */
+export function isRetryableError(error) {
+  const status = error?.status ?? Number(/\[(\d{3})[ \]]/.exec(error?.message || "")?.[1]);
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * Call `fn` until it succeeds, retrying errors `isRetryable` accepts up to
+ * `retries` times with exponential backoff and full jitter: the nth retry
+ * waits a random time up to `baseDelayMs * 2^(n-1)`, capped at `maxDelayMs`.
+ * `onRetry(error, attempt, delayMs)` is called before each wait.
+ */
+export async function withRetry(
+  fn,
+  {
+    retries = 5,
+    baseDelayMs = 1000,
+    maxDelayMs = 60_000,
+    isRetryable = isRetryableError,
+    onRetry = () => {},
+    sleep = defaultSleep,
+  } = {}
+) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error)) throw error;
+      const delayMs = Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+      onRetry(error, attempt, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
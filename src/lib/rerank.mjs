@@ -0,0 +1,243 @@
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { analyze } from "./bm25.mjs";
+import { getConfig } from "./config.mjs";
+
+// Second-stage ranking over the fused candidates from retrieveTopK.
+// A reranker exposes `{ name, score(query, hits) -> Promise<number[]> }`,
+// one relevance score in [0, 1] per hit, in input order.
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "what", "where", "which", "who", "how", "are", "is",
+  "in", "on", "of", "to", "at", "an", "me", "my", "we", "our", "you", "can", "do",
+  "does", "there", "any", "some", "best", "good", "mauritius", "place", "visit",
+]);
+
+function queryTerms(text) {
+  return [...new Set(analyze(text).filter((t) => !STOPWORDS.has(t)))];
+}
+
+// Which chunk section a question is most likely asking about.
+const SECTION_CUES = [
+  { section: "prerequisites", pattern: /\b(fee|fees|price|cost|ticket|book|booking|guide|open|opening|hours|entry|entrance)\b/i },
+  { section: "reviews", pattern: /\b(review|reviews|rating|rated|worth|recommend)\b/i },
+  { section: "advisories", pattern: /\b(safe|safety|danger|warning|advisory|risk|careful)\b/i },
+  { section: "document", pattern: /\b(visa|passport|document|documents|customs|immigration|entry requirements?)\b/i },
+];
+
+// Prior when the query gives no cue: descriptions answer most questions.
+const SECTION_PRIOR = {
+  description: 1,
+  sub_attraction: 0.8,
+  document: 0.6,
+  reviews: 0.5,
+  prerequisites: 0.5,
+  advisories: 0.4,
+};
+
+function sectionScore(query, section) {
+  const cued = SECTION_CUES.filter((c) => c.pattern.test(query)).map((c) => c.section);
+  if (cued.length) return cued.includes(section) ? 1 : 0.3;
+  return SECTION_PRIOR[section] ?? 0.5;
+}
+
+/**
+ * Offline reranker: share of query terms found in the chunk, share found in
+ * the attraction title (full credit when the whole title appears in the
+ * query) and how well the chunk's section fits the question.
+ */
+export function createHeuristicReranker({ weights = { overlap: 0.5, title: 0.3, section: 0.2 } } = {}) {
+  return {
+    name: "heuristic",
+    async score(query, hits) {
+      const terms = queryTerms(query);
+      const queryText = analyze(query).join(" ");
+      return hits.map((hit) => {
+        const contentTerms = new Set(analyze(hit.content || ""));
+        const titleTokens = analyze(hit.title || "");
+        const titleTerms = new Set(titleTokens);
+        const overlap = terms.length ? terms.filter((t) => contentTerms.has(t)).length / terms.length : 0;
+        const titleInQuery = titleTokens.length > 0 && ` ${queryText} `.includes(` ${titleTokens.join(" ")} `);
+        const title = titleInQuery ? 1 : terms.length ? terms.filter((t) => titleTerms.has(t)).length / terms.length : 0;
+        return (
+          weights.overlap * overlap +
+          weights.title * title +
+          weights.section * sectionScore(query, hit.section)
+        );
+      });
+    },
+  };
+}
+
+function parseScores(text, count) {
+  const match = String(text).match(/\[[\s\S]*\]/);
+  if (!match) return null;
+  try {
+    const scores = JSON.parse(match[0]);
+    if (!Array.isArray(scores) || scores.length !== count) return null;
+    return scores.map((s) => Math.min(Math.max(Number(s) || 0, 0), 10) / 10);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * LLM reranker: asks the chat model to grade every candidate 0–10 in one
+ * call. Falls back to the heuristic scores if the call fails or the reply
+ * can't be parsed, so a flaky model degrades ranking quality rather than
+ * failing the request; `warn` reports each fallback. `model` can be any
+ * LangChain chat model (or stand-in with `invoke`).
+ */
+export function createLlmReranker({
+  model,
+  apiKey = getConfig().gemini.apiKey,
+  fallback = createHeuristicReranker(),
+  warn = console.warn,
+} = {}) {
+  let chat = model;
+  return {
+    name: "llm",
+    async score(query, hits) {
+      if (!chat) {
+        if (!apiKey) throw new Error("GEMINI_API_KEY is not set in environment (use RERANKER=heuristic to rerank offline)");
+        chat = new ChatGoogleGenerativeAI({ apiKey, model: getConfig().gemini.chatModel, temperature: 0 });
+      }
+      const passages = hits
+        .map((h, i) => `[${i}] ${h.title || "Untitled"} (${h.section || "text"}): ${(h.content || "").slice(0, 600)}`)
+        .join("\n\n");
+      const prompt =
+        `Rate how well each passage answers the travel question, from 0 (irrelevant) to 10 (directly answers it).\n` +
+        `Question: ${query}\n\nPassages:\n${passages}\n\n` +
+        `Reply with only a JSON array of ${hits.length} numbers, one per passage in order.`;
+      let reply;
+      try {
+        reply = await chat.invoke(prompt);
+      } catch (error) {
+        warn(`⚠️ LLM reranker failed (${error.message}); using ${fallback.name} scores instead`);
+        return fallback.score(query, hits);
+      }
+      const scores = parseScores(reply?.content ?? reply, hits.length);
+      if (scores) return scores;
+      warn(`⚠️ LLM reranker returned unparseable scores; using ${fallback.name} scores instead`);
+      return fallback.score(query, hits);
+    },
+  };
+}
+
+/**
+ * Resolve a reranker by name ("heuristic" | "llm" | "none"), defaulting to
+ * `rerank.reranker` in the config (RERANKER). Objects with a `score` method
+ * pass through.
+ */
+export function getReranker(reranker = getConfig().rerank.reranker) {
+  if (reranker && typeof reranker.score === "function") return reranker;
+  switch (String(reranker).toLowerCase()) {
+    case "heuristic":
+      return createHeuristicReranker();
+    case "llm":
+      return createLlmReranker();
+    case "none":
+    case "false":
+      return null;
+    default:
+      throw new Error(`Unknown reranker "${reranker}" (expected heuristic, llm or none)`);
+  }
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// Two chunks of the same attraction count as near-duplicates even when
+// their wording differs; otherwise similarity is term overlap.
+function chunkSimilarity(a, b) {
+  const sameDocument = a.hit.documentId != null && a.hit.documentId === b.hit.documentId;
+  const textual = jaccard(a.terms, b.terms);
+  return sameDocument ? Math.max(0.75, textual) : textual;
+}
+
+/**
+ * Maximal marginal relevance: greedily pick the hit maximising
+ * `lambda * relevance - (1 - lambda) * max similarity to already picked`.
+ * `relevance` is read from `hit.score` and min-max scaled first.
+ */
+export function maximalMarginalRelevance(hits, { limit = hits.length, lambda = 0.7 } = {}) {
+  if (hits.length <= 1) return hits.map((hit) => ({ ...hit, scores: { ...hit.scores, mmr: hit.score } }));
+  const max = Math.max(...hits.map((h) => h.score));
+  const min = Math.min(...hits.map((h) => h.score));
+  const pool = hits.map((hit) => ({
+    hit,
+    terms: new Set(analyze(hit.content || "")),
+    relevance: max > min ? (hit.score - min) / (max - min) : 1,
+  }));
+
+  const selected = [];
+  while (selected.length < limit && pool.length) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+    pool.forEach((candidate, i) => {
+      const redundancy = selected.length ? Math.max(...selected.map((s) => chunkSimilarity(candidate, s))) : 0;
+      const value = lambda * candidate.relevance - (1 - lambda) * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = i;
+      }
+    });
+    const [picked] = pool.splice(bestIndex, 1);
+    picked.mmr = bestValue;
+    selected.push(picked);
+  }
+  return selected.map(({ hit, mmr }) => ({ ...hit, scores: { ...hit.scores, mmr } }));
+}
+
+function rerankDefaults() {
+  return { ...getConfig().rerank };
+}
+
+/**
+ * Resolve per-call rerank options over the configured defaults.
+ * `false` disables the stage; `true`/undefined uses the defaults.
+ */
+export function resolveRerankOptions(rerank) {
+  if (rerank === false) return null;
+  const options = { ...rerankDefaults(), ...(rerank === true ? {} : rerank) };
+  const reranker = getReranker(options.reranker);
+  if (!reranker && !options.mmr) return null;
+  return { ...options, reranker };
+}
+
+/**
+ * Rescore `hits` with the reranker, then diversify with MMR, and return the
+ * best `topK`. The first-stage score is kept as `scores.retrieval` and the
+ * reranker's as `scores.rerank`; `score` becomes the reranked relevance.
+ * Each hit also records `initialRank` and the `reranker` that scored it.
+ * A proximity boost from retrieval (`scores.geo`) scales the reranked score
+ * too, so places near the one asked about keep their lift.
+ */
+export async function rerankHits(query, hits, topK, options) {
+  const reranker = options.reranker?.name ?? "none";
+  let ranked = hits.map((hit, i) => ({
+    ...hit,
+    initialRank: i + 1,
+    reranker,
+    scores: { ...hit.scores, retrieval: hit.score },
+  }));
+
+  if (options.reranker && ranked.length) {
+    const scores = await options.reranker.score(query, ranked);
+    ranked = ranked
+      .map((hit, i) => ({
+        ...hit,
+        score: scores[i] * (hit.scores.geo ?? 1),
+        scores: { ...hit.scores, rerank: scores[i] },
+      }))
+      // Ties keep first-stage order
+      .sort((a, b) => b.score - a.score || a.initialRank - b.initialRank);
+  }
+
+  return options.mmr
+    ? maximalMarginalRelevance(ranked, { limit: topK, lambda: options.lambda })
+    : ranked.slice(0, topK);
+}
@@ -1,56 +1,322 @@
-import { Qdrant } from "qdrant";
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { createBm25Index } from "./bm25.mjs";
+import { createLruCache } from "./cache.mjs";
+import { getConfig } from "./config.mjs";
+import { getEmbeddingProvider } from "./embeddings.mjs";
+import { toPayloadFilter } from "./filters.mjs";
+import { findPlaceMentions, parseGeoQuery } from "./gazetteer.mjs";
+import { haversineKm } from "./geo.mjs";
+import { rerankHits, resolveRerankOptions } from "./rerank.mjs";
+import { getVectorStore } from "./vectorStore.mjs";
 
-const COLLECTION_NAME = "mauritius_knowledge";
-const QDRANT_URL = "http://localhost:6333/";
+export { toPayloadFilter };
 
-function assertEnv() {
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error("GEMINI_API_KEY is not set in environment");
+// Hybrid retrieval: dense and BM25 rankings fused with weighted reciprocal
+// rank fusion. Mode and weights default from the config (`retrieval.*`) and
+// can be overridden per call via `retrieveTopK(q, k, { hybrid: {...} })`.
+function hybridDefaults() {
+  const { mode, denseWeight, lexicalWeight, rrfK, candidates } = getConfig().retrieval;
+  // `candidates`: how deep each ranking goes before fusion
+  return { mode, denseWeight, lexicalWeight, rrfK, candidates };
+}
+
+// Proximity boost for searches anchored on a place: a hit's score is scaled
+// by 1 + weight * exp(-distance / scaleKm), so a chunk at the place gets
+// (1 + weight)x and one three scale-lengths away almost nothing. Chunks
+// without coordinates (travel documents) keep their score.
+function geoDefaults() {
+  const { geoBoostWeight, geoBoostScaleKm } = getConfig().retrieval;
+  return { weight: geoBoostWeight, scaleKm: geoBoostScaleKm };
+}
+
+/**
+ * The place a search is anchored on, as `{ place, radiusKm? }` or null:
+ * `geo.near` when given, else a place named in the query ("near Flic en
+ * Flac", "within 20 km of Grand Baie"), else the latest `geo.context` text
+ * (earlier user messages) that names one. Only the query or `geo.radiusKm`
+ * set a radius; places from the conversation just rank by distance.
+ */
+export function resolveGeoAnchor(queryText, geo = {}) {
+  if (geo.near) return { place: geo.near, radiusKm: geo.radiusKm };
+  const fromQuery = parseGeoQuery(queryText);
+  if (fromQuery) return { ...fromQuery, radiusKm: geo.radiusKm ?? fromQuery.radiusKm };
+  for (const text of [...(geo.context || [])].reverse()) {
+    const [place] = findPlaceMentions(text);
+    if (place) return { place, radiusKm: geo.radiusKm };
   }
+  return null;
+}
+
+function kmBetween(place, location) {
+  const km = haversineKm(place, { latitude: location.lat, longitude: location.lon });
+  return Math.round(km * 10) / 10;
 }
 
-function getEmbeddingModel() {
-  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  return genAI.getGenerativeModel({ model: "models/embedding-001" });
+function applyGeoBoost(results, place, { weight, scaleKm }) {
+  return results
+    .map((hit) => {
+      const location = hit.payload?.location;
+      if (!location) return hit;
+      const distanceKm = kmBetween(place, location);
+      const boost = 1 + weight * Math.exp(-distanceKm / scaleKm);
+      return {
+        ...hit,
+        score: hit.score * boost,
+        scores: { ...hit.scores, geo: boost },
+        distanceKm,
+        distanceFrom: place.name,
+      };
+    })
+    .sort((a, b) => b.score - a.score);
 }
 
-export async function retrieveTopK(queryText, topK = 5) {
-  assertEnv();
-  const embeddingModel = getEmbeddingModel();
-  const client = new Qdrant(QDRANT_URL);
+function storeKey(store) {
+  return `${store.backend}:${store.location}:${store.collection}`;
+}
 
-  const embedResp = await embeddingModel.embedContent(queryText);
-  const queryVector = embedResp.embedding.values;
+// Lexical indexes are rebuilt when the collection version changes, or after
+// a minute so in-place Qdrant updates from another process show up too.
+const LEXICAL_INDEX_TTL_MS = 60_000;
+const lexicalIndexes = new Map();
 
-  const { err, response } = await client.search_collection(
-    COLLECTION_NAME,
-    queryVector,
-    topK
+async function getLexicalIndex(store) {
+  const key = storeKey(store);
+  const version = await store.version();
+  const cached = lexicalIndexes.get(key);
+  if (cached && cached.version === version && Date.now() - cached.builtAt < LEXICAL_INDEX_TTL_MS) {
+    return cached.index;
+  }
+
+  const points = await store.scroll();
+  const index = createBm25Index(
+    points.map((p) => ({ id: p.id, text: p.payload?.content || "", payload: p.payload }))
   );
+  lexicalIndexes.set(key, { version, index, builtAt: Date.now() });
+  return index;
+}
+
+// Results for repeated questions ("best beaches") are cached per process,
+// sized and expired by `cache.retrievalSize` / `cache.retrievalTtl`. An
+// entry is only served while the collection version it was computed
+// against is current, so an ingest invalidates everything it touches.
+let retrievalCache = null;
+
+function getRetrievalCache() {
+  const { retrievalSize, retrievalTtl } = getConfig().cache;
+  const settings = `${retrievalSize}:${retrievalTtl}`;
+  if (retrievalCache?.settings !== settings) {
+    retrievalCache = { settings, lru: createLruCache({ max: retrievalSize, ttlMs: retrievalTtl * 1000 }) };
+  }
+  return retrievalCache.lru;
+}
+
+/**
+ * The form of a query used for cache keys: Unicode-normalised, lower case,
+ * single-spaced, without trailing punctuation.
+ */
+export function normalizeQuery(text) {
+  return text
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/[\s?!.]+$/, "");
+}
+
+// JSON with object keys sorted, so equal filters give equal keys
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
 
-  if (err) {
-    throw new Error(typeof err === "string" ? err : JSON.stringify(err));
+/**
+ * Weighted reciprocal rank fusion. `rankings` is [{ name, weight, hits }];
+ * each fused hit keeps its per-ranking scores under `scores[name]`.
+ */
+export function reciprocalRankFusion(rankings, { k = 60 } = {}) {
+  const fused = new Map();
+  for (const { name, weight, hits } of rankings) {
+    if (!weight) continue;
+    hits.forEach((hit, rank) => {
+      const key = String(hit.id);
+      const entry = fused.get(key) || { id: hit.id, payload: hit.payload, score: 0, scores: {} };
+      entry.score += weight / (k + rank + 1);
+      entry.scores[name] = hit.score;
+      fused.set(key, entry);
+    });
   }
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
 
-  const results = Array.isArray(response?.result) ? response.result : [];
-  return results.map((hit) => ({
+function toHit(hit) {
+  return {
     id: hit.id,
     score: hit.score,
+    scores: hit.scores,
+    type: hit.payload?.type,
     title: hit.payload?.title,
+    section: hit.payload?.section,
     content: hit.payload?.content,
     chunkIndex: hit.payload?.chunk_index,
     documentId: hit.payload?.document_id,
-  }));
+    attractionId: hit.payload?.attraction_id,
+    region: hit.payload?.region,
+    sourceFile: hit.payload?.source_file,
+    reviewUrl: hit.payload?.review_url,
+    distanceKm: hit.distanceKm,
+    distanceFrom: hit.distanceFrom,
+  };
+}
+
+/**
+ * Top-K search, optionally restricted by a metadata filter (see
+ * FILTER_FIELDS). Filters behave the same on every store backend and in the
+ * lexical index. Dense and BM25 results are fused unless `hybrid.mode` says
+ * otherwise.
+ *
+ * The fused list is then over-fetched to `rerank.candidates`, rescored by
+ * `rerank.reranker` ("heuristic" | "llm" | "none" | custom) and diversified
+ * with MMR. Pass `rerank: false` to return the fused order as-is.
+ *
+ * When the search is anchored on a place (see `resolveGeoAnchor`; pass
+ * `geo: { context }` with earlier user messages, or `geo: false` to turn it
+ * off), nearby chunks are boosted before reranking, an "N km of" radius
+ * becomes a filter, and hits carry `distanceKm` and `distanceFrom`.
+ *
+ * `store` and `embedder` default to the configured ones (VECTOR_STORE,
+ * EMBEDDING_PROVIDER); the evaluation harness passes its own.
+ *
+ * Results are cached by normalised query, k, filter and options until the
+ * collection version changes or the TTL runs out. Pass `cache: false` to
+ * bypass it or `cache` with your own `{ get, set }` (see createLruCache).
+ * Custom rerankers without a `name` are never cached.
+ */
+export async function retrieveTopK(
+  queryText,
+  topK = getConfig().retrieval.k,
+  { filter, hybrid, rerank, geo = {}, store = getVectorStore(), embedder, cache } = {}
+) {
+  const options = { ...hybridDefaults(), ...hybrid };
+  const rerankOptions = resolveRerankOptions(rerank);
+  const anchor = geo === false ? null : resolveGeoAnchor(queryText, geo);
+  const radius = anchor?.radiusKm
+    ? { near: { latitude: anchor.place.latitude, longitude: anchor.place.longitude, radius_km: anchor.radiusKm } }
+    : {};
+  const payloadFilter = toPayloadFilter({ ...filter, ...radius });
+  const poolSize = Math.max(topK, rerankOptions ? rerankOptions.candidates : 0);
+  const depth = Math.max(options.candidates, poolSize);
+  const queryEmbedder = options.mode === "lexical" ? null : embedder || getEmbeddingProvider();
+
+  const resultCache = cache === false ? null : cache || getRetrievalCache();
+  const reranker = rerankOptions?.reranker;
+  let cacheKey = null;
+  let version = null;
+  if (resultCache && (!reranker || reranker.name)) {
+    cacheKey = stableStringify({
+      query: normalizeQuery(queryText),
+      topK,
+      filter: payloadFilter,
+      hybrid: options,
+      rerank: rerankOptions && { ...rerankOptions, reranker: reranker?.name ?? null },
+      geo: anchor && { place: anchor.place.name, radiusKm: anchor.radiusKm, ...geoDefaults(), ...geo, context: undefined },
+      store: storeKey(store),
+      embedder: queryEmbedder && [queryEmbedder.provider, queryEmbedder.model, queryEmbedder.dimension],
+    });
+    version = await store.version();
+    const cached = resultCache.get(cacheKey);
+    if (cached && cached.version === version) return structuredClone(cached.hits);
+  }
+  const hits = await rankTopK(queryText, topK, {
+    options,
+    rerankOptions,
+    anchor,
+    geo,
+    payloadFilter,
+    poolSize,
+    depth,
+    store,
+    embedder: queryEmbedder,
+  });
+  if (cacheKey) resultCache.set(cacheKey, { version, hits: structuredClone(hits) });
+  return hits;
+}
+
+async function rankTopK(
+  queryText,
+  topK,
+  { options, rerankOptions, anchor, geo, payloadFilter, poolSize, depth, store, embedder }
+) {
+  const rankings = [];
+  if (options.mode !== "lexical") {
+    const queryVector = await embedder.embed(queryText);
+    const hits = await store.search(queryVector, { limit: depth, filter: payloadFilter });
+    rankings.push({ name: "dense", weight: options.mode === "dense" ? 1 : options.denseWeight, hits });
+  }
+  if (options.mode !== "dense") {
+    const index = await getLexicalIndex(store);
+    const hits = index.search(queryText, { limit: depth, filter: payloadFilter });
+    rankings.push({ name: "lexical", weight: options.mode === "lexical" ? 1 : options.lexicalWeight, hits });
+  }
+
+  let results =
+    rankings.length === 1
+      ? rankings[0].hits.map((hit) => ({ ...hit, scores: { [rankings[0].name]: hit.score } }))
+      : reciprocalRankFusion(rankings, { k: options.rrfK });
+  if (anchor) results = applyGeoBoost(results, anchor.place, { ...geoDefaults(), ...geo });
+
+  if (!rerankOptions) return results.slice(0, topK).map(toHit);
+  return rerankHits(queryText, results.slice(0, poolSize).map(toHit), topK, rerankOptions);
+}
+
+/**
+ * Attractions nearest to `point` ({ latitude, longitude }), closest first:
+ * one hit per attraction, its description chunk where there is one, with
+ * `distanceKm`. `radiusKm` and `filter` narrow the candidates. Nothing is
+ * embedded, so this works with any store and costs no API calls. `store`
+ * defaults to the configured one, as in retrieveTopK.
+ */
+export async function findNearby(
+  point,
+  { limit = getConfig().retrieval.k, radiusKm, filter, store = getVectorStore() } = {}
+) {
+  const radius = radiusKm ? { near: { latitude: point.latitude, longitude: point.longitude, radius_km: radiusKm } } : {};
+  const points = await store.scroll({ filter: toPayloadFilter({ ...filter, ...radius }) });
+
+  const byAttraction = new Map();
+  for (const p of points) {
+    const id = p.payload?.attraction_id;
+    if (!id || !p.payload.location) continue;
+    const current = byAttraction.get(id);
+    const better =
+      !current ||
+      (p.payload.section === "description") > (current.payload.section === "description") ||
+      ((p.payload.section === "description") === (current.payload.section === "description") &&
+        (p.payload.chunk_index ?? 0) < (current.payload.chunk_index ?? 0));
+    if (better) byAttraction.set(id, p);
+  }
+
+  const { scaleKm } = geoDefaults();
+  return [...byAttraction.values()]
+    .map((p) => {
+      const distanceKm = kmBetween(point, p.payload.location);
+      const score = Math.exp(-distanceKm / scaleKm);
+      return toHit({ ...p, score, scores: { geo: score }, distanceKm, distanceFrom: point.name });
+    })
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, limit);
 }
 
 export function formatContextForPrompt(hits) {
   if (!hits || hits.length === 0) return "";
   const blocks = hits.map((h, i) => {
-    const header = `Source ${i + 1} — ${h.title || "Untitled"} (chunk ${h.chunkIndex ?? "?"}, score ${h.score?.toFixed?.(3) ?? h.score})`;
+    const section = h.section ? `${h.section}, ` : "";
+    const distance =
+      h.distanceKm !== undefined ? `, ${h.distanceKm} km${h.distanceFrom ? ` from ${h.distanceFrom}` : " away"}` : "";
+    const header = `Source ${i + 1} — ${h.title || "Untitled"} (${section}chunk ${h.chunkIndex ?? "?"}, score ${h.score?.toFixed?.(3) ?? h.score}${distance})`;
     return `${header}\n${h.content || ""}`;
   });
   return blocks.join("\n\n---\n\n");
 }
-
-
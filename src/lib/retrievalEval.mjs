@@ -0,0 +1,232 @@
+import fs from "fs";
+import path from "path";
+import { getConfig } from "./config.mjs";
+import { getDataset } from "./dataset.mjs";
+import { getEmbeddingProvider } from "./embeddings.mjs";
+import { attractionChunks, syncChunks, travelDocChunks } from "./ingest.mjs";
+import { retrieveTopK } from "./retrieval.mjs";
+import { createMemoryStore } from "./vectorStore.mjs";
+
+// Retrieval evaluation: run a golden set of questions through retrieveTopK
+// under one or more configs and score the ranking against the expected
+// attractions and travel documents.
+//
+// A golden set is { version, questions: [{ id, question, expected, filter? }] }
+// where `expected` is { attraction_ids?: [], doc_titles?: [] }. Bump the
+// version whenever questions or expectations change, so results from
+// different sets are never compared.
+
+export const EVAL_DIR = path.join(process.cwd(), "eval");
+export const DEFAULT_GOLDEN_FILE = path.join(EVAL_DIR, "golden", "retrieval-v1.json");
+export const RESULTS_DIR = path.join(EVAL_DIR, "results");
+
+// Named configs to compare. A config picks the chunker (`chunkSize`), the
+// embedder, the hybrid options and the rerank options of retrieveTopK.
+export const RETRIEVAL_CONFIGS = {
+  dense: { hybrid: { mode: "dense" }, rerank: false },
+  lexical: { hybrid: { mode: "lexical" }, rerank: false },
+  hybrid: { hybrid: { mode: "hybrid" }, rerank: false },
+  "hybrid+rerank": { hybrid: { mode: "hybrid" }, rerank: { reranker: "heuristic" } },
+};
+
+/**
+ * Load and check a golden set, including that every expected attraction id
+ * and document title exists in the dataset. Throws with every problem found.
+ */
+export function loadGoldenSet(file = DEFAULT_GOLDEN_FILE, { dataset = getDataset() } = {}) {
+  const golden = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const attractionIds = new Set(dataset.attractions.map((a) => a.id));
+  const docTitles = new Set(dataset.travelDocs.map((d) => d.title));
+  const problems = [];
+  if (typeof golden.version !== "string" || !golden.version) problems.push("version must be a non-empty string");
+  if (!Array.isArray(golden.questions) || golden.questions.length === 0) problems.push("questions must be a non-empty array");
+  const ids = new Set();
+  for (const [i, q] of (golden.questions || []).entries()) {
+    const label = q.id || `#${i + 1}`;
+    if (!q.id) problems.push(`${label}: id is required`);
+    else if (ids.has(q.id)) problems.push(`${label}: duplicate id`);
+    ids.add(q.id);
+    if (typeof q.question !== "string" || !q.question.trim()) problems.push(`${label}: question is required`);
+    const expected = q.expected || {};
+    if (!(expected.attraction_ids?.length || expected.doc_titles?.length)) {
+      problems.push(`${label}: expected needs attraction_ids or doc_titles`);
+    }
+    for (const id of expected.attraction_ids || []) {
+      if (!attractionIds.has(id)) problems.push(`${label}: unknown attraction id "${id}"`);
+    }
+    for (const title of expected.doc_titles || []) {
+      if (!docTitles.has(title)) problems.push(`${label}: unknown travel document "${title}"`);
+    }
+  }
+  if (problems.length) throw new Error(`Invalid golden set ${file}:\n  ${problems.join("\n  ")}`);
+  return { ...golden, file };
+}
+
+// Hits are scored per document, not per chunk: an attraction's id or a
+// travel document's title.
+function documentKey(hit) {
+  if (hit.attractionId) return `attraction:${hit.attractionId}`;
+  if (hit.type === "doc") return `doc:${hit.title}`;
+  return `chunk:${hit.id}`;
+}
+
+function expectedKeys(expected) {
+  return [
+    ...(expected.attraction_ids || []).map((id) => `attraction:${id}`),
+    ...(expected.doc_titles || []).map((title) => `doc:${title}`),
+  ];
+}
+
+/**
+ * Distinct documents in ranked order, first chunk winning.
+ */
+export function rankDocuments(hits) {
+  return [...new Set(hits.map(documentKey))];
+}
+
+export function recallAtK(ranked, relevant, k) {
+  const hits = ranked.slice(0, k).filter((key) => relevant.has(key)).length;
+  return relevant.size ? hits / relevant.size : 0;
+}
+
+export function reciprocalRank(ranked, relevant) {
+  const index = ranked.findIndex((key) => relevant.has(key));
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+/**
+ * Binary-relevance nDCG@k: every expected document has gain 1.
+ */
+export function ndcgAtK(ranked, relevant, k) {
+  const dcg = ranked.slice(0, k).reduce((sum, key, i) => sum + (relevant.has(key) ? 1 / Math.log2(i + 2) : 0), 0);
+  let ideal = 0;
+  for (let i = 0; i < Math.min(relevant.size, k); i++) ideal += 1 / Math.log2(i + 2);
+  return ideal ? dcg / ideal : 0;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Resolve a config name or object to the full config, with `chunkSize` and
+ * `embedder` (provider name) filled in.
+ */
+export function resolveRetrievalConfig(config, overrides = {}) {
+  const base = typeof config === "string" ? RETRIEVAL_CONFIGS[config] : config;
+  if (!base) {
+    throw new Error(`Unknown retrieval config "${config}" (expected one of: ${Object.keys(RETRIEVAL_CONFIGS).join(", ")})`);
+  }
+  const name = typeof config === "string" ? config : config.name || "custom";
+  return {
+    name,
+    chunkSize: getConfig().chunking.chunkSize,
+    embedder: "local",
+    ...base,
+    ...overrides,
+    hybrid: { ...base.hybrid, ...overrides.hybrid },
+    rerank: overrides.rerank === undefined ? base.rerank : overrides.rerank,
+  };
+}
+
+// One index per chunker and embedder, shared by configs that only differ
+// in how they search
+const indexes = new Map();
+
+/**
+ * Embed the dataset into an in-memory store with `chunkSize` and the
+ * `embedder` provider; resolves to `{ store, embedder, chunks }`.
+ */
+export async function buildEvalIndex({ chunkSize, embedder: provider }) {
+  const key = `${provider}:${chunkSize}`;
+  if (!indexes.has(key)) {
+    indexes.set(
+      key,
+      (async () => {
+        const embedder = getEmbeddingProvider({ provider });
+        const store = createMemoryStore({ collection: `eval_${provider}_${chunkSize}` });
+        const { attractions, travelDocs } = getDataset();
+        const chunks = [...travelDocChunks(travelDocs, { chunkSize }), ...attractionChunks(attractions, { chunkSize })];
+        const report = await syncChunks({ store, embedder, chunks, log: () => {} });
+        if (report.failed) throw new Error(`${report.failed} chunks failed to embed with ${provider}`);
+        return { store, embedder, chunks: chunks.length };
+      })()
+    );
+  }
+  return indexes.get(key);
+}
+
+/**
+ * Run every golden question under `config` and return per-question scores
+ * plus the means: `{ config, chunks, metrics: { recall, mrr, ndcg }, questions }`.
+ */
+export async function evaluateRetrieval(golden, config, { k = 5 } = {}) {
+  const { store, embedder, chunks } = await buildEvalIndex(config);
+  const questions = [];
+  for (const q of golden.questions) {
+    const hits = await retrieveTopK(q.question, k, {
+      filter: q.filter,
+      hybrid: config.hybrid,
+      rerank: config.rerank,
+      store,
+      embedder,
+    });
+    const ranked = rankDocuments(hits);
+    const relevant = new Set(expectedKeys(q.expected));
+    questions.push({
+      id: q.id,
+      question: q.question,
+      expected: [...relevant],
+      retrieved: ranked,
+      recall: round(recallAtK(ranked, relevant, k)),
+      rr: round(reciprocalRank(ranked, relevant)),
+      ndcg: round(ndcgAtK(ranked, relevant, k)),
+    });
+  }
+  return {
+    config,
+    chunks,
+    metrics: {
+      recall: round(mean(questions.map((q) => q.recall))),
+      mrr: round(mean(questions.map((q) => q.rr))),
+      ndcg: round(mean(questions.map((q) => q.ndcg))),
+    },
+    questions,
+  };
+}
+
+/**
+ * Write a run to `dir` as JSON named after the golden set version and time;
+ * returns the file path.
+ */
+export function saveEvalResults(results, { dir = RESULTS_DIR } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const stamp = results.created_at.replace(/[:.]/g, "-");
+  const file = path.join(dir, `${results.golden.version}-${stamp}.json`);
+  fs.writeFileSync(file, `${JSON.stringify(results, null, 2)}\n`);
+  return file;
+}
+
+/**
+ * Metric changes per config between two saved runs of the same golden set
+ * version: `[{ config, metric, before, after, delta }]`.
+ */
+export function compareEvalResults(before, after) {
+  if (before.golden.version !== after.golden.version) {
+    throw new Error(`Cannot compare golden set ${before.golden.version} with ${after.golden.version}`);
+  }
+  const changes = [];
+  for (const run of after.runs) {
+    const previous = before.runs.find((r) => r.config.name === run.config.name);
+    if (!previous) continue;
+    for (const [metric, value] of Object.entries(run.metrics)) {
+      const old = previous.metrics[metric];
+      changes.push({ config: run.config.name, metric, before: old, after: value, delta: round(value - old) });
+    }
+  }
+  return changes;
+}
@@ -0,0 +1,352 @@
+import { randomUUID } from "crypto";
+import fs from "fs";
+import path from "path";
+import pg from "pg";
+import { getConfig } from "./config.mjs";
+
+// Chat sessions: one conversation's messages, stored server-side so a page
+// refresh can pick it up again. Every store exposes:
+//   createSession({ title, owner }) -> session
+//   getSession(id, { owner })       -> session | null
+//   listSessions({ limit, owner })  -> [session], most recently active first
+//   getMessages(id, { limit }) -> the latest `limit` messages, oldest first
+//   appendMessages(id, messages)  also bumps the session's updated_at
+//   deleteSession(id, { owner })    -> whether it existed
+//
+// A session is { id, title, created_at, updated_at, message_count }; a
+// message is { role: "user" | "assistant", content, sources, template,
+// selected, error, created_at }. Timestamps are ISO strings.
+//
+// Each session belongs to the owner key it was created with (one per
+// browser, see resolveOwner) and is only found, listed or deleted for that
+// owner; sessions of another owner look like missing ones. getMessages and
+// appendMessages don't check: callers look the session up first.
+
+export const MAX_TITLE_LENGTH = 80;
+
+// Ids end up in file names, so anything else is treated as unknown
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export function isValidSessionId(id) {
+  return typeof id === "string" && SESSION_ID_PATTERN.test(id);
+}
+
+export const OWNER_COOKIE = "session_owner";
+const OWNER_COOKIE_MAX_AGE = 60 * 60 * 24 * 365;
+
+function readCookie(header, name) {
+  for (const part of (header || "").split(";")) {
+    const separator = part.indexOf("=");
+    if (separator > 0 && part.slice(0, separator).trim() === name) return part.slice(separator + 1).trim();
+  }
+  return null;
+}
+
+/**
+ * The owner key of the browser sending `req`, read from the httpOnly
+ * OWNER_COOKIE. A request without a valid one gets a new key; `headers`
+ * then holds the Set-Cookie that stores it, to be added to the response.
+ */
+export function resolveOwner(req) {
+  const existing = readCookie(req.headers.get("cookie"), OWNER_COOKIE);
+  if (isValidSessionId(existing)) return { owner: existing, headers: {} };
+  const owner = randomUUID();
+  const secure = new URL(req.url).protocol === "https:" ? "; Secure" : "";
+  return {
+    owner,
+    headers: {
+      "Set-Cookie": `${OWNER_COOKIE}=${owner}; Path=/; Max-Age=${OWNER_COOKIE_MAX_AGE}; HttpOnly; SameSite=Lax${secure}`,
+    },
+  };
+}
+
+/**
+ * Sidebar title for a new conversation: its first message on one line,
+ * cut at a word boundary.
+ */
+export function titleFromMessage(message) {
+  const line = message.replace(/\s+/g, " ").trim();
+  if (line.length <= MAX_TITLE_LENGTH) return line;
+  const cut = line.slice(0, MAX_TITLE_LENGTH - 1);
+  return `${cut.slice(0, cut.lastIndexOf(" ") > 40 ? cut.lastIndexOf(" ") : cut.length)}…`;
+}
+
+function toMessage(message, now) {
+  return {
+    role: message.role,
+    content: message.content,
+    sources: message.sources ?? null,
+    template: message.template ?? null,
+    selected: message.selected ?? null,
+    error: message.error ?? null,
+    created_at: now,
+  };
+}
+
+// ---------- In-memory and file-backed stores ----------
+
+// Both keep { session, owner, messages } records; they differ only in where
+// the records live. Records saved before sessions had owners have none and
+// only match callers that pass no owner.
+function createRecordStore({ read, write, remove, readAll }) {
+  const summary = ({ session, messages }) => ({ ...session, message_count: messages.length });
+  const owns = (record, owner) => (record.owner ?? null) === (owner ?? null);
+  const readOwned = (id, owner) => {
+    const record = isValidSessionId(id) ? read(id) : null;
+    return record && owns(record, owner) ? record : null;
+  };
+  return {
+    async createSession({ title = "New conversation", owner = null } = {}) {
+      const now = new Date().toISOString();
+      const session = { id: randomUUID(), title: title.slice(0, MAX_TITLE_LENGTH), created_at: now, updated_at: now };
+      write({ session, owner, messages: [] });
+      return summary({ session, messages: [] });
+    },
+    async getSession(id, { owner } = {}) {
+      const record = readOwned(id, owner);
+      return record ? summary(record) : null;
+    },
+    async listSessions({ limit = 50, owner } = {}) {
+      return readAll()
+        .filter((record) => owns(record, owner))
+        .map(summary)
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+        .slice(0, limit);
+    },
+    async getMessages(id, { limit } = {}) {
+      const record = isValidSessionId(id) ? read(id) : null;
+      if (!record) return [];
+      return limit ? record.messages.slice(-limit) : record.messages;
+    },
+    async appendMessages(id, messages) {
+      const record = isValidSessionId(id) ? read(id) : null;
+      if (!record) throw new Error(`Unknown session "${id}"`);
+      const now = new Date().toISOString();
+      record.messages.push(...messages.map((m) => toMessage(m, now)));
+      record.session.updated_at = now;
+      write(record);
+    },
+    async deleteSession(id, { owner } = {}) {
+      return readOwned(id, owner) ? remove(id) : false;
+    },
+  };
+}
+
+const memorySessions = new Map();
+
+export function createMemorySessionStore() {
+  const store = createRecordStore({
+    read: (id) => memorySessions.get(id) ?? null,
+    write: (record) => memorySessions.set(record.session.id, record),
+    remove: (id) => memorySessions.delete(id),
+    readAll: () => [...memorySessions.values()],
+  });
+  return { backend: "memory", location: "process memory", ...store };
+}
+
+/**
+ * One JSON file per session under `dir`. Meant for local development:
+ * listing reads every file.
+ */
+export function createFileSessionStore({ dir = getConfig().sessions.dir } = {}) {
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+  const readFile = (file) => JSON.parse(fs.readFileSync(file, "utf-8"));
+  const store = createRecordStore({
+    read: (id) => (fs.existsSync(fileFor(id)) ? readFile(fileFor(id)) : null),
+    write: (record) => {
+      fs.mkdirSync(dir, { recursive: true });
+      // Write then rename so a crash never leaves half a file behind
+      const tmp = `${fileFor(record.session.id)}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(record));
+      fs.renameSync(tmp, fileFor(record.session.id));
+    },
+    remove: (id) => {
+      if (!fs.existsSync(fileFor(id))) return false;
+      fs.unlinkSync(fileFor(id));
+      return true;
+    },
+    readAll: () =>
+      fs.existsSync(dir)
+        ? fs
+            .readdirSync(dir)
+            .filter((name) => name.endsWith(".json"))
+            .map((name) => readFile(path.join(dir, name)))
+        : [],
+  });
+  return { backend: "file", location: dir, ...store };
+}
+
+// ---------- Postgres ----------
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS chat_sessions (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    owner TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  );
+  CREATE TABLE IF NOT EXISTS chat_messages (
+    id BIGSERIAL PRIMARY KEY,
+    session_id TEXT NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    sources JSONB,
+    template TEXT,
+    selected JSONB,
+    error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  );
+  CREATE INDEX IF NOT EXISTS chat_messages_session_idx ON chat_messages (session_id, id);
+  CREATE INDEX IF NOT EXISTS chat_sessions_updated_idx ON chat_sessions (updated_at DESC);
+  ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS owner TEXT;
+  CREATE INDEX IF NOT EXISTS chat_sessions_owner_idx ON chat_sessions (owner, updated_at DESC);
+`;
+
+const SESSION_COLUMNS = `
+  s.id, s.title, s.created_at, s.updated_at,
+  (SELECT count(*)::int FROM chat_messages m WHERE m.session_id = s.id) AS message_count`;
+
+function toSession(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    created_at: row.created_at.toISOString(),
+    updated_at: row.updated_at.toISOString(),
+    message_count: row.message_count,
+  };
+}
+
+function fromMessageRow(row) {
+  return {
+    role: row.role,
+    content: row.content,
+    sources: row.sources,
+    template: row.template,
+    selected: row.selected,
+    error: row.error,
+    created_at: row.created_at.toISOString(),
+  };
+}
+
+/**
+ * Sessions in Postgres at `connectionString` (DATABASE_URL). Tables are
+ * created on first use.
+ */
+export function createPostgresSessionStore({ connectionString = getConfig().sessions.databaseUrl } = {}) {
+  if (!connectionString) throw new Error("DATABASE_URL is not set (needed for SESSION_STORE=postgres)");
+  const pool = new pg.Pool({ connectionString });
+  let ready;
+  function ensureSchema() {
+    ready ??= pool.query(SCHEMA).catch((error) => {
+      // Retry on the next call, e.g. once the database is up
+      ready = undefined;
+      throw error;
+    });
+    return ready;
+  }
+  async function query(text, params) {
+    await ensureSchema();
+    return pool.query(text, params);
+  }
+
+  return {
+    backend: "postgres",
+    location: new URL(connectionString).host,
+    async createSession({ title = "New conversation", owner = null } = {}) {
+      const { rows } = await query(
+        `INSERT INTO chat_sessions (id, title, owner) VALUES ($1, $2, $3)
+         RETURNING id, title, created_at, updated_at, 0 AS message_count`,
+        [randomUUID(), title.slice(0, MAX_TITLE_LENGTH), owner]
+      );
+      return toSession(rows[0]);
+    },
+    async getSession(id, { owner = null } = {}) {
+      if (!isValidSessionId(id)) return null;
+      const { rows } = await query(
+        `SELECT ${SESSION_COLUMNS} FROM chat_sessions s WHERE s.id = $1 AND s.owner IS NOT DISTINCT FROM $2`,
+        [id, owner]
+      );
+      return rows[0] ? toSession(rows[0]) : null;
+    },
+    async listSessions({ limit = 50, owner = null } = {}) {
+      const { rows } = await query(
+        `SELECT ${SESSION_COLUMNS} FROM chat_sessions s
+         WHERE s.owner IS NOT DISTINCT FROM $2 ORDER BY s.updated_at DESC LIMIT $1`,
+        [limit, owner]
+      );
+      return rows.map(toSession);
+    },
+    async getMessages(id, { limit } = {}) {
+      if (!isValidSessionId(id)) return [];
+      const { rows } = await query(
+        `SELECT * FROM (
+           SELECT * FROM chat_messages WHERE session_id = $1 ORDER BY id DESC LIMIT $2
+         ) latest ORDER BY id`,
+        [id, limit ?? null]
+      );
+      return rows.map(fromMessageRow);
+    },
+    async appendMessages(id, messages) {
+      await ensureSchema();
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const { rowCount } = await client.query("UPDATE chat_sessions SET updated_at = now() WHERE id = $1", [id]);
+        if (!rowCount) throw new Error(`Unknown session "${id}"`);
+        for (const message of messages) {
+          const m = toMessage(message);
+          await client.query(
+            `INSERT INTO chat_messages (session_id, role, content, sources, template, selected, error)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [id, m.role, m.content, JSON.stringify(m.sources), m.template, JSON.stringify(m.selected), m.error]
+          );
+        }
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+    async deleteSession(id, { owner = null } = {}) {
+      if (!isValidSessionId(id)) return false;
+      const { rowCount } = await query("DELETE FROM chat_sessions WHERE id = $1 AND owner IS NOT DISTINCT FROM $2", [
+        id,
+        owner,
+      ]);
+      return rowCount > 0;
+    },
+  };
+}
+
+const BACKENDS = {
+  postgres: createPostgresSessionStore,
+  file: createFileSessionStore,
+  memory: createMemorySessionStore,
+};
+
+// Stores are reused across requests so Postgres keeps one connection pool
+const sessionStores = new Map();
+
+/**
+ * The store selected by `sessions.backend` in the config (SESSION_STORE):
+ * "postgres" when DATABASE_URL is set, otherwise "file" (JSON files under
+ * SESSION_STORE_DIR, default `sessions/`). Options override the config.
+ */
+export function getSessionStore(options = {}) {
+  const { sessions } = getConfig();
+  const backend = (options.backend || sessions.backend || (sessions.databaseUrl ? "postgres" : "file")).toLowerCase();
+  const factory = BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`Unknown session store "${backend}" (expected one of: ${Object.keys(BACKENDS).join(", ")})`);
+  }
+  const dir = options.dir || sessions.dir;
+  const connectionString = options.connectionString || sessions.databaseUrl;
+  const key = `${backend}:${backend === "postgres" ? connectionString : dir}`;
+  if (!sessionStores.has(key)) {
+    sessionStores.set(key, factory({ connectionString, dir }));
+  }
+  return sessionStores.get(key);
+}
@@ -0,0 +1,68 @@
+import { getConfig } from "./config.mjs";
+import { getEmbeddingProvider } from "./embeddings.mjs";
+import { getVectorStore } from "./vectorStore.mjs";
+
+// Checks that need the embedder and the store, run once when a server or
+// script starts (see src/instrumentation.js and src/cli.mjs) rather than on
+// the first request that happens to need them.
+
+/**
+ * Check the configured embedder against the expected vector size and the
+ * collection; pass `embedder: null` to skip the embedder (lexical-only
+ * search). `collection` is "required" (searching), "optional" (ingest
+ * creates it) or "replace" (about to be rebuilt: only reachability counts).
+ * Resolves to a list of `{ code, message }` problems, empty when everything
+ * is ready:
+ *   CONFIG_ERROR       the embedder can't be built, or vector sizes disagree
+ *   RETRIEVAL_FAILED   the store can't be reached
+ *   NOT_FOUND          a required collection is missing or empty
+ */
+export async function checkStartup({
+  config = getConfig(),
+  store = getVectorStore(),
+  embedder,
+  collection = "required",
+} = {}) {
+  const requireCollection = collection === "required";
+  const problems = [];
+  try {
+    if (embedder === undefined) embedder = getEmbeddingProvider();
+  } catch (error) {
+    return [{ code: "CONFIG_ERROR", message: error.message }];
+  }
+
+  const { vectorSize } = config.vectorStore;
+  if (embedder && vectorSize && vectorSize !== embedder.dimension) {
+    problems.push({
+      code: "CONFIG_ERROR",
+      message: `vectorStore.vectorSize is ${vectorSize} but the ${embedder.provider} embedder produces ${embedder.dimension}-dim vectors`,
+    });
+  }
+
+  let info;
+  let count = 0;
+  try {
+    info = (await store.exists()) ? await store.getCollectionInfo() : null;
+    if (info) count = await store.count();
+  } catch (error) {
+    problems.push({ code: "RETRIEVAL_FAILED", message: `Could not reach the ${store.backend} store at ${store.location}: ${error.message}` });
+    return problems;
+  }
+
+  if (!info || collection === "replace") {
+    if (requireCollection) {
+      problems.push({ code: "NOT_FOUND", message: `Collection "${store.collection}" not found in the ${store.backend} store; run: npm run ingest` });
+    }
+    return problems;
+  }
+  if (embedder && info.size && info.size !== embedder.dimension) {
+    problems.push({
+      code: "CONFIG_ERROR",
+      message: `Collection "${store.collection}" holds ${info.size}-dim vectors but the ${embedder.provider} embedder produces ${embedder.dimension}; run: npm run ingest -- --rebuild`,
+    });
+  }
+  if (requireCollection && count === 0) {
+    problems.push({ code: "NOT_FOUND", message: `Collection "${store.collection}" is empty; run: npm run ingest` });
+  }
+  return problems;
+}
@@ -0,0 +1,52 @@
+// Text helpers shared by ingestion, embedding and keyword search.
+
+export function cleanText(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Strip diacritics so "Île aux Cerfs" and "ile aux cerfs" compare equal.
+ */
+export function foldAccents(text) {
+  return (text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[\u2018\u2019`]/g, "'");
+}
+
+/**
+ * Lowercased, accent-folded word tokens. Elisions such as "d'Eau" are split
+ * so the French article does not glue onto the place name.
+ */
+export function tokenize(text) {
+  return foldAccents(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 1 || /\d/.test(token));
+}
+
+/**
+ * `text` as space-separated tokenize() words. Ingest stores this copy of
+ * text fields filters match on (under foldedField), so every store backend
+ * compares the same accent-folded, lowercased words.
+ */
+export function foldForSearch(text) {
+  return tokenize(text).join(" ");
+}
+
+// Payload field holding the foldForSearch copy of `field`
+export function foldedField(field) {
+  return `${field}_folded`;
+}
+
+/**
+ * Very light plural folding ("beaches" -> "beach", "activities" -> "activity").
+ * Deliberately conservative: place names must survive untouched.
+ */
+export function stem(token) {
+  if (token.length <= 3 || /\d/.test(token)) return token;
+  if (token.endsWith("ies") && token.length > 4) return `${token.slice(0, -3)}y`;
+  if (/(ch|sh|x|ss)es$/.test(token)) return token.slice(0, -2);
+  if (token.endsWith("s") && !/(ss|us|is)$/.test(token)) return token.slice(0, -1);
+  return token;
+}
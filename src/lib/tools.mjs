@@ -0,0 +1,254 @@
+import { getAttraction, queryAttractions, toAttractionSummary } from "./attractions.mjs";
+import { getConfig } from "./config.mjs";
+import { getDataset } from "./dataset.mjs";
+import { toPayloadFilter } from "./filters.mjs";
+import { geocode } from "./gazetteer.mjs";
+import { haversineKm } from "./geo.mjs";
+import { estimateDrive, formatItineraryForPrompt, planItinerary, validateItineraryRequest } from "./itinerary.mjs";
+import { retrieveTopK } from "./retrieval.mjs";
+
+// Tools the chat model can call, answered from the structured dataset and
+// the retrieval layer. A tool is
+//   { name, description, parameters (JSON Schema), run(args) -> Promise<result> }
+// `run` throws on bad arguments; runTool turns that into a result the model
+// can read and recover from.
+
+const MAX_SEARCH_RESULTS = 10;
+
+// "-20.28,57.36" or a town / attraction name -> { name, latitude, longitude }
+function resolvePoint(value, field) {
+  if (typeof value !== "string" || !value.trim()) throw new Error(`${field} must be a place name or "lat,lng"`);
+  const coordinates = value.split(",").map((v) => Number(v.trim()));
+  if (coordinates.length === 2 && coordinates.every(Number.isFinite)) {
+    return { name: value.trim(), latitude: coordinates[0], longitude: coordinates[1] };
+  }
+  const place = geocode(value);
+  if (!place) throw new Error(`Unknown place "${value}" for ${field}`);
+  return { name: place.name, latitude: place.latitude, longitude: place.longitude };
+}
+
+function toSearchResult(summary) {
+  return {
+    id: summary.id,
+    name: summary.name,
+    attraction_type: summary.attraction_type,
+    region: summary.region,
+    rating: summary.rating,
+    fee_required: summary.fee_required,
+    booking_required: summary.booking_required,
+    ...(summary.distance_km !== undefined ? { distance_km: summary.distance_km } : {}),
+  };
+}
+
+async function searchAttractions({ query, near, radius_km: radiusKm, limit, ...fields }) {
+  const size = Math.min(Math.max(1, Number(limit) || getConfig().retrieval.k), MAX_SEARCH_RESULTS);
+  const point = near ? resolvePoint(near, "near") : undefined;
+  if (radiusKm !== undefined && !point) throw new Error("radius_km needs near");
+  const filter = Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== undefined && v !== null));
+
+  if (!query) {
+    const page = queryAttractions({
+      filter: toPayloadFilter(filter),
+      near: point,
+      radiusKm,
+      sort: point ? "distance" : "-rating",
+      pageSize: size,
+    });
+    return { total: page.total, attractions: page.attractions.map(toSearchResult) };
+  }
+
+  // Free-text search ranks chunks; report each attraction once
+  const radius = point && radiusKm ? { near: { latitude: point.latitude, longitude: point.longitude, radius_km: radiusKm } } : {};
+  const hits = await retrieveTopK(query, size * 3, {
+    filter: { ...filter, ...radius },
+    geo: point ? { near: point } : false,
+  });
+  const byId = new Map(getDataset().attractions.map((a) => [a.id, a]));
+  const results = [];
+  for (const hit of hits) {
+    const attraction = byId.get(hit.attractionId);
+    if (!attraction || results.some((r) => r.id === attraction.id)) continue;
+    const summary = toAttractionSummary(attraction);
+    if (point) summary.distance_km = Math.round(haversineKm(point, attraction.location) * 10) / 10;
+    results.push(toSearchResult(summary));
+    if (results.length === size) break;
+  }
+  return { total: results.length, attractions: results };
+}
+
+async function getAttractionDetails({ id, name }) {
+  let attraction = id ? getAttraction(id) : null;
+  if (!attraction && name) {
+    const place = geocode(name);
+    attraction = place?.kind === "attraction" ? getAttraction(place.id) : null;
+  }
+  if (!attraction) throw new Error(`No attraction matches ${id ? `id "${id}"` : `name "${name}"`}`);
+  const pre = attraction.prerequisites || {};
+  return {
+    id: attraction.id,
+    name: attraction.name,
+    attraction_type: attraction.attraction_type,
+    description: attraction.description,
+    tags: attraction.tags,
+    location: attraction.location,
+    rating: attraction.rating,
+    fee_required: pre.fee_required ?? null,
+    booking_required: pre.booking_required ?? null,
+    tour_guide_required: pre.tour_guide_required ?? null,
+    prerequisite_notes: pre.notes ?? null,
+    entry_points: pre.entry_points || [],
+    sub_attractions: attraction.sub_attractions || [],
+    additional_info: attraction.additional_info ?? null,
+    reviews: (attraction.reviews || []).map((r) => ({ source: r.source, rating: r.rating, summary: r.summary })),
+  };
+}
+
+async function distanceBetween({ from, to }) {
+  const a = resolvePoint(from, "from");
+  const b = resolvePoint(to, "to");
+  return {
+    from: a,
+    to: b,
+    straight_line_km: Math.round(haversineKm(a, b) * 10) / 10,
+    ...estimateDrive(a, b),
+  };
+}
+
+async function planItineraryTool(args) {
+  const { value, errors } = validateItineraryRequest(args);
+  if (!value) throw new Error(errors.map((e) => `${e.field} ${e.message}`).join("; "));
+  const plan = planItinerary(value);
+  return {
+    itinerary: formatItineraryForPrompt(plan),
+    // The model narrates `itinerary`; the chat UI draws `days` on its map
+    days: plan.days.map(({ day, stops }) => ({
+      day,
+      stops: stops.map(({ order, attraction_id, name, latitude, longitude }) => ({
+        order,
+        attraction_id,
+        name,
+        latitude,
+        longitude,
+      })),
+    })),
+    unplaced: plan.unplaced.map((u) => u.name),
+  };
+}
+
+async function checkTravelDocs({ topic }) {
+  if (typeof topic !== "string" || !topic.trim()) throw new Error("topic must be a non-empty string");
+  const hits = await retrieveTopK(topic, 3, { filter: { section: "document" }, geo: false });
+  return { results: hits.map((h) => ({ title: h.title, content: h.content })) };
+}
+
+const REGION_PARAM = { type: "string", description: "Region, e.g. North, East, Southeast, Central" };
+
+export const TOOLS = [
+  {
+    name: "search_attractions",
+    description:
+      "Find attractions in the dataset by structured filters and/or free text. Use for 'which beaches in the east " +
+      "are free', 'what is near Flic en Flac', 'top rated hikes'.",
+    parameters: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Free-text description of what the traveller wants" },
+        region: REGION_PARAM,
+        type: { type: "string", description: "Attraction type, e.g. beach, island, museum, nature_reserve" },
+        tags: { type: "array", items: { type: "string" }, description: "Any of these tags, e.g. snorkeling, hiking" },
+        fee_required: { type: "boolean" },
+        booking_required: { type: "boolean" },
+        min_rating: { type: "number", description: "Minimum average review rating, 0-5" },
+        near: { type: "string", description: "Town, village or attraction name, or 'lat,lng'" },
+        radius_km: { type: "number", description: "Only places within this distance of `near`" },
+        limit: { type: "integer", description: `At most ${MAX_SEARCH_RESULTS}` },
+      },
+    },
+    run: searchAttractions,
+  },
+  {
+    name: "get_attraction",
+    description:
+      "Full record of one attraction: fees, booking and guide requirements, entry points, sub-attractions, " +
+      "notes and review summaries. Use for precise practical questions.",
+    parameters: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "Attraction id from search_attractions or the sources" },
+        name: { type: "string", description: "Attraction name, if the id is not known" },
+      },
+    },
+    run: getAttractionDetails,
+  },
+  {
+    name: "distance_between",
+    description: "Straight-line distance and an estimated drive between two places (towns, attractions or 'lat,lng').",
+    parameters: {
+      type: "object",
+      properties: { from: { type: "string" }, to: { type: "string" } },
+      required: ["from", "to"],
+    },
+    run: distanceBetween,
+  },
+  {
+    name: "plan_itinerary",
+    description: "Day-by-day plan of attractions grouped by area and ordered to minimise driving.",
+    parameters: {
+      type: "object",
+      properties: {
+        days: { type: "integer", description: "Number of days, 1-14" },
+        base: { type: "string", description: "Where the traveller stays: region, town or attraction" },
+        interests: { type: "array", items: { type: "string" }, description: "e.g. beaches, hiking, history" },
+        pace: { type: "string", enum: ["relaxed", "moderate", "packed"] },
+      },
+      required: ["days", "base"],
+    },
+    run: planItineraryTool,
+  },
+  {
+    name: "check_travel_docs",
+    description: "Search the travel documents (visas, passports, entry rules, customs, best time to visit).",
+    parameters: {
+      type: "object",
+      properties: { topic: { type: "string" } },
+      required: ["topic"],
+    },
+    run: checkTravelDocs,
+  },
+];
+
+/**
+ * Tools enabled by `agent.tools` in the config (AGENT_TOOLS): "all"
+ * (default), "none", or a comma-separated list of tool names. Unknown names
+ * throw.
+ */
+export function getAgentTools(names = getConfig().agent.tools) {
+  if (names === "all") return TOOLS;
+  if (names === "none") return [];
+  return names.split(",").map((name) => {
+    const tool = TOOLS.find((t) => t.name === name.trim());
+    if (!tool) throw new Error(`Unknown tool "${name}" (expected one of: ${TOOLS.map((t) => t.name).join(", ")})`);
+    return tool;
+  });
+}
+
+/**
+ * Tool declaration in the OpenAI function format that `bindTools` accepts.
+ */
+export function toModelTool(tool) {
+  return { type: "function", function: { name: tool.name, description: tool.description, parameters: tool.parameters } };
+}
+
+/**
+ * Run one tool call. Returns `{ ok: true, result }` or `{ ok: false, error }`;
+ * unknown tools and bad arguments are errors for the model, not the request.
+ */
+export async function runTool(tools, name, args = {}) {
+  const tool = tools.find((t) => t.name === name);
+  if (!tool) return { ok: false, error: `Unknown tool "${name}"` };
+  try {
+    return { ok: true, result: await tool.run(args && typeof args === "object" ? args : {}) };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
@@ -0,0 +1,462 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { Qdrant } from "qdrant";
+import { getConfig } from "./config.mjs";
+import { haversineKm } from "./geo.mjs";
+import { foldedField, foldForSearch, tokenize } from "./text.mjs";
+
+// Every store is bound to one collection and exposes the same methods:
+//   getCollectionInfo() -> { size, distance } | null
+//   exists()
+//   createCollection({ size, distance })
+//   deleteCollection()
+//   upsert(points)                      points: [{ id, vector, payload }]
+//   search(vector, { limit, filter })   -> [{ id, score, payload }]
+//   scroll({ filter, limit, withVector }) -> [{ id, payload, vector? }]
+//   count({ filter })
+//   delete({ ids, filter })             removes points matching either
+//   version()                           -> opaque string | null, changes
+//                                          whenever the collection does
+//
+// Filters are plain objects keyed by payload field, so callers never build
+// backend-specific queries:
+//   { region: "East" }                 equality (array payloads match if they contain it)
+//   { tags: ["beach", "snorkeling"] }  any of the listed values
+//   { content: { text: "Chamarel" } }  every query word present in the field,
+//                                      compared accent-folded and lowercased
+//                                      on the field's foldedField copy
+//   { rating: { gte: 4 } }             numeric range (gt, gte, lt, lte)
+//   { location: { geo_radius: { center: { lat, lon }, radius_km: 10 } } }
+//                                      geo point ({ lat, lon }) within the radius
+
+
+function cosineSimilarity(vecA, vecB) {
+  let dot = 0;
+  let magA = 0;
+  let magB = 0;
+  for (let i = 0; i < vecA.length; i++) {
+    const a = vecA[i];
+    const b = vecB[i] ?? 0;
+    dot += a * b;
+    magA += a * a;
+    magB += b * b;
+  }
+  if (!magA || !magB) return 0;
+  return dot / (Math.sqrt(magA) * Math.sqrt(magB));
+}
+
+const RANGE_OPERATORS = ["gt", "gte", "lt", "lte"];
+
+function isRangeCondition(expected) {
+  const keys = Object.keys(expected);
+  return keys.length > 0 && keys.every((k) => RANGE_OPERATORS.includes(k));
+}
+
+function matchesRange(actual, range) {
+  if (typeof actual !== "number") return false;
+  if (range.gt !== undefined && !(actual > range.gt)) return false;
+  if (range.gte !== undefined && !(actual >= range.gte)) return false;
+  if (range.lt !== undefined && !(actual < range.lt)) return false;
+  if (range.lte !== undefined && !(actual <= range.lte)) return false;
+  return true;
+}
+
+function isTextCondition(expected) {
+  return Boolean(expected) && typeof expected === "object" && "text" in expected;
+}
+
+// Points stored before ingest wrote the folded copy are folded on the fly
+function matchesText(payload, key, text) {
+  const actual = payload?.[key];
+  const folded = payload?.[foldedField(key)] ?? foldForSearch(Array.isArray(actual) ? actual.join(" ") : String(actual ?? ""));
+  const words = new Set(folded.split(" "));
+  return tokenize(text).every((token) => words.has(token));
+}
+
+function matchesCondition(actual, expected) {
+  if (expected && typeof expected === "object" && !Array.isArray(expected)) {
+    if (isRangeCondition(expected)) return matchesRange(actual, expected);
+    if ("geo_radius" in expected) {
+      if (typeof actual?.lat !== "number" || typeof actual?.lon !== "number") return false;
+      const { center, radius_km } = expected.geo_radius;
+      const distance = haversineKm(
+        { latitude: actual.lat, longitude: actual.lon },
+        { latitude: center.lat, longitude: center.lon }
+      );
+      return distance <= radius_km;
+    }
+    throw new Error(`Unsupported filter condition: ${JSON.stringify(expected)}`);
+  }
+  const values = Array.isArray(actual) ? actual : [actual];
+  const wanted = Array.isArray(expected) ? expected : [expected];
+  return wanted.some((v) => values.includes(v));
+}
+
+export function matchesFilter(payload, filter) {
+  if (!filter) return true;
+  return Object.entries(filter).every(([key, expected]) => {
+    if (expected === undefined || expected === null) return true;
+    if (isTextCondition(expected)) return matchesText(payload, key, expected.text);
+    return matchesCondition(payload?.[key], expected);
+  });
+}
+
+// ---------- In-memory and file-backed stores ----------
+
+// Memory collections are shared per process so every store created for the
+// same name (e.g. one per API request) sees the same points.
+const memoryCollections = new Map();
+
+// Memory and local collections carry a random `version`, replaced on every
+// write, so a recreated collection never repeats an old one.
+function createArrayStore(collection, state, persist = () => {}) {
+  function changed(current) {
+    current.version = crypto.randomUUID();
+    persist();
+  }
+
+  function requireCollection() {
+    const current = state.get();
+    if (!current) {
+      throw new Error(`Collection "${collection}" does not exist`);
+    }
+    return current;
+  }
+
+  function selectPoints(filter) {
+    return requireCollection().points.filter((p) => matchesFilter(p.payload, filter));
+  }
+
+  return {
+    collection,
+    async getCollectionInfo() {
+      const current = state.get();
+      return current ? { ...current.config } : null;
+    },
+    async exists() {
+      return Boolean(state.get());
+    },
+    async version() {
+      const current = state.get();
+      return current ? String(current.version ?? 0) : null;
+    },
+    async createCollection({ size, distance = "Cosine" }) {
+      const created = { config: { size, distance }, points: [] };
+      state.set(created);
+      changed(created);
+    },
+    async deleteCollection() {
+      state.set(null);
+      persist();
+    },
+    async upsert(points) {
+      const current = requireCollection();
+      const byId = new Map(current.points.map((p, i) => [String(p.id), i]));
+      for (const point of points) {
+        const index = byId.get(String(point.id));
+        const record = { id: point.id, vector: point.vector, payload: point.payload || {} };
+        if (index === undefined) {
+          byId.set(String(point.id), current.points.length);
+          current.points.push(record);
+        } else {
+          current.points[index] = record;
+        }
+      }
+      changed(current);
+    },
+    async search(vector, { limit = 5, filter } = {}) {
+      return selectPoints(filter)
+        .map((p) => ({ id: p.id, score: cosineSimilarity(vector, p.vector), payload: p.payload }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    },
+    async scroll({ filter, limit, withVector = false } = {}) {
+      const points = selectPoints(filter).slice(0, limit ?? Infinity);
+      return points.map((p) => ({ id: p.id, payload: p.payload, ...(withVector ? { vector: p.vector } : {}) }));
+    },
+    async count({ filter } = {}) {
+      return selectPoints(filter).length;
+    },
+    async delete({ ids, filter } = {}) {
+      const current = requireCollection();
+      const idSet = new Set((ids || []).map(String));
+      const before = current.points.length;
+      current.points = current.points.filter(
+        (p) => !idSet.has(String(p.id)) && !(filter && matchesFilter(p.payload, filter))
+      );
+      changed(current);
+      return before - current.points.length;
+    },
+  };
+}
+
+export function createMemoryStore({ collection = getConfig().vectorStore.collection } = {}) {
+  const state = {
+    get: () => memoryCollections.get(collection) || null,
+    set: (value) => {
+      if (value) memoryCollections.set(collection, value);
+      else memoryCollections.delete(collection);
+    },
+  };
+  return { backend: "memory", location: "process memory", ...createArrayStore(collection, state) };
+}
+
+// Parsed collection files, shared by every local store on the same file and
+// re-read only when the file changes on disk (e.g. an ingest in another
+// process), so a store per request doesn't re-parse the whole file.
+const localFiles = new Map();
+
+function fileStamp(filePath) {
+  const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+  return stat ? `${stat.mtimeMs}:${stat.size}` : null;
+}
+
+/**
+ * File-backed store: one JSON file per collection under `dir`, loaded lazily
+ * and rewritten after every mutation. Fine for the few hundred chunks this
+ * project holds; not meant for concurrent writers.
+ */
+export function createLocalStore({
+  collection = getConfig().vectorStore.collection,
+  dir = getConfig().vectorStore.localDir,
+} = {}) {
+  const filePath = path.join(dir, `${collection}.json`);
+
+  function load() {
+    const stamp = fileStamp(filePath);
+    if (!stamp) {
+      localFiles.delete(filePath);
+      return null;
+    }
+    const loaded = localFiles.get(filePath);
+    if (loaded?.stamp === stamp) return loaded.data;
+    const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    localFiles.set(filePath, { stamp, data });
+    return data;
+  }
+
+  function persist() {
+    const loaded = localFiles.get(filePath);
+    if (loaded) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(loaded.data));
+      loaded.stamp = fileStamp(filePath);
+    } else if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  const state = {
+    get: load,
+    set: (value) => {
+      if (value) localFiles.set(filePath, { stamp: null, data: value });
+      else localFiles.delete(filePath);
+    },
+  };
+  return { backend: "local", location: filePath, ...createArrayStore(collection, state, persist) };
+}
+
+// ---------- Qdrant ----------
+
+function toQdrantFilter(filter) {
+  if (!filter) return undefined;
+  const must = [];
+  for (const [key, expected] of Object.entries(filter)) {
+    if (expected === undefined || expected === null) continue;
+    if (Array.isArray(expected)) {
+      must.push({ key, match: { any: expected } });
+    } else if (typeof expected === "object") {
+      if ("text" in expected) {
+        // Same words as matchesText: the folded copy against the folded query
+        must.push({ key: foldedField(key), match: { text: foldForSearch(expected.text) } });
+      } else if (isRangeCondition(expected)) {
+        must.push({ key, range: expected });
+      } else if ("geo_radius" in expected) {
+        const { center, radius_km } = expected.geo_radius;
+        must.push({ key, geo_radius: { center, radius: radius_km * 1000 } });
+      } else {
+        throw new Error(`Unsupported filter condition: ${JSON.stringify(expected)}`);
+      }
+    } else {
+      must.push({ key, match: { value: expected } });
+    }
+  }
+  return must.length ? { must } : undefined;
+}
+
+function unwrap({ err, response }) {
+  if (err) {
+    throw new Error(typeof err === "string" ? err : err.message || JSON.stringify(err));
+  }
+  if (response?.status?.error) {
+    throw new Error(`Qdrant error: ${response.status.error}`);
+  }
+  return response?.result;
+}
+
+// Writes made through this process's Qdrant stores, per collection; see version()
+const qdrantWrites = new Map();
+
+export function createQdrantStore({
+  collection = getConfig().vectorStore.collection,
+  url = getConfig().vectorStore.url,
+} = {}) {
+  const baseUrl = url.endsWith("/") ? url : `${url}/`;
+  const client = new Qdrant(baseUrl);
+  const collectionPath = `collections/${encodeURIComponent(collection)}`;
+  const writesKey = `${baseUrl}${collection}`;
+  const wrote = () => qdrantWrites.set(writesKey, (qdrantWrites.get(writesKey) || 0) + 1);
+
+  // The `qdrant` client has no count/scroll/delete-points/index calls and
+  // can't wait for an upsert to be applied, so those go straight to the REST
+  // API.
+  async function qdrantRequest(method, pathSuffix, body) {
+    const target = new URL(pathSuffix, baseUrl).toString();
+    const res = await fetch(target, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!res.ok) {
+      const txt = await res.text().catch(() => "");
+      throw new Error(`Qdrant ${method} ${target} failed: ${res.status} ${txt}`);
+    }
+    const json = await res.json().catch(() => undefined);
+    return json?.result;
+  }
+
+  const textIndexed = new Set();
+  async function ensureTextIndex(fieldName) {
+    if (textIndexed.has(fieldName)) return;
+    try {
+      await qdrantRequest("PUT", `${collectionPath}/index`, {
+        field_name: fieldName,
+        field_schema: { type: "text", tokenizer: "word", lowercase: true },
+      });
+    } catch {
+      // Index may already exist; Qdrant reports that as a conflict.
+    }
+    textIndexed.add(fieldName);
+  }
+
+  async function ensureTextIndexes(filter) {
+    for (const [key, expected] of Object.entries(filter || {})) {
+      if (isTextCondition(expected)) await ensureTextIndex(foldedField(key));
+    }
+  }
+
+  return {
+    backend: "qdrant",
+    location: baseUrl,
+    collection,
+    async getCollectionInfo() {
+      const { err, response } = await client.get_collection(collection);
+      if (err || response?.status?.error || !response?.result) return null;
+      const vectors = response.result.config?.params?.vectors || {};
+      return { size: vectors.size, distance: vectors.distance };
+    },
+    async exists() {
+      return Boolean(await this.getCollectionInfo());
+    },
+    // Qdrant has no collection version, so this is the point count plus the
+    // writes made from this process. In-place updates from another process
+    // don't change it; callers caching on it should also expire entries.
+    async version() {
+      const { err, response } = await client.get_collection(collection);
+      if (err || response?.status?.error || !response?.result) return null;
+      return `${response.result.points_count ?? 0}:${qdrantWrites.get(writesKey) || 0}`;
+    },
+    async createCollection({ size, distance = "Cosine" }) {
+      unwrap(await client.create_collection(collection, { vectors: { size, distance } }));
+      wrote();
+      await ensureTextIndex(foldedField("content"));
+    },
+    async deleteCollection() {
+      unwrap(await client.delete_collection(collection));
+      wrote();
+    },
+    async upsert(points) {
+      // Wait, so a search right after an ingest sees the new points
+      await qdrantRequest("PUT", `${collectionPath}/points?wait=true`, { points });
+      wrote();
+    },
+    async search(vector, { limit = 5, filter } = {}) {
+      await ensureTextIndexes(filter);
+      const query = { vector, limit, with_payload: true, with_vector: false };
+      const qdrantFilter = toQdrantFilter(filter);
+      if (qdrantFilter) query.filter = qdrantFilter;
+      const result = unwrap(await client.query_collection(collection, query));
+      return (Array.isArray(result) ? result : []).map((hit) => ({
+        id: hit.id,
+        score: hit.score,
+        payload: hit.payload || {},
+      }));
+    },
+    async scroll({ filter, limit, withVector = false } = {}) {
+      await ensureTextIndexes(filter);
+      const points = [];
+      let offset;
+      do {
+        const pageSize = Math.min(256, (limit ?? Infinity) - points.length);
+        const body = { limit: pageSize, with_payload: true, with_vector: withVector };
+        const qdrantFilter = toQdrantFilter(filter);
+        if (qdrantFilter) body.filter = qdrantFilter;
+        if (offset !== undefined) body.offset = offset;
+        const result = await qdrantRequest("POST", `${collectionPath}/points/scroll`, body);
+        for (const p of result?.points || []) {
+          points.push({ id: p.id, payload: p.payload || {}, ...(withVector ? { vector: p.vector } : {}) });
+        }
+        offset = result?.next_page_offset ?? undefined;
+      } while (offset !== undefined && points.length < (limit ?? Infinity));
+      return points;
+    },
+    async count({ filter } = {}) {
+      await ensureTextIndexes(filter);
+      const body = { exact: true };
+      const qdrantFilter = toQdrantFilter(filter);
+      if (qdrantFilter) body.filter = qdrantFilter;
+      const result = await qdrantRequest("POST", `${collectionPath}/points/count`, body);
+      return Number(result?.count) || 0;
+    },
+    async delete({ ids, filter } = {}) {
+      wrote();
+      const before = await this.count();
+      if (ids) {
+        await qdrantRequest("POST", `${collectionPath}/points/delete?wait=true`, { points: ids });
+      }
+      const qdrantFilter = toQdrantFilter(filter);
+      if (qdrantFilter) {
+        await qdrantRequest("POST", `${collectionPath}/points/delete?wait=true`, { filter: qdrantFilter });
+      }
+      return before - (await this.count());
+    },
+  };
+}
+
+const BACKENDS = {
+  qdrant: createQdrantStore,
+  local: createLocalStore,
+  memory: createMemoryStore,
+};
+
+/**
+ * Build the store selected by `vectorStore.backend` in the config
+ * (VECTOR_STORE, default "qdrant"), bound to `vectorStore.collection`
+ * (QDRANT_COLLECTION_NAME, default "mauritius_knowledge"). Options override
+ * the config.
+ */
+export function getVectorStore(options = {}) {
+  const { vectorStore } = getConfig();
+  const backend = (options.backend || vectorStore.backend).toLowerCase();
+  const factory = BACKENDS[backend];
+  if (!factory) {
+    throw new Error(
+      `Unknown vector store "${backend}" (expected one of: ${Object.keys(BACKENDS).join(", ")})`
+    );
+  }
+  const collection = options.collection || vectorStore.collection;
+  const url = options.url || vectorStore.url;
+  const dir = options.dir || vectorStore.localDir;
+  return factory({ collection, url, dir });
+}
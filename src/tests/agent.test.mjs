@@ -0,0 +1,452 @@
+// Exercises the /api/agent handler end to end without network access: the
+// test profile's stores and embedder, and stand-in chat models that record
+// what they were sent. Run with: npm run test-agent
+import { FIXTURES, seedFixtures } from "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+import { createChatHandler, MAX_MESSAGE_LENGTH } from "../lib/chat.mjs";
+import { buildPlaceIndex, createRuleBasedRewriter } from "../lib/queryRewrite.mjs";
+import { retrieveTopK } from "../lib/retrieval.mjs";
+import { getSessionStore, OWNER_COOKIE } from "../lib/sessions.mjs";
+import { runTool, TOOLS } from "../lib/tools.mjs";
+
+// Stand-in for ChatGoogleGenerativeAI: records the messages and streams a
+// fixed reply in a few chunks. It never calls the tools it is given.
+function createStandInModel({ fail = false } = {}) {
+  const calls = [];
+  const model = {
+    calls,
+    boundTools: null,
+    bindTools(tools) {
+      model.boundTools = tools;
+      return model;
+    },
+    async stream(messages) {
+      calls.push(messages);
+      if (fail) throw new Error("quota exceeded");
+      return (async function* () {
+        for (const piece of ["Try ", "Île aux ", "Cerfs."]) yield { content: piece };
+      })();
+    },
+  };
+  return model;
+}
+
+// Tool-calling stand-in: with tools bound, each turn plays the next of
+// `turns` ({ toolCalls: [{ name, args }] } or { text }); without tools it
+// answers `answer`. Records every turn's messages and whether tools were bound.
+function createScriptedModel(turns, { answer = "Here you go." } = {}) {
+  const calls = [];
+  let next = 0;
+  const reply = (turn) =>
+    (async function* () {
+      if (turn.text) yield { content: turn.text };
+      if (turn.toolCalls) yield { content: "", tool_calls: turn.toolCalls.map((c) => ({ ...c })) };
+    })();
+  return {
+    calls,
+    bindTools: () => ({
+      async stream(messages) {
+        calls.push({ messages: [...messages], withTools: true });
+        return reply(turns[Math.min(next++, turns.length - 1)]);
+      },
+    }),
+    async stream(messages) {
+      calls.push({ messages: [...messages], withTools: false });
+      return reply({ text: answer });
+    },
+  };
+}
+
+// The browser the requests come from, unless a test passes another owner
+const OWNER = "owner-a";
+
+function post(handler, body, { owner = OWNER } = {}) {
+  return handler(
+    new Request("http://localhost/api/agent", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(owner ? { Cookie: `${OWNER_COOKIE}=${owner}` } : {}) },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    })
+  );
+}
+
+const rewriter = createRuleBasedRewriter({
+  places: buildPlaceIndex(FIXTURES.map((f) => ({ name: f.payload.title }))),
+});
+
+// Records every query the handler searched for
+function createRecordingRetriever() {
+  const queries = [];
+  const options = [];
+  return {
+    queries,
+    options,
+    retrieve: (query, k, retrieveOptions) => {
+      queries.push(query);
+      options.push(retrieveOptions);
+      return retrieveTopK(query, k, retrieveOptions);
+    },
+  };
+}
+
+// A stored conversation holding `history` ([{ type, message }]); returns its id
+async function seedSession(history, { owner = OWNER } = {}) {
+  const sessions = getSessionStore();
+  const session = await sessions.createSession({ title: history[0].message, owner });
+  await sessions.appendMessages(
+    session.id,
+    history.map(({ type, message }) => ({ role: type, content: message }))
+  );
+  return session.id;
+}
+
+async function readEvents(response) {
+  const text = await response.text();
+  return text.trim().split("\n").map((line) => JSON.parse(line));
+}
+
+async function expectError(response, status, code) {
+  assert.equal(response.status, status);
+  const body = await response.json();
+  assert.equal(body.error.code, code);
+  return body.error;
+}
+
+before(() => seedFixtures());
+
+test("streams an answer grounded in retrieved context", async () => {
+  const model = createStandInModel();
+  const handler = createChatHandler({ createModel: () => model });
+  const response = await post(handler, { message: "beaches near Trou d'Eau Douce" });
+  assert.equal(response.status, 200);
+  const sessionId = response.headers.get("X-Session-Id");
+  const events = await readEvents(response);
+  assert.deepEqual(events.map((e) => e.type), ["sources", "token", "token", "token", "done"]);
+  assert.equal(events.filter((e) => e.type === "token").map((e) => e.text).join(""), "Try Île aux Cerfs.");
+  const [first] = events[0].sources;
+  assert.equal(first.n, 1);
+  assert.equal(first.title, "Île aux Cerfs");
+  assert.equal(first.document_id, "attr_1");
+  assert.equal(first.review_url, "https://example.com/ile-aux-cerfs");
+  assert.equal(typeof first.score, "number");
+  assert.equal(events.at(-1).template, "itinerary@v2");
+  assert.equal(events.at(-1).sessionId, sessionId);
+  const [preamble, last] = [model.calls[0][0], model.calls[0].at(-1)];
+  assert.equal(preamble._getType(), "system");
+  assert.match(preamble.content, /Île aux Cerfs/);
+  assert.equal(last.content, "beaches near Trou d'Eau Douce");
+});
+
+test("saves each turn with its sources and continues the session", async () => {
+  const model = createStandInModel();
+  const handler = createChatHandler({ createModel: () => model });
+  const first = await post(handler, { message: "Hi" });
+  const sessionId = first.headers.get("X-Session-Id");
+  await first.text();
+  const sessions = getSessionStore();
+  assert.equal((await sessions.getSession(sessionId, { owner: OWNER })).title, "Hi");
+
+  const second = await post(handler, { message: "Hiking?", sessionId });
+  assert.equal(second.headers.get("X-Session-Id"), sessionId);
+  await second.text();
+  const types = model.calls[1].map((m) => m._getType());
+  assert.deepEqual(types.slice(1), ["human", "ai", "human"]);
+  assert.equal(model.calls[1][2].content, "Try Île aux Cerfs.");
+
+  const messages = await sessions.getMessages(sessionId);
+  assert.deepEqual(messages.map((m) => m.role), ["user", "assistant", "user", "assistant"]);
+  assert.equal(messages[3].content, "Try Île aux Cerfs.");
+  assert.equal(messages[3].template, "itinerary@v2");
+  assert.ok(messages[3].sources.length > 0);
+  assert.equal(messages[3].sources[0].n, 1);
+});
+
+test("selects the prompt template per request and records its id", async () => {
+  const model = createStandInModel();
+  const handler = createChatHandler({ createModel: () => model });
+  const quick = await post(handler, { message: "Hiking?", template: "quick-answer" });
+  assert.equal(quick.headers.get("X-Prompt-Template"), "quick-answer@v2");
+  await quick.text();
+  const itinerary = await post(handler, { message: "Plan 3 days" });
+  assert.equal(itinerary.headers.get("X-Prompt-Template"), "itinerary@v2");
+  await itinerary.text();
+  assert.notEqual(model.calls[0][0].content, model.calls[1][0].content);
+  const error = await expectError(await post(handler, { message: "hi", template: "pirate" }), 400, "VALIDATION_FAILED");
+  assert.equal(error.details[0].field, "template");
+});
+
+test("rewrites follow-ups into standalone queries and reports them in debug", async () => {
+  const retriever = createRecordingRetriever();
+  const handler = createChatHandler({ createModel: () => createStandInModel(), retrieve: retriever.retrieve, rewriter });
+  const sessionId = await seedSession([
+    { type: "user", message: "Tell me about Ile aux Cerfs" },
+    { type: "assistant", message: "It's an island with beaches." },
+  ]);
+  const events = await readEvents(await post(handler, { message: "is it free?", sessionId, debug: true }));
+  assert.deepEqual(retriever.queries, ["Île aux Cerfs: is it free?"]);
+  const debug = events.find((e) => e.type === "debug");
+  assert.equal(debug.rewrite.original, "is it free?");
+  assert.equal(debug.rewrite.query, "Île aux Cerfs: is it free?");
+  assert.equal(events[0].sources[0].title, "Île aux Cerfs");
+  assert.deepEqual(debug.context[0], { n: 1, content: FIXTURES[0].content });
+});
+
+test("splits multi-part questions and merges their results", async () => {
+  const retriever = createRecordingRetriever();
+  const handler = createChatHandler({ createModel: () => createStandInModel(), retrieve: retriever.retrieve, rewriter });
+  const events = await readEvents(
+    await post(handler, { message: "Where can I go hiking? Which island has water sports?" })
+  );
+  assert.deepEqual(retriever.queries, ["Where can I go hiking", "Which island has water sports"]);
+  const titles = events[0].sources.map((s) => s.title);
+  assert.deepEqual(titles.slice(0, 2), ["Black River Gorges", "Île aux Cerfs"]);
+  assert.ok(!events.some((e) => e.type === "debug"));
+});
+
+test("uses map selections as context for follow-ups", async () => {
+  const model = createStandInModel();
+  const retriever = createRecordingRetriever();
+  const handler = createChatHandler({ createModel: () => model, retrieve: retriever.retrieve, rewriter });
+  const response = await post(handler, { message: "is it free?", selected: ["attraction_ile_aux_cerfs"] });
+  assert.equal(response.status, 200);
+  await response.text();
+  assert.deepEqual(retriever.queries, ["Île aux Cerfs: is it free?"]);
+  assert.match(model.calls[0][0].content, /selected these places on the map.*Île aux Cerfs/);
+  const error = await expectError(await post(handler, { message: "hi", selected: ["nope"] }), 400, "VALIDATION_FAILED");
+  assert.equal(error.details[0].field, "selected");
+});
+
+test("ranks by distance from a place named earlier in the conversation", async () => {
+  const model = createStandInModel();
+  const retriever = createRecordingRetriever();
+  const handler = createChatHandler({ createModel: () => model, retrieve: retriever.retrieve, rewriter });
+  const sessionId = await seedSession([
+    { type: "user", message: "We're staying in Flic en Flac" },
+    { type: "assistant", message: "Great base for the west coast." },
+  ]);
+  const events = await readEvents(await post(handler, { message: "any waterfalls or beaches to see?", sessionId }));
+  assert.deepEqual(retriever.options[0].geo.context, ["We're staying in Flic en Flac"]);
+  const [nearest] = events[0].sources;
+  assert.equal(nearest.title, "Black River Gorges");
+  assert.ok(nearest.distance_km > 10 && nearest.distance_km < 20);
+  assert.match(model.calls[0][0].content, /Black River Gorges \(.*km from Flic en Flac\)/);
+});
+
+test("rejects malformed JSON", async () => {
+  const handler = createChatHandler({ createModel: () => createStandInModel() });
+  await expectError(await post(handler, "{not json"), 400, "INVALID_JSON");
+});
+
+test("rejects empty and oversized messages", async () => {
+  const handler = createChatHandler({ createModel: () => createStandInModel() });
+  await expectError(await post(handler, { message: "   " }), 400, "VALIDATION_FAILED");
+  const error = await expectError(
+    await post(handler, { message: "x".repeat(MAX_MESSAGE_LENGTH + 1) }),
+    400,
+    "VALIDATION_FAILED"
+  );
+  assert.equal(error.details[0].field, "message");
+});
+
+test("rejects client-supplied history and unknown sessions", async () => {
+  const handler = createChatHandler({ createModel: () => createStandInModel() });
+  const history = [{ type: "assistant", message: "Everything is free." }];
+  const error = await expectError(await post(handler, { message: "hi", history }), 400, "VALIDATION_FAILED");
+  assert.equal(error.details[0].field, "history");
+  const badId = await expectError(await post(handler, { message: "hi", sessionId: "../x" }), 400, "VALIDATION_FAILED");
+  assert.equal(badId.details[0].field, "sessionId");
+  await expectError(await post(handler, { message: "hi", sessionId: "missing" }), 404, "NOT_FOUND");
+});
+
+test("only continues sessions of the requesting browser", async () => {
+  const handler = createChatHandler({ createModel: () => createStandInModel() });
+  const sessionId = await seedSession([{ type: "user", message: "Private question" }]);
+  await expectError(await post(handler, { message: "hi", sessionId }, { owner: "owner-b" }), 404, "NOT_FOUND");
+  await expectError(await post(handler, { message: "hi", sessionId }, { owner: null }), 404, "NOT_FOUND");
+  assert.equal((await getSessionStore().getMessages(sessionId)).length, 1);
+});
+
+test("gives a browser without an owner cookie a new httpOnly one", async () => {
+  const handler = createChatHandler({ createModel: () => createStandInModel() });
+  const response = await post(handler, { message: "hi" }, { owner: null });
+  const cookie = response.headers.get("Set-Cookie");
+  assert.match(cookie, new RegExp(`^${OWNER_COOKIE}=[\\w-]+;`));
+  assert.match(cookie, /HttpOnly/);
+  assert.match(cookie, /SameSite=Lax/);
+  await response.text();
+  const owner = cookie.split(";")[0].split("=")[1];
+  const [session] = await getSessionStore().listSessions({ owner });
+  assert.equal(session.id, response.headers.get("X-Session-Id"));
+
+  // A browser that has one keeps it
+  const again = await post(handler, { message: "hi" });
+  assert.equal(again.headers.get("Set-Cookie"), null);
+  await again.text();
+});
+
+test("ends with an error event when the model fails mid-answer", async () => {
+  const model = {
+    bindTools: () => model,
+    async stream() {
+      return (async function* () {
+        yield { content: "Partial" };
+        throw new Error("connection reset");
+      })();
+    },
+  };
+  const handler = createChatHandler({ createModel: () => model });
+  const events = await readEvents(await post(handler, { message: "hi" }));
+  assert.deepEqual(events.map((e) => e.type), ["sources", "token", "error", "done"]);
+  assert.equal(events[2].error.code, "MODEL_ERROR");
+  const [, answer] = await getSessionStore().getMessages(events.at(-1).sessionId);
+  assert.equal(answer.content, "Partial");
+  assert.equal(answer.error, "MODEL_ERROR");
+});
+
+test("reports model failures with MODEL_ERROR and stores nothing", async () => {
+  const handler = createChatHandler({ createModel: () => createStandInModel({ fail: true }) });
+  const before = (await getSessionStore().listSessions({ owner: OWNER })).length;
+  const error = await expectError(await post(handler, { message: "hi" }), 502, "MODEL_ERROR");
+  // The provider's own message stays in the server log
+  assert.equal(error.message, "The language model failed to respond");
+  assert.equal((await getSessionStore().listSessions({ owner: OWNER })).length, before);
+});
+
+test("reports a dataset that fails to load for map selections with INTERNAL_ERROR", async () => {
+  const handler = createChatHandler({
+    createModel: () => createStandInModel(),
+    loadAttractions: () => {
+      throw new Error("Unexpected end of JSON input");
+    },
+  });
+  const error = await expectError(
+    await post(handler, { message: "is it free?", selected: ["attraction_ile_aux_cerfs"] }),
+    500,
+    "INTERNAL_ERROR"
+  );
+  assert.equal(error.message, "Could not load the attractions");
+  // Requests without selections don't need the dataset
+  const unselected = await post(handler, { message: "hi" });
+  assert.equal(unselected.status, 200);
+  await unselected.text();
+});
+
+test("reports session store failures with STORAGE_FAILED", async () => {
+  const sessions = {
+    ...getSessionStore(),
+    async getSession() {
+      throw new Error("connect ECONNREFUSED");
+    },
+  };
+  const handler = createChatHandler({ createModel: () => createStandInModel(), sessions });
+  await expectError(await post(handler, { message: "hi", sessionId: "abc" }), 503, "STORAGE_FAILED");
+});
+
+test("reports retrieval failures with RETRIEVAL_FAILED", async () => {
+  const handler = createChatHandler({
+    createModel: () => createStandInModel(),
+    retrieve: async () => {
+      throw new Error("connect ECONNREFUSED");
+    },
+  });
+  await expectError(await post(handler, { message: "hi" }), 503, "RETRIEVAL_FAILED");
+});
+
+test("answers practical questions through the tool loop", async () => {
+  const model = createScriptedModel([
+    { toolCalls: [{ id: "c1", name: "get_attraction", args: { name: "Ile aux Cerfs" } }] },
+    { text: "No fee; boats leave from Trou d'Eau Douce [1]." },
+  ]);
+  const handler = createChatHandler({ createModel: () => model });
+  const events = await readEvents(await post(handler, { message: "Do I pay to visit Ile aux Cerfs?" }));
+  assert.deepEqual(events.map((e) => e.type), ["sources", "tool_call", "tool_result", "token", "done"]);
+  const [call, result] = [events[1], events[2]];
+  assert.deepEqual([call.step, call.id, call.name], [1, "c1", "get_attraction"]);
+  assert.equal(result.ok, true);
+  assert.equal(result.result.id, "attraction_ile_aux_cerfs");
+  assert.equal(result.result.fee_required, false);
+  assert.equal(typeof result.duration_ms, "number");
+
+  assert.deepEqual(model.calls.map((c) => c.withTools), [true, true]);
+  assert.match(model.calls[0].messages[0].content, /Tools:/);
+  const [assistant, tool] = model.calls[1].messages.slice(-2);
+  assert.equal(assistant.tool_calls[0].name, "get_attraction");
+  assert.equal(tool._getType(), "tool");
+  assert.equal(tool.tool_call_id, "c1");
+  assert.equal(JSON.parse(tool.content).id, "attraction_ile_aux_cerfs");
+});
+
+test("stops calling tools after the step limit and still answers", async () => {
+  const model = createScriptedModel([{ toolCalls: [{ name: "distance_between", args: { from: "Mahébourg", to: "Blue Bay" } }] }]);
+  const handler = createChatHandler({ createModel: () => model, maxSteps: 3 });
+  const events = await readEvents(await post(handler, { message: "How far is Blue Bay from Mahébourg?" }));
+  const results = events.filter((e) => e.type === "tool_result");
+  assert.deepEqual(results.map((e) => e.step), [1, 2]);
+  assert.deepEqual(results.map((e) => e.id), ["call_1_1", "call_2_1"]);
+  assert.ok(Math.abs(results[0].result.straight_line_km - 4) < 0.5);
+  assert.deepEqual(model.calls.map((c) => c.withTools), [true, true, false]);
+  assert.equal(events.filter((e) => e.type === "token").map((e) => e.text).join(""), "Here you go.");
+  assert.equal(events.at(-1).type, "done");
+});
+
+test("reports tool errors to the model instead of failing the request", async () => {
+  const model = createScriptedModel([
+    {
+      toolCalls: [
+        { name: "get_attraction", args: { id: "attraction_atlantis" } },
+        { name: "book_table", args: {} },
+      ],
+    },
+    { text: "I couldn't find that place." },
+  ]);
+  const handler = createChatHandler({ createModel: () => model });
+  const events = await readEvents(await post(handler, { message: "Tell me about Atlantis" }));
+  const results = events.filter((e) => e.type === "tool_result");
+  assert.deepEqual(results.map((e) => e.ok), [false, false]);
+  assert.match(results[0].error, /No attraction matches id "attraction_atlantis"/);
+  assert.match(results[1].error, /Unknown tool "book_table"/);
+  const toolMessages = model.calls[1].messages.filter((m) => m._getType() === "tool");
+  assert.deepEqual(toolMessages.map((m) => JSON.parse(m.content).error), results.map((e) => e.error));
+  assert.equal(events.at(-1).type, "done");
+});
+
+test("answers without tools when AGENT_TOOLS is none", async () => {
+  const model = createStandInModel();
+  const handler = createChatHandler({ createModel: () => model, tools: [] });
+  await (await post(handler, { message: "Hiking?" })).text();
+  assert.equal(model.boundTools, null);
+  assert.doesNotMatch(model.calls[0][0].content, /Tools:/);
+});
+
+test("tools answer from the dataset and the travel documents", async () => {
+  const search = await runTool(TOOLS, "search_attractions", {
+    region: "Southeast",
+    type: "beach",
+    fee_required: false,
+    near: "Mahébourg",
+    radius_km: 15,
+  });
+  assert.ok(search.result.attractions.length > 0);
+  for (const a of search.result.attractions) {
+    assert.equal(a.attraction_type, "beach");
+    assert.ok(a.distance_km <= 15);
+  }
+  const distances = search.result.attractions.map((a) => a.distance_km);
+  assert.deepEqual(distances, [...distances].sort((a, b) => a - b));
+
+  const plan = await runTool(TOOLS, "plan_itinerary", { days: 2, base: "Flic en Flac" });
+  assert.match(plan.result.itinerary, /^Itinerary from Flic en Flac/);
+  assert.deepEqual(plan.result.days.map((d) => d.day), [1, 2]);
+  for (const { stops } of plan.result.days) {
+    assert.deepEqual(stops.map((s) => s.order), stops.map((_, i) => i + 1));
+    assert.ok(stops.every((s) => s.attraction_id && Number.isFinite(s.latitude) && Number.isFinite(s.longitude)));
+  }
+  const badPlan = await runTool(TOOLS, "plan_itinerary", { days: 40, base: "Flic en Flac" });
+  assert.equal(badPlan.ok, false);
+
+  const docs = await runTool(TOOLS, "check_travel_docs", { topic: "do I need a visa" });
+  assert.deepEqual(docs.result.results.map((r) => r.title), ["Visa Requirements"]);
+  assert.equal((await runTool(TOOLS, "distance_between", { from: "Atlantis", to: "Blue Bay" })).ok, false);
+});
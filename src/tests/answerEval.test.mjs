@@ -0,0 +1,22 @@
+import { FIXTURES } from "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createOverlapJudge } from "../lib/answerEval.mjs";
+
+test("judges answers by the sources they cite", async () => {
+  const judge = createOverlapJudge();
+  const sources = [{ n: 1, title: "Visa Requirements", content: FIXTURES[2].content }];
+  const question = { kind: "answer", question: "Do I need a visa?", facts: ["visa", "90 days"] };
+  const grounded = await judge.judge({ question, sources, answer: "Most visitors get a visa on arrival for up to 90 days [1]." });
+  assert.deepEqual([grounded.groundedness, grounded.correctness, grounded.refused], [1, 1, false]);
+
+  const answer = "Most visitors get a visa on arrival for up to 90 days [1]. It costs 50 euros [1]. Ask at Port Louis.";
+  const invented = await judge.judge({ question, sources, answer });
+  assert.equal(invented.groundedness, 1 / 3);
+  assert.deepEqual(invented.unsupported, ["It costs 50 euros [1].", "Ask at Port Louis."]);
+
+  const outOfScope = { kind: "out_of_scope", question: "Who won the World Cup?" };
+  const declined = await judge.judge({ question: outOfScope, sources: [], answer: "I can only help with Mauritius travel." });
+  assert.deepEqual([declined.refused, declined.correctness], [true, null]);
+});
@@ -0,0 +1,70 @@
+import "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { MAX_PAGE_SIZE, parseAttractionQuery, queryAttractions } from "../lib/attractions.mjs";
+import { cachedJsonResponse } from "../lib/http.mjs";
+
+function parse(query) {
+  return parseAttractionQuery(new URLSearchParams(query));
+}
+
+test("parseAttractionQuery reads filters, geo and paging", () => {
+  const { value, errors } = parse("region=east&tags=beach,snorkeling&fee_required=false&near=-20.16,57.5&radius_km=15&sort=distance&page=2&page_size=5");
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value.filter, { region: ["East"], tags: ["beach", "snorkeling"], fee_required: false });
+  assert.deepEqual(value.near, { latitude: -20.16, longitude: 57.5 });
+  assert.deepEqual([value.radiusKm, value.sort, value.page, value.pageSize], [15, "distance", 2, 5]);
+});
+
+test("parseAttractionQuery reports every invalid parameter", () => {
+  const { value, errors } = parse(`fee_required=yes&min_rating=9&bbox=1,2&radius_km=5&sort=distance&page=0&page_size=${MAX_PAGE_SIZE + 1}`);
+  assert.equal(value, null);
+  assert.deepEqual(errors.map((e) => e.field).sort(), ["bbox", "fee_required", "min_rating", "page", "page_size", "radius_km", "sort"]);
+});
+
+test("queryAttractions pages through every match exactly once", () => {
+  const { value } = parse("page_size=7");
+  const first = queryAttractions(value);
+  assert.ok(first.total > 7);
+  assert.equal(first.total_pages, Math.ceil(first.total / 7));
+
+  const ids = [];
+  for (let page = 1; page <= first.total_pages; page++) {
+    const result = queryAttractions({ ...value, page });
+    assert.equal(result.page, page);
+    ids.push(...result.attractions.map((a) => a.id));
+  }
+  assert.equal(ids.length, first.total);
+  assert.equal(new Set(ids).size, first.total);
+  assert.deepEqual(queryAttractions({ ...value, page: first.total_pages + 1 }).attractions, []);
+});
+
+test("queryAttractions sorts by distance within a radius", () => {
+  const { value } = parse("near=-20.16,57.5&radius_km=20&sort=distance&page_size=100");
+  const { attractions } = queryAttractions(value);
+  assert.ok(attractions.length > 0);
+  const distances = attractions.map((a) => a.distance_km);
+  assert.ok(distances.every((d) => d <= 20));
+  assert.deepEqual(distances, [...distances].sort((a, b) => a - b));
+});
+
+test("cachedJsonResponse sends an ETag and answers a matching If-None-Match with 304", async () => {
+  const body = queryAttractions(parse("page_size=3").value);
+  const first = cachedJsonResponse(new Request("http://localhost/api/attractions"), body);
+  const etag = first.headers.get("etag");
+  assert.equal(first.status, 200);
+  assert.match(etag, /^W\/".+"$/);
+  assert.deepEqual(await first.json(), body);
+
+  const again = cachedJsonResponse(new Request("http://localhost/api/attractions", { headers: { "If-None-Match": etag } }), body);
+  assert.equal(again.status, 304);
+  assert.equal(await again.text(), "");
+
+  const changed = cachedJsonResponse(
+    new Request("http://localhost/api/attractions", { headers: { "If-None-Match": etag } }),
+    { ...body, page: 2 }
+  );
+  assert.equal(changed.status, 200);
+  assert.notEqual(changed.headers.get("etag"), etag);
+});
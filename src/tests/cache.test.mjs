@@ -0,0 +1,92 @@
+import { seedFixtures } from "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import { test } from "node:test";
+import os from "os";
+import path from "path";
+import { createFileEmbeddingCache, createLruCache, embeddingCacheKey } from "../lib/cache.mjs";
+import { createLocalEmbedder, withEmbeddingCache } from "../lib/embeddings.mjs";
+import { pointId } from "../lib/ingest.mjs";
+import { retrieveTopK } from "../lib/retrieval.mjs";
+
+test("embedding cache reuses vectors by text and model, including ones other processes wrote", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "embedding-cache-"));
+  const file = path.join(dir, "embeddings.jsonl");
+  let calls = 0;
+  const counting = (model) => ({ provider: "stand-in", model, dimension: 2, embed: async () => [++calls, 0] });
+
+  const first = withEmbeddingCache(counting("m1"), createFileEmbeddingCache({ file }));
+  assert.deepEqual(await first.embed("best beaches"), [1, 0]);
+  assert.deepEqual(await first.embed("best beaches"), [1, 0]);
+  assert.deepEqual([first.cache.hits, first.cache.misses], [1, 1]);
+
+  // Another embedder on the same file shares it; another model doesn't
+  const again = withEmbeddingCache(counting("m1"), createFileEmbeddingCache({ file }));
+  assert.deepEqual(await again.embed("best beaches"), [1, 0]);
+  const otherModel = withEmbeddingCache(counting("m2"), createFileEmbeddingCache({ file }));
+  assert.deepEqual(await otherModel.embed("best beaches"), [2, 0]);
+
+  // Lines appended by another process (e.g. an ingest) are picked up on a miss
+  const key = embeddingCacheKey(counting("m1"), "hiking trails");
+  fs.appendFileSync(file, `${JSON.stringify({ key, vector: [9, 9] })}\n`);
+  assert.deepEqual(await first.embed("hiking trails"), [9, 9]);
+  assert.equal(calls, 2);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("file embedding cache evicts the least recently used vectors and compacts the file", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "embedding-cache-"));
+  const file = path.join(dir, "embeddings.jsonl");
+  const cache = createFileEmbeddingCache({ file, max: 2 });
+  const lineCount = () => fs.readFileSync(file, "utf-8").split("\n").filter(Boolean).length;
+
+  for (const key of ["a", "b", "c", "d"]) await cache.set(key, [key.charCodeAt(0)]);
+  assert.deepEqual(await cache.get("c"), [99]);
+  assert.equal(lineCount(), 4);
+
+  // The fifth line takes the file past twice the bound
+  await cache.set("e", [101]);
+  assert.equal(lineCount(), 2);
+  assert.deepEqual(await cache.get("e"), [101]);
+  assert.deepEqual(await cache.get("c"), [99]);
+  assert.equal(await cache.get("a"), undefined);
+  assert.equal(await cache.get("d"), undefined);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("retrieval results are cached by normalized query until the collection changes", async () => {
+  const store = await seedFixtures({ collection: "retrieval_cache" });
+  const local = createLocalEmbedder();
+  let calls = 0;
+  const embedder = {
+    ...local,
+    async embed(text) {
+      calls++;
+      return local.embed(text);
+    },
+  };
+  let now = 0;
+  const cache = createLruCache({ max: 10, ttlMs: 1000, now: () => now });
+  const search = (query, options = {}) => retrieveTopK(query, 2, { store, embedder, cache, ...options });
+
+  const hits = await search("Beaches with water sports?");
+  assert.equal(hits[0].title, "Île aux Cerfs");
+  hits[0].title = "changed by the caller";
+  assert.deepEqual(await search("  beaches WITH water sports "), await search("beaches with water sports"));
+  assert.equal((await search("beaches with water sports"))[0].title, "Île aux Cerfs");
+  assert.equal(calls, 1);
+
+  await search("beaches with water sports", { filter: { region: "East" } });
+  assert.equal(calls, 2);
+
+  // Any write to the collection invalidates, and so does the TTL
+  await store.delete({ ids: [pointId("attr_2", 0)] });
+  await search("beaches with water sports");
+  assert.equal(calls, 3);
+  now = 1500;
+  await search("beaches with water sports");
+  assert.equal(calls, 4);
+  await search("beaches with water sports", { cache: false });
+  assert.equal(calls, 5);
+});
@@ -0,0 +1,69 @@
+import "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { chunkAttraction, chunkText, splitSentences } from "../lib/chunking.mjs";
+
+test("splitSentences splits at sentence ends and keeps ratings intact", () => {
+  assert.deepEqual(splitSentences("Visit the church.  It is rated 4.1/5 by visitors! Open daily."), [
+    "Visit the church.",
+    "It is rated 4.1/5 by visitors!",
+    "Open daily.",
+  ]);
+  assert.deepEqual(splitSentences("   "), []);
+});
+
+test("splitSentences doesn't split after St., Mt. and similar abbreviations", () => {
+  assert.deepEqual(splitSentences("Visit St. Thérèse church. Then hike Mt. Choisy! Dr. Ross guides it."), [
+    "Visit St. Thérèse church.",
+    "Then hike Mt. Choisy!",
+    "Dr. Ross guides it.",
+  ]);
+  // A sentence can still end just before one
+  assert.deepEqual(splitSentences("Drive to the East. St. Thérèse is there."), [
+    "Drive to the East.",
+    "St. Thérèse is there.",
+  ]);
+});
+
+test("chunkText packs whole sentences up to the chunk size", () => {
+  const text = "One two three. Four five six. Seven eight nine.";
+  assert.deepEqual(chunkText(text, 30), ["One two three. Four five six.", "Seven eight nine."]);
+  assert.deepEqual(chunkText(text, 1000), [text]);
+});
+
+test("chunkText cuts a sentence longer than the chunk size at words", () => {
+  const chunks = chunkText("alpha beta gamma delta epsilon zeta eta theta.", 12);
+  assert.ok(chunks.every((chunk) => chunk.length <= 12));
+  assert.equal(chunks.join(" "), "alpha beta gamma delta epsilon zeta eta theta.");
+});
+
+test("chunkAttraction labels a chunk per section and repeats the name", () => {
+  const chunks = chunkAttraction(
+    {
+      id: "attraction_blue_bay",
+      name: "Blue Bay",
+      description: "A marine park with coral gardens.",
+      sub_attractions: [{ name: "Glass-bottom boats", description: "Boat trips over the reef." }],
+    },
+    500
+  );
+  const sections = chunks.map((c) => c.section);
+  assert.ok(sections.includes("description"));
+  assert.ok(sections.includes("sub_attraction"));
+  assert.ok(chunks.every((c) => c.content.startsWith("Blue Bay — ")));
+  assert.ok(chunks.some((c) => c.content.includes("coral gardens")));
+});
+
+test("chunkAttraction keeps a minimum body width when the name nearly fills the chunk", () => {
+  const name = "The Very Long Official Name Of A Heritage Site In Port Louis";
+  const description = "Built in the eighteenth century by the French. Restored after the war. Open daily.";
+  const chunks = chunkAttraction({ id: "attraction_long", name, description }, 60);
+  const bodies = chunks
+    .filter((c) => c.section === "description")
+    .map((c) => c.content.slice(c.content.indexOf(": ") + 2));
+  // Without the floor the width is negative and every word becomes a chunk
+  assert.ok(bodies.every((body) => body.length <= 50));
+  assert.ok(bodies.some((body) => body.split(" ").length > 1));
+  assert.ok(bodies.join(" ").includes("Restored after the war."));
+});
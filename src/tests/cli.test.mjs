@@ -0,0 +1,71 @@
+import { FIXTURES } from "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import { test } from "node:test";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLocalEmbedder } from "../lib/embeddings.mjs";
+import { syncChunks } from "../lib/ingest.mjs";
+import { createLocalStore } from "../lib/vectorStore.mjs";
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "cli.mjs");
+
+// Each run is a fresh process, so a memory collection starts out missing
+function cli(args, env = {}) {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    env: { ...process.env, APP_ENV: "test", ...env },
+    encoding: "utf-8",
+    timeout: 60_000,
+  });
+  return { status: result.status, stdout: result.stdout, json: () => JSON.parse(result.stdout) };
+}
+
+test("the CLI exits 0 on success", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cli-"));
+  await syncChunks({
+    store: createLocalStore({ collection: "cli", dir }),
+    embedder: createLocalEmbedder(),
+    chunks: FIXTURES.map((f) => ({ ...f, chunk_index: 0 })),
+    log: () => {},
+  });
+  const env = { VECTOR_STORE: "local", LOCAL_STORE_DIR: dir, QDRANT_COLLECTION_NAME: "cli" };
+
+  const stats = cli(["stats", "--json"], env);
+  assert.equal(stats.status, 0);
+  assert.equal(stats.json().points, 3);
+  const search = cli(["search", "visa on arrival", "--k", "1", "--json"], env);
+  assert.equal(search.status, 0);
+  assert.equal(search.json().hits[0].title, "Visa Requirements");
+  const nearby = cli(["search", "--near", "Grand Bay", "--radius", "50", "--json"], env);
+  assert.equal(nearby.status, 0);
+  assert.deepEqual([nearby.json().near.name, nearby.json().radius_km], ["Grand Baie", 50]);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("the CLI exits 2 on a usage error", () => {
+  const unknownCommand = cli(["frobnicate", "--json"]);
+  assert.equal(unknownCommand.status, 2);
+  assert.equal(unknownCommand.json().error.code, "USAGE_ERROR");
+
+  assert.equal(cli(["search", "beach", "--frob"]).status, 2);
+  assert.equal(cli(["search", "beach", "--filter", "colour=blue", "--json"]).json().error.code, "USAGE_ERROR");
+  assert.equal(cli(["search", "beach", "--k", "0"]).status, 2);
+  assert.equal(cli(["search", "--near", "Atlantis"]).status, 2);
+  assert.equal(cli(["search", "beach", "--near", "Grand Baie"]).status, 2);
+  assert.equal(cli(["search", "beach", "--radius", "5"]).status, 2);
+
+  const docsRebuild = cli(["ingest", "--rebuild", "--docs-only", "--json"]);
+  assert.equal(docsRebuild.status, 2);
+  assert.match(docsRebuild.json().error.message, /without --docs-only/);
+});
+
+test("the CLI exits 3 when the store or the config is unusable", () => {
+  const missing = cli(["search", "beach", "--json"]);
+  assert.equal(missing.status, 3);
+  assert.match(missing.json().error.message, /mauritius_knowledge|collection/i);
+
+  assert.equal(cli(["stats", "--store", "pinecone", "--json"]).status, 3);
+});
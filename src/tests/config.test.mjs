@@ -0,0 +1,74 @@
+import { seedFixtures } from "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import { before, test } from "node:test";
+import os from "os";
+import path from "path";
+import { ConfigError, getConfig, loadConfig, reloadConfig } from "../lib/config.mjs";
+import { createLocalEmbedder } from "../lib/embeddings.mjs";
+import { checkStartup } from "../lib/startup.mjs";
+import { getVectorStore } from "../lib/vectorStore.mjs";
+
+before(() => seedFixtures());
+
+test("layers config as profile, file, file profile section, then env", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+  const file = path.join(dir, "config.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify({ retrieval: { k: 8, mode: "dense" }, profiles: { test: { retrieval: { k: 3 } } } })
+  );
+  const config = loadConfig({ env: { APP_ENV: "test", CONFIG_FILE: file, RETRIEVAL_MODE: "lexical" } });
+  assert.equal(config.profile, "test");
+  assert.equal(config.vectorStore.backend, "memory");
+  assert.equal(config.retrieval.k, 3);
+  assert.equal(config.retrieval.mode, "lexical");
+  assert.equal(config.file, file);
+  assert.ok(Object.isFrozen(config.retrieval));
+
+  fs.writeFileSync(file, JSON.stringify({ retrieval: { topk: 8 } }));
+  const invalid = () =>
+    loadConfig({ env: { APP_ENV: "prod", CONFIG_FILE: file, RETRIEVAL_K: "many", VECTOR_STORE: "memory" } });
+  assert.throws(invalid, (error) => {
+    assert.ok(error instanceof ConfigError);
+    assert.equal(error.problems.length, 4);
+    assert.match(error.message, /unknown setting retrieval\.topk/);
+    assert.match(error.message, /retrieval\.k \(RETRIEVAL_K\) must be an integer/);
+    assert.match(error.message, /GEMINI_API_KEY\) is required in the prod profile/);
+    return true;
+  });
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("getConfig caches the config until reloadConfig", (t) => {
+  t.after(() => {
+    delete process.env.RETRIEVAL_K;
+    reloadConfig();
+  });
+  const first = getConfig();
+  assert.equal(getConfig(), first);
+
+  process.env.RETRIEVAL_K = String(first.retrieval.k + 1);
+  assert.equal(getConfig().retrieval.k, first.retrieval.k);
+  const reloaded = reloadConfig();
+  assert.equal(reloaded.retrieval.k, first.retrieval.k + 1);
+  assert.equal(getConfig(), reloaded);
+});
+
+test("startup checks catch vector size mismatches and missing collections", async () => {
+  const embedder = createLocalEmbedder();
+  assert.deepEqual(await checkStartup({ embedder }), []);
+
+  const small = createLocalEmbedder({ dimension: 64 });
+  const [mismatch] = await checkStartup({ embedder: small });
+  assert.equal(mismatch.code, "CONFIG_ERROR");
+  assert.match(mismatch.message, /holds 768-dim vectors/);
+
+  const config = loadConfig({ env: { APP_ENV: "test", VECTOR_SIZE: "1024" } });
+  assert.equal((await checkStartup({ config, embedder }))[0].code, "CONFIG_ERROR");
+
+  const missing = getVectorStore({ collection: "not_ingested" });
+  assert.equal((await checkStartup({ store: missing, embedder }))[0].code, "NOT_FOUND");
+  assert.deepEqual(await checkStartup({ store: missing, embedder, collection: "optional" }), []);
+});
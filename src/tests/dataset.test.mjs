@@ -0,0 +1,122 @@
+import "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import { test } from "node:test";
+import os from "os";
+import path from "path";
+import {
+  hasErrors,
+  loadDataset,
+  mergeAttractions,
+  normalizeAttraction,
+  normalizeRegion,
+  parseRating,
+  validateAttraction,
+} from "../lib/dataset.mjs";
+
+function place(fields) {
+  return normalizeAttraction({
+    attraction_type: "beach",
+    location: { latitude: -20.0, longitude: 57.5, region: "North" },
+    ...fields,
+  });
+}
+
+test("parseRating reads the rating formats found in the dataset", () => {
+  assert.equal(parseRating("4.1/5 stars"), 4.1);
+  assert.equal(parseRating("4.5/5"), 4.5);
+  assert.equal(parseRating("9/10"), 4.5);
+  assert.equal(parseRating(3.8), 3.8);
+  assert.equal(parseRating("not rated"), null);
+});
+
+test("normalizeRegion maps aliases onto the region vocabulary", () => {
+  assert.equal(normalizeRegion("east"), "East");
+  assert.equal(normalizeRegion(" North "), "North");
+  assert.equal(normalizeRegion("Atlantis"), null);
+});
+
+test("normalizeAttraction tidies types, tags, regions and ratings", () => {
+  const record = normalizeAttraction({
+    id: "a",
+    attraction_type: "Nature Park",
+    tags: ["Hiking", "hiking ", ""],
+    location: { latitude: "-20.4", longitude: "57.4", Region: "west" },
+    reviews: [{ rating: "4.2/5 stars", reviewCount: "120" }],
+  });
+  assert.equal(record.attraction_type, "nature_park");
+  assert.deepEqual(record.tags, ["hiking"]);
+  assert.deepEqual(record.location, { latitude: -20.4, longitude: 57.4, region: "West" });
+  assert.deepEqual(record.reviews, [{ rating: 4.2, reviewCount: 120 }]);
+});
+
+const VALID = {
+  id: "attraction_blue_bay",
+  name: "Blue Bay",
+  attraction_type: "beach",
+  description: "A marine park.",
+  location: { latitude: -20.443, longitude: 57.717, region: "Southeast" },
+  prerequisites: { fee_required: false, booking_required: false, tour_guide_required: false },
+  reviews: [{ source: "TripAdvisor", rating: "4.5/5 stars", reviewCount: 100 }],
+};
+
+// Writes `records` as a one-file dataset and loads it
+function loadRecords(records) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dataset-"));
+  fs.writeFileSync(path.join(dir, "attractions.json"), JSON.stringify({ attractions: records }));
+  try {
+    return loadDataset({ dir, files: ["attractions.json"] });
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+test("validateAttraction accepts a complete record", () => {
+  assert.deepEqual(validateAttraction(VALID).errors, []);
+});
+
+test("validateAttraction rejects a rating outside 0–5", () => {
+  const { errors } = validateAttraction({ ...VALID, reviews: [{ source: "Google", rating: "47/5 stars" }] });
+  assert.deepEqual(errors, ['reviews[0].rating "47/5 stars" is outside 0–5']);
+});
+
+test("loadDataset reports a duplicate id within a file and keeps the first record", () => {
+  const { attractions, issues } = loadRecords([VALID, { ...VALID, name: "Blue Bay again" }]);
+  assert.ok(hasErrors(issues));
+  assert.deepEqual(
+    issues.filter((issue) => issue.level === "error").map(({ index, id, message }) => ({ index, id, message })),
+    [{ index: 1, id: "attraction_blue_bay", message: "duplicate id, first seen at index 0" }]
+  );
+  assert.deepEqual(attractions.map((a) => a.name), ["Blue Bay"]);
+});
+
+test("loadDataset skips a record with a bad rating", () => {
+  const { attractions, issues } = loadRecords([VALID, { ...VALID, id: "attraction_savinia", reviews: [{ rating: "47/5" }] }]);
+  assert.deepEqual(issues.map((issue) => [issue.index, issue.level]), [[1, "error"]]);
+  assert.deepEqual(attractions.map((a) => a.id), ["attraction_blue_bay"]);
+});
+
+test("mergeAttractions merges by id, name and proximity, later records winning", () => {
+  const { attractions, merges } = mergeAttractions([
+    place({ id: "a", name: "Trou aux Biches Beach", tags: ["beach"], source_file: "v1.json" }),
+    place({ id: "a", name: "Trou aux Biches Beach", description: "Updated.", tags: ["swimming"], source_file: "v2.json" }),
+    place({ id: "b", name: "Trou-aux-Biches beach", source_file: "v2.json" }),
+    place({ id: "c", name: "Trou aux Biches Public Beach", location: { latitude: -20.0001, longitude: 57.5001 }, source_file: "v2.json" }),
+    place({ id: "d", name: "Grand Bay", location: { latitude: -20.0002, longitude: 57.5002 }, source_file: "v2.json" }),
+  ]);
+  assert.deepEqual(
+    merges.map((m) => [m.merged_id, m.reason]),
+    [
+      ["a", "id"],
+      ["b", "name"],
+      ["c", "proximity"],
+    ]
+  );
+  assert.deepEqual(attractions.map((a) => a.id), ["a", "d"]);
+  const [merged] = attractions;
+  assert.equal(merged.description, "Updated.");
+  assert.deepEqual(merged.tags, ["beach", "swimming"]);
+  assert.deepEqual(merged.aliases, ["b", "c"]);
+  assert.deepEqual(merged.sources, ["v1.json", "v2.json"]);
+});
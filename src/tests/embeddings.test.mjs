@@ -0,0 +1,73 @@
+import "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createMemoryEmbeddingCache } from "../lib/cache.mjs";
+import {
+  createGeminiEmbedder,
+  createLocalEmbedder,
+  embeddingMetadata,
+  getEmbeddingProvider,
+  withEmbeddingCache,
+} from "../lib/embeddings.mjs";
+
+function cosine(a, b) {
+  return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+test("the local embedder is deterministic, normalised and sized to its dimension", async () => {
+  const embedder = createLocalEmbedder({ dimension: 64 });
+  const [a, b] = await Promise.all([embedder.embed("Snorkeling at Blue Bay"), embedder.embed("Snorkeling at Blue Bay")]);
+  assert.equal(a.length, 64);
+  assert.deepEqual(a, b);
+  assert.ok(Math.abs(cosine(a, a) - 1) < 1e-9);
+  assert.deepEqual(await embedder.embedBatch(["Snorkeling at Blue Bay"]), [a]);
+});
+
+test("the local embedder folds accents and ranks related texts closer", async () => {
+  const embedder = createLocalEmbedder();
+  const accented = await embedder.embed("Île aux Cerfs beaches");
+  const plain = await embedder.embed("ile aux cerfs beaches");
+  assert.deepEqual(accented, plain);
+  const hiking = await embedder.embed("hiking trails and waterfalls in the gorges");
+  const related = await embedder.embed("waterfalls and hiking trails");
+  assert.ok(cosine(hiking, related) > cosine(hiking, accented));
+});
+
+test("getEmbeddingProvider follows the config and rejects unknown providers", () => {
+  // The test profile uses the local provider
+  assert.equal(getEmbeddingProvider().provider, "local");
+  assert.throws(() => getEmbeddingProvider({ provider: "word2vec" }), /word2vec/);
+});
+
+test("the gemini embedder rejects a dimension it can't produce", () => {
+  assert.equal(createGeminiEmbedder({ apiKey: "test-key" }).dimension, 768);
+  assert.equal(createGeminiEmbedder({ apiKey: "test-key", dimension: 768 }).dimension, 768);
+  assert.throws(() => createGeminiEmbedder({ apiKey: "test-key", dimension: 256 }), /768-dim vectors, not 256/);
+  assert.throws(
+    () => getEmbeddingProvider({ provider: "gemini", apiKey: "test-key", dimension: 256, cache: false }),
+    /EMBEDDING_DIMENSION/
+  );
+});
+
+test("embeddingMetadata records what produced a vector", () => {
+  const embedder = createLocalEmbedder();
+  assert.deepEqual(embeddingMetadata(embedder), { embedding_provider: "local", embedding_model: embedder.model });
+});
+
+test("withEmbeddingCache embeds each text once", async () => {
+  const local = createLocalEmbedder({ dimension: 16 });
+  const calls = [];
+  const counting = {
+    ...local,
+    async embedBatch(texts) {
+      calls.push(texts);
+      return local.embedBatch(texts);
+    },
+  };
+  const embedder = withEmbeddingCache(counting, createMemoryEmbeddingCache());
+  const first = await embedder.embedBatch(["cached once", "and again"]);
+  const second = await embedder.embedBatch(["and again", "cached once"]);
+  assert.deepEqual(second, [first[1], first[0]]);
+  assert.deepEqual(calls, [["cached once", "and again"]]);
+});
@@ -0,0 +1,57 @@
+import "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parseFilterArgs, toPayloadFilter } from "../lib/filters.mjs";
+
+test("toPayloadFilter maps caller fields onto payload fields and normalises values", () => {
+  assert.deepEqual(
+    toPayloadFilter({
+      region: ["east", "South West"],
+      tags: "Water  Sports",
+      type: "Nature Park",
+      fee_required: false,
+      min_rating: "4",
+      near: { latitude: -20.28, longitude: 57.365, radius_km: 10 },
+    }),
+    {
+      region: ["East", "Southwest"],
+      tags: ["water sports"],
+      attraction_type: ["nature_park"],
+      fee_required: false,
+      rating: { gte: 4 },
+      location: { geo_radius: { center: { lat: -20.28, lon: 57.365 }, radius_km: 10 } },
+    }
+  );
+  assert.equal(toPayloadFilter({ region: undefined }), undefined);
+  assert.equal(toPayloadFilter(undefined), undefined);
+});
+
+test("toPayloadFilter rejects unknown fields and an incomplete near", () => {
+  assert.throws(() => toPayloadFilter({ colour: "blue" }), /Unknown filter field "colour"/);
+  assert.throws(() => toPayloadFilter({ near: { latitude: -20.28 } }), /numeric latitude, longitude and radius_km/);
+});
+
+test("parseFilterArgs reads key=value specs and JSON objects", () => {
+  assert.deepEqual(
+    parseFilterArgs(["region=East,North", "tags=snorkeling", "fee_required=false", "min_rating=4", "near=-20.28,57.365,10"]),
+    {
+      region: ["East", "North"],
+      tags: "snorkeling",
+      fee_required: false,
+      min_rating: 4,
+      near: { latitude: -20.28, longitude: 57.365, radius_km: 10 },
+    }
+  );
+  assert.deepEqual(parseFilterArgs(['{"section":"reviews"}', "region=East"]), { section: "reviews", region: "East" });
+  assert.equal(parseFilterArgs([]), undefined);
+});
+
+test("parseFilterArgs rejects malformed specs", () => {
+  assert.throws(() => parseFilterArgs(["region"]), /key=value/);
+  assert.throws(() => parseFilterArgs(["fee_required=maybe"]), /true or false/);
+  assert.throws(() => parseFilterArgs(["min_rating=high"]), /must be a number/);
+  assert.throws(() => parseFilterArgs(["{not json"]), /not valid JSON/);
+  assert.throws(() => parseFilterArgs(["near=-20.28,57.365"]), /near/);
+  assert.throws(() => parseFilterArgs(["colour=blue"]), /Unknown filter field/);
+});
@@ -0,0 +1,32 @@
+import "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { geocode, parseGeoQuery } from "../lib/gazetteer.mjs";
+
+test("parseGeoQuery reads a radius in km or kilometres of, from or around a place", () => {
+  for (const [text, place, radiusKm] of [
+    ["beaches within 20 km of Grand Baie", "Grand Baie", 20],
+    ["restaurants 5km from Mahébourg", "Mahébourg", 5],
+    ["hikes 7.5 kilometres around Curepipe", "Curepipe", 7.5],
+  ]) {
+    const anchor = parseGeoQuery(text);
+    assert.equal(anchor?.place.name, place, text);
+    assert.equal(anchor.radiusKm, radiusKm, text);
+  }
+});
+
+test("parseGeoQuery anchors on a place without a radius, or on nothing", () => {
+  const anchor = parseGeoQuery("what can I do near Flic en Flac?");
+  assert.equal(anchor.place.name, "Flic en Flac");
+  assert.equal(anchor.radiusKm, undefined);
+  // A distance with no known place is not a radius
+  assert.equal(parseGeoQuery("beaches within 20 km of Atlantis"), null);
+  assert.equal(parseGeoQuery("best beaches"), null);
+});
+
+test("geocode matches names and aliases regardless of case and accents", () => {
+  assert.equal(geocode("Grand Bay")?.name, "Grand Baie");
+  assert.equal(geocode("mahebourg")?.name, "Mahébourg");
+  assert.equal(geocode("Atlantis"), null);
+});
@@ -0,0 +1,57 @@
+// Shared by the test files in this directory. Imported first, so every
+// module under test resolves the offline `test` profile: in-memory vector and
+// session stores and the local embedding provider.
+// Run all tests with: npm test
+process.env.APP_ENV = "test";
+
+import { createLocalEmbedder } from "../lib/embeddings.mjs";
+import { syncChunks } from "../lib/ingest.mjs";
+import { getVectorStore } from "../lib/vectorStore.mjs";
+
+// Two attractions and a travel document, one chunk each
+export const FIXTURES = [
+  {
+    document_id: "attr_1",
+    content: "Île aux Cerfs — Description: An island off Trou d'Eau Douce with white beaches and water sports.",
+    payload: {
+      type: "attraction",
+      title: "Île aux Cerfs",
+      section: "description",
+      region: "East",
+      location: { lat: -20.267, lon: 57.738 },
+      source_file: "attractions.json",
+      review_url: "https://example.com/ile-aux-cerfs",
+    },
+  },
+  {
+    document_id: "attr_2",
+    content: "Black River Gorges — Description: A national park with hiking trails and waterfalls.",
+    payload: {
+      type: "attraction",
+      title: "Black River Gorges",
+      section: "description",
+      region: "Southwest",
+      location: { lat: -20.408, lon: 57.445 },
+    },
+  },
+  {
+    document_id: "doc_Visa_Requirements",
+    content: "Visa Requirements — Most visitors get a free visa on arrival for stays of up to 90 days.",
+    payload: { type: "doc", title: "Visa Requirements", section: "document", source_file: "travel_docs.json" },
+  },
+];
+
+/**
+ * Sync FIXTURES into a memory collection (the configured one by default)
+ * and return its store.
+ */
+export async function seedFixtures({ collection } = {}) {
+  const store = getVectorStore(collection ? { collection } : {});
+  await syncChunks({
+    store,
+    embedder: createLocalEmbedder(),
+    chunks: FIXTURES.map((f) => ({ ...f, chunk_index: 0 })),
+    log: () => {},
+  });
+  return store;
+}
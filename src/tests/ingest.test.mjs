@@ -0,0 +1,130 @@
+import { FIXTURES } from "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import { test } from "node:test";
+import os from "os";
+import path from "path";
+import { createLocalEmbedder } from "../lib/embeddings.mjs";
+import { pointId, readCheckpoint, syncChunks, travelDocChunks } from "../lib/ingest.mjs";
+import { createTokenBucket } from "../lib/rateLimit.mjs";
+import { getVectorStore } from "../lib/vectorStore.mjs";
+
+const quiet = () => {};
+
+test("pointId is a stable UUID per document and chunk", () => {
+  const id = pointId("attr_1", 0);
+  assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  assert.equal(pointId("attr_1", 0), id);
+  assert.notEqual(pointId("attr_1", 1), id);
+});
+
+test("travelDocChunks numbers each document's chunks", () => {
+  const chunks = travelDocChunks([{ title: "Getting Around", content: "Buses run daily. Taxis are metered. Car hire needs a licence." }], {
+    chunkSize: 40,
+  });
+  assert.ok(chunks.length > 1);
+  assert.deepEqual(chunks.map((c) => c.chunk_index), chunks.map((_, i) => i));
+  assert.ok(chunks.every((c) => c.document_id === "doc_Getting_Around" && c.payload.type === "doc"));
+});
+
+test("re-ingesting only embeds what changed and removes what disappeared", async () => {
+  const store = getVectorStore({ collection: "incremental" });
+  const local = createLocalEmbedder();
+  const embedded = [];
+  const embedder = {
+    ...local,
+    async embedBatch(texts) {
+      embedded.push(...texts);
+      return local.embedBatch(texts);
+    },
+  };
+  const chunks = FIXTURES.map((f) => ({ ...f, chunk_index: 0 }));
+
+  const first = await syncChunks({ store, embedder, chunks, log: quiet });
+  assert.deepEqual([first.added, first.updated, first.unchanged, first.removed], [3, 0, 0, 0]);
+
+  embedded.length = 0;
+  const again = await syncChunks({ store, embedder, chunks, log: quiet });
+  assert.deepEqual([again.added, again.updated, again.unchanged], [0, 0, 3]);
+  assert.deepEqual(embedded, []);
+
+  // A payload-only edit counts as an update; a dropped chunk is removed
+  const edited = [{ ...chunks[0], payload: { ...chunks[0].payload, region: "North" } }, chunks[1]];
+  const third = await syncChunks({ store, embedder, chunks: edited, log: quiet });
+  assert.deepEqual([third.added, third.updated, third.unchanged, third.removed], [0, 1, 1, 1]);
+  assert.equal(await store.count(), 2);
+  assert.equal(await store.count({ filter: { region: "North" } }), 1);
+});
+
+test("a scoped ingest leaves points outside its scope alone", async () => {
+  const store = getVectorStore({ collection: "scoped" });
+  const embedder = createLocalEmbedder();
+  const chunks = FIXTURES.map((f) => ({ ...f, chunk_index: 0 }));
+  await syncChunks({ store, embedder, chunks, log: quiet });
+
+  const docsOnly = chunks.filter((c) => c.payload.type === "doc");
+  const report = await syncChunks({ store, embedder, chunks: docsOnly, scope: { type: "doc" }, log: quiet });
+  assert.deepEqual([report.unchanged, report.removed], [1, 0]);
+  assert.equal(await store.count(), 3);
+});
+
+test("ingest refuses a collection holding vectors of another size", async () => {
+  const store = getVectorStore({ collection: "mismatched" });
+  await store.createCollection({ size: 3 });
+  await assert.rejects(
+    syncChunks({ store, embedder: createLocalEmbedder(), chunks: [], log: quiet }),
+    /3-dim vectors.*--rebuild/
+  );
+});
+
+test("ingest embeds in batches, retries 429s, uploads in chunks and resumes from its checkpoint", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ingest-"));
+  const checkpoint = path.join(dir, "checkpoint.json");
+  const memory = getVectorStore({ collection: "pipeline" });
+  const upserts = [];
+  const store = {
+    ...memory,
+    async upsert(points) {
+      upserts.push(points.length);
+      return memory.upsert(points);
+    },
+  };
+  const local = createLocalEmbedder();
+  let requests = 0;
+  const flaky = {
+    ...local,
+    async embedBatch(texts) {
+      if (++requests === 1) throw Object.assign(new Error("[429 Too Many Requests] quota"), { status: 429 });
+      if (texts.some((text) => text.startsWith("Visa"))) throw Object.assign(new Error("[400 Bad Request]"), { status: 400 });
+      return local.embedBatch(texts);
+    },
+  };
+  const chunks = FIXTURES.map((f) => ({ ...f, chunk_index: 0 }));
+  const pipeline = { batchSize: 1, concurrency: 2, uploadBatchSize: 2, retryDelayMs: 0, sleep: async () => {} };
+  const logs = [];
+
+  const first = await syncChunks({ store, embedder: flaky, chunks, checkpoint, pipeline, log: (line) => logs.push(line) });
+  assert.deepEqual([first.added, first.failed], [2, 1]);
+  assert.deepEqual(first.failures.map((f) => [f.document_id, f.stage]), [["doc_Visa_Requirements", "embed"]]);
+  assert.deepEqual(upserts, [2]);
+  assert.ok(logs.some((line) => line.includes("retry 1/")));
+  assert.ok(logs.includes("❌ Error embedding doc_Visa_Requirements chunk 0: [400 Bad Request]"));
+  const saved = readCheckpoint(checkpoint, { store, embedder: flaky });
+  assert.deepEqual([saved.stored, saved.failures.length], [2, 1]);
+
+  logs.length = 0;
+  const rerun = await syncChunks({ store, embedder: local, chunks, checkpoint, pipeline, log: (line) => logs.push(line) });
+  assert.deepEqual([rerun.added, rerun.unchanged, rerun.failed], [1, 2, 0]);
+  assert.ok(logs.some((line) => line.startsWith("⏯️ Resuming")));
+  assert.equal(fs.existsSync(checkpoint), false);
+  fs.rmSync(dir, { recursive: true });
+
+  // One token a second: the third take waits two seconds
+  let now = 0;
+  const bucket = createTokenBucket({ perMinute: 60, capacity: 1, now: () => now, sleep: async (ms) => (now += ms) });
+  await Promise.all([bucket.take(), bucket.take(), bucket.take()]);
+  assert.equal(now, 2000);
+  // More than the bucket holds would never be granted
+  assert.throws(() => bucket.take(2), RangeError);
+});
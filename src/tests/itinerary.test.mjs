@@ -0,0 +1,91 @@
+import "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { estimateDrive, orderStops, planItinerary, validateItineraryRequest } from "../lib/itinerary.mjs";
+
+// Two short viewpoint visits near Flic en Flac and two near Belle Mare, so
+// every day fits the time budget and no stop is dropped
+function attraction(id, region, latitude, longitude, tags = ["viewpoint"]) {
+  return { id, name: id, attraction_type: "viewpoint", tags, location: { region, latitude, longitude } };
+}
+const ATTRACTIONS = [
+  attraction("west_a", "West", -20.28, 57.37),
+  attraction("west_b", "West", -20.31, 57.38, ["viewpoint", "sunset"]),
+  attraction("east_a", "East", -20.19, 57.77),
+  attraction("east_b", "East", -20.22, 57.76, ["viewpoint", "sunset"]),
+];
+const WEST_BASE = { name: "Flic en Flac", latitude: -20.29, longitude: 57.36 };
+
+test("estimateDrive pads straight-line distance and rounds the time up to 5 minutes", () => {
+  // 0.1° of latitude is about 11.1 km in a straight line
+  assert.deepEqual(estimateDrive({ latitude: -20, longitude: 57.5 }, { latitude: -20.1, longitude: 57.5 }), {
+    drive_km: 14.5,
+    drive_minutes: 25,
+  });
+  assert.deepEqual(estimateDrive(WEST_BASE, WEST_BASE), { drive_km: 0, drive_minutes: 5 });
+});
+
+test("orderStops goes round the corners of a square instead of crossing it", () => {
+  // The base is one corner; "side" bulges out between the first two corners
+  const base = { latitude: -20, longitude: 57.5 };
+  const stops = [
+    attraction("far", "North", -20.1, 57.6),
+    attraction("near_east", "North", -20, 57.6),
+    attraction("near_south", "North", -20.1, 57.5),
+    attraction("side", "North", -20.12, 57.55),
+  ].map((a) => ({ attraction: a }));
+  const ids = orderStops(base, stops).map((s) => s.attraction.id);
+  const loop = ["near_south", "side", "far", "near_east"];
+  // Either direction is the same loop
+  assert.ok([loop, [...loop].reverse()].some((order) => order.join() === ids.join()), `unexpected order ${ids}`);
+});
+
+test("planItinerary gives each day one area and starts with the one nearest the base", () => {
+  const plan = planItinerary({ days: 2, base: WEST_BASE, pace: "relaxed" }, { attractions: ATTRACTIONS });
+
+  assert.equal(plan.days.length, 2);
+  assert.deepEqual(plan.days.map((d) => d.day), [1, 2]);
+  assert.ok(plan.days.every((d) => d.stops.length <= 2));
+  assert.deepEqual(plan.days.map((d) => d.regions), [["West"], ["East"]]);
+  assert.ok(plan.days[0].totals.drive_km < plan.days[1].totals.drive_km);
+  assert.deepEqual(
+    plan.days.flatMap((d) => d.stops.map((s) => s.attraction_id)).sort(),
+    ATTRACTIONS.map((a) => a.id).sort()
+  );
+  assert.deepEqual(plan.unplaced, []);
+});
+
+test("planItinerary caps stops per day by pace and prefers attractions matching the interests", () => {
+  const plan = planItinerary(
+    { days: 1, base: WEST_BASE, interests: ["sunset"], pace: "relaxed" },
+    { attractions: ATTRACTIONS }
+  );
+  assert.equal(plan.days.length, 1);
+  assert.deepEqual(plan.days[0].stops.map((s) => s.attraction_id).sort(), ["east_b", "west_b"]);
+  assert.deepEqual(plan.days[0].stops.map((s) => s.order), [1, 2]);
+
+  const packed = planItinerary({ days: 1, base: WEST_BASE, pace: "packed" }, { attractions: ATTRACTIONS });
+  assert.equal(packed.days[0].stops.length, 4);
+});
+
+test("planItinerary drops stops that would push a day past its time budget", () => {
+  // Two three-hour beach visits at opposite ends of the island don't fit one day
+  const beaches = [
+    attraction("west_beach", "West", -20.31, 57.38, ["beach"]),
+    attraction("east_beach", "East", -20.22, 57.76, ["beach"]),
+  ];
+  const plan = planItinerary({ days: 1, base: WEST_BASE, interests: ["beaches"], pace: "relaxed" }, { attractions: beaches });
+  assert.deepEqual(plan.days[0].stops.map((s) => s.attraction_id), ["west_beach"]);
+  assert.ok(plan.days[0].totals.day_minutes <= 9 * 60);
+  assert.deepEqual(plan.unplaced.map((u) => u.attraction_id), ["east_beach"]);
+});
+
+test("validateItineraryRequest rejects out-of-range days and unknown paces", () => {
+  const { value, errors } = validateItineraryRequest(
+    { days: 0, base: WEST_BASE, pace: "leisurely" },
+    { attractions: ATTRACTIONS }
+  );
+  assert.equal(value, null);
+  assert.deepEqual(errors.map((e) => e.field), ["days", "pace"]);
+});
@@ -0,0 +1,60 @@
+import "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createHeuristicReranker, createLlmReranker, maximalMarginalRelevance, rerankHits } from "../lib/rerank.mjs";
+
+const HITS = [
+  { id: 1, score: 0.9, title: "Le Morne Brabant", section: "reviews", documentId: "le_morne", content: "Visitors rate the hike highly." },
+  { id: 2, score: 0.8, title: "Le Morne Brabant", section: "description", documentId: "le_morne", content: "A mountain with a hiking trail and views of the lagoon." },
+  { id: 3, score: 0.7, title: "Blue Bay", section: "description", documentId: "blue_bay", content: "A marine park with snorkeling over coral." },
+];
+
+test("the heuristic reranker rewards term overlap, the title and the cued section", async () => {
+  const reranker = createHeuristicReranker();
+  const [reviews, description, other] = await reranker.score("Le Morne hiking trail", HITS);
+  assert.ok(description > reviews);
+  assert.ok(reviews > other);
+  const [cuedReviews, uncued] = await reranker.score("Is Le Morne worth it? reviews", HITS);
+  assert.ok(cuedReviews > uncued);
+});
+
+test("the LLM reranker scales the model's grades and falls back on an unparseable reply or a failed call", async () => {
+  const warnings = [];
+  const warn = (line) => warnings.push(line);
+  const graded = createLlmReranker({ model: { invoke: async () => ({ content: "[10, 5, 0]" }) }, warn });
+  assert.deepEqual(await graded.score("q", HITS), [1, 0.5, 0]);
+  assert.deepEqual(warnings, []);
+
+  const fallback = { name: "fixed", score: async (_, hits) => hits.map(() => 0.42) };
+  const rambling = createLlmReranker({ model: { invoke: async () => ({ content: "They all look fine." }) }, fallback, warn });
+  assert.deepEqual(await rambling.score("q", HITS), [0.42, 0.42, 0.42]);
+  assert.match(warnings.at(-1), /unparseable scores; using fixed scores/);
+
+  const failing = {
+    invoke: async () => {
+      throw new Error("[429 Too Many Requests] quota");
+    },
+  };
+  assert.deepEqual(await createLlmReranker({ model: failing, fallback, warn }).score("q", HITS), [0.42, 0.42, 0.42]);
+  assert.match(warnings.at(-1), /failed \(\[429 Too Many Requests\] quota\); using fixed scores/);
+});
+
+test("MMR demotes a second chunk of an attraction already picked", () => {
+  const picked = maximalMarginalRelevance(HITS, { lambda: 0.5 });
+  assert.deepEqual(picked.map((hit) => hit.id), [1, 3, 2]);
+  assert.ok(picked.every((hit) => typeof hit.scores.mmr === "number"));
+  // Pure relevance keeps the input order
+  assert.deepEqual(maximalMarginalRelevance(HITS, { lambda: 1 }).map((hit) => hit.id), [1, 2, 3]);
+  assert.equal(maximalMarginalRelevance(HITS, { limit: 2 }).length, 2);
+});
+
+test("rerankHits keeps the first-stage score and rank alongside the reranked one", async () => {
+  const reranker = { name: "reverse", score: async (_, hits) => hits.map((_, i) => i / 10) };
+  const ranked = await rerankHits("q", HITS, 2, { reranker, mmr: false });
+  assert.deepEqual(ranked.map((hit) => [hit.id, hit.initialRank, hit.reranker]), [
+    [3, 3, "reverse"],
+    [2, 2, "reverse"],
+  ]);
+  assert.deepEqual(ranked[0].scores, { retrieval: 0.7, rerank: 0.2 });
+});
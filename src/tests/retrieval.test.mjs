@@ -0,0 +1,83 @@
+import "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { analyze, createBm25Index } from "../lib/bm25.mjs";
+import { createLocalEmbedder } from "../lib/embeddings.mjs";
+import { syncChunks } from "../lib/ingest.mjs";
+import { findNearby, reciprocalRankFusion } from "../lib/retrieval.mjs";
+import { createMemoryStore } from "../lib/vectorStore.mjs";
+
+const DOCS = [
+  { id: "a", text: "Le Pêcheur restaurant at Trou d'Eau Douce serves seafood.", payload: { region: "East" } },
+  { id: "b", text: "Beaches, beaches and more beaches along the north coast.", payload: { region: "North" } },
+  { id: "c", text: "A quiet beach for snorkeling in the east.", payload: { region: "East" } },
+  { id: "d", text: "Hiking trails in the Black River Gorges.", payload: { region: "Southwest" } },
+];
+
+test("analyze folds accents, splits elisions and stems plurals", () => {
+  assert.deepEqual(analyze("Pêcheur Trou d'Eau Douce beaches"), ["pecheur", "trou", "eau", "douce", "beach"]);
+});
+
+test("BM25 matches accent-folded and stemmed terms", () => {
+  const index = createBm25Index(DOCS);
+  assert.equal(index.size, 4);
+  assert.equal(index.search("pecheur trou d eau douce")[0].id, "a");
+  assert.deepEqual(index.search("beach").map((hit) => hit.id).sort(), ["b", "c"]);
+  assert.deepEqual(index.search("volcano"), []);
+});
+
+test("BM25 ranks rarer terms higher and applies filters", () => {
+  const index = createBm25Index(DOCS);
+  const [top] = index.search("quiet beach");
+  assert.equal(top.id, "c");
+  assert.ok(top.score > 0);
+  assert.deepEqual(index.search("beach", { filter: { region: "North" } }).map((hit) => hit.id), ["b"]);
+  assert.equal(index.search("beach", { limit: 1 }).length, 1);
+});
+
+test("reciprocal rank fusion rewards agreement and honours weights", () => {
+  const dense = { name: "dense", weight: 1, hits: [{ id: "a", score: 0.9 }, { id: "b", score: 0.8 }, { id: "c", score: 0.7 }] };
+  const keyword = { name: "bm25", weight: 1, hits: [{ id: "c", score: 7 }, { id: "b", score: 5 }] };
+  const fused = reciprocalRankFusion([dense, keyword], { k: 60 });
+  assert.deepEqual(fused.map((hit) => hit.id), ["c", "b", "a"]);
+  assert.deepEqual(fused[0].scores, { dense: 0.7, bm25: 7 });
+  assert.ok(Math.abs(fused[0].score - (1 / 63 + 1 / 61)) < 1e-12);
+
+  // A zero weight drops a ranking entirely
+  const denseOnly = reciprocalRankFusion([dense, { ...keyword, weight: 0 }]);
+  assert.deepEqual(denseOnly.map((hit) => hit.id), ["a", "b", "c"]);
+});
+
+test("findNearby returns one hit per attraction, nearest first, within the radius", async () => {
+  const grandBaie = { name: "Grand Baie", latitude: -20.013, longitude: 57.58 };
+  const chunk = (attraction_id, title, [lat, lon], section, chunk_index = 0) => ({
+    document_id: `${attraction_id}_${section}`,
+    chunk_index,
+    content: `${title} — ${section}`,
+    payload: { type: "attraction", attraction_id, title, section, location: { lat, lon } },
+  });
+  const store = createMemoryStore({ collection: "nearby" });
+  await syncChunks({
+    store,
+    embedder: createLocalEmbedder(),
+    chunks: [
+      chunk("pereybere", "Pereybère Beach", [-19.996, 57.588], "reviews"),
+      chunk("pereybere", "Pereybère Beach", [-19.996, 57.588], "description"),
+      chunk("port_louis", "Caudan Waterfront", [-20.161, 57.498], "description"),
+      chunk("mont_choisy", "Mont Choisy Beach", [-20.025, 57.555], "description"),
+      { document_id: "doc_Visa", chunk_index: 0, content: "Visa on arrival.", payload: { type: "doc", title: "Visa" } },
+    ],
+    log: () => {},
+  });
+
+  const hits = await findNearby(grandBaie, { store, limit: 5 });
+  assert.deepEqual(hits.map((h) => h.title), ["Pereybère Beach", "Mont Choisy Beach", "Caudan Waterfront"]);
+  assert.equal(hits[0].section, "description");
+  assert.ok(hits.every((h, i) => i === 0 || h.distanceKm >= hits[i - 1].distanceKm));
+  assert.equal(hits[0].distanceFrom, "Grand Baie");
+
+  const close = await findNearby(grandBaie, { store, radiusKm: 5 });
+  assert.deepEqual(close.map((h) => h.title), ["Pereybère Beach", "Mont Choisy Beach"]);
+  assert.deepEqual((await findNearby(grandBaie, { store, limit: 1 })).map((h) => h.title), ["Pereybère Beach"]);
+});
@@ -0,0 +1,33 @@
+import "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { ndcgAtK, recallAtK, reciprocalRank } from "../lib/retrievalEval.mjs";
+
+const metrics = (ranked, relevant, k) => {
+  const set = new Set(relevant);
+  return [recallAtK(ranked, set, k), reciprocalRank(ranked, set), ndcgAtK(ranked, set, k)];
+};
+
+test("a single relevant document scores by its rank", () => {
+  assert.deepEqual(metrics(["a", "b", "c"], ["a"], 3), [1, 1, 1]);
+  // Rank 3: discounted by log2(3 + 1) = 2
+  assert.deepEqual(metrics(["x", "y", "a"], ["a"], 3), [1, 1 / 3, 0.5]);
+  // Below the cutoff it only counts for the reciprocal rank
+  assert.deepEqual(metrics(["x", "y", "a"], ["a"], 2), [0, 1 / 3, 0]);
+});
+
+test("no relevant documents, or none retrieved, score zero", () => {
+  assert.deepEqual(metrics(["a", "b"], [], 2), [0, 0, 0]);
+  assert.deepEqual(metrics(["x", "y"], ["a"], 2), [0, 0, 0]);
+  assert.deepEqual(metrics([], ["a"], 2), [0, 0, 0]);
+});
+
+test("with more relevant documents than k, nDCG is ideal when the top k are all relevant", () => {
+  // Recall is over every relevant document, so it can't reach 1 here
+  assert.deepEqual(metrics(["a", "b", "c"], ["a", "b", "c", "d"], 2), [0.5, 1, 1]);
+  const [recall, rr, ndcg] = metrics(["a", "x", "b"], ["a", "b", "c"], 2);
+  assert.equal(recall, 1 / 3);
+  assert.equal(rr, 1);
+  assert.ok(Math.abs(ndcg - 1 / (1 + 1 / Math.log2(3))) < 1e-12);
+});
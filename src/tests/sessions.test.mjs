@@ -0,0 +1,74 @@
+import "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import { test } from "node:test";
+import os from "os";
+import path from "path";
+import {
+  createFileSessionStore,
+  createMemorySessionStore,
+  OWNER_COOKIE,
+  resolveOwner,
+  titleFromMessage,
+} from "../lib/sessions.mjs";
+
+function request(cookie, url = "http://localhost/api/sessions") {
+  return new Request(url, { headers: cookie ? { Cookie: cookie } : {} });
+}
+
+async function exerciseOwnership(store) {
+  const mine = await store.createSession({ title: "Mine", owner: "owner-a" });
+  const theirs = await store.createSession({ title: "Theirs", owner: "owner-b" });
+  await store.appendMessages(mine.id, [{ role: "user", content: "hi" }]);
+
+  assert.deepEqual((await store.listSessions({ owner: "owner-a" })).map((s) => s.title), ["Mine"]);
+  assert.deepEqual((await store.listSessions({ owner: "owner-b" })).map((s) => s.title), ["Theirs"]);
+  assert.deepEqual(await store.listSessions({ owner: "owner-c" }), []);
+
+  assert.equal((await store.getSession(mine.id, { owner: "owner-a" })).message_count, 1);
+  assert.equal(await store.getSession(mine.id, { owner: "owner-b" }), null);
+  assert.equal(await store.getSession(mine.id), null);
+  // The owner is never part of the session sent to clients
+  assert.deepEqual(Object.keys(mine).sort(), ["created_at", "id", "message_count", "title", "updated_at"]);
+
+  assert.equal(await store.deleteSession(theirs.id, { owner: "owner-a" }), false);
+  assert.ok(await store.getSession(theirs.id, { owner: "owner-b" }));
+  assert.equal(await store.deleteSession(theirs.id, { owner: "owner-b" }), true);
+  assert.equal(await store.getSession(theirs.id, { owner: "owner-b" }), null);
+}
+
+test("memory sessions are only found, listed and deleted by their owner", async () => {
+  await exerciseOwnership(createMemorySessionStore());
+});
+
+test("file sessions are only found, listed and deleted by their owner", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+  await exerciseOwnership(createFileSessionStore({ dir }));
+
+  // A session saved before sessions had owners is no browser's
+  const legacy = { session: { id: "legacy", title: "Old", created_at: "2024-01-01T00:00:00.000Z", updated_at: "2024-01-01T00:00:00.000Z" }, messages: [] };
+  fs.writeFileSync(path.join(dir, "legacy.json"), JSON.stringify(legacy));
+  const store = createFileSessionStore({ dir });
+  assert.equal(await store.getSession("legacy", { owner: "owner-a" }), null);
+  assert.equal((await store.getSession("legacy")).title, "Old");
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("resolveOwner reads the owner cookie or issues a new one", () => {
+  assert.deepEqual(resolveOwner(request(`theme=dark; ${OWNER_COOKIE}=owner-a`)), { owner: "owner-a", headers: {} });
+
+  for (const cookie of [null, `${OWNER_COOKIE}=../etc`]) {
+    const { owner, headers } = resolveOwner(request(cookie));
+    assert.match(owner, /^[0-9a-f-]{36}$/);
+    assert.equal(headers["Set-Cookie"], `${OWNER_COOKIE}=${owner}; Path=/; Max-Age=31536000; HttpOnly; SameSite=Lax`);
+  }
+  assert.match(resolveOwner(request(null, "https://example.com/api/sessions")).headers["Set-Cookie"], /; Secure$/);
+});
+
+test("titleFromMessage keeps titles on one line and short", () => {
+  assert.equal(titleFromMessage("  Beaches\nin the east? "), "Beaches in the east?");
+  const long = titleFromMessage("word ".repeat(40));
+  assert.ok(long.length <= 80);
+  assert.ok(long.endsWith("…"));
+});
@@ -0,0 +1,157 @@
+import { FIXTURES } from "./helpers.mjs";
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import { test } from "node:test";
+import os from "os";
+import path from "path";
+import { createLocalEmbedder } from "../lib/embeddings.mjs";
+import { syncChunks } from "../lib/ingest.mjs";
+import { createLocalStore, createMemoryStore, createQdrantStore, getVectorStore, matchesFilter } from "../lib/vectorStore.mjs";
+
+const POINTS = [
+  { id: 1, vector: [1, 0], payload: { title: "East beach", region: "East", rating: 4.5, tags: ["beach"] } },
+  { id: 2, vector: [0, 1], payload: { title: "West hike", region: "West", rating: 3.9, tags: ["hiking"] } },
+  { id: 3, vector: [0.7, 0.7], payload: { title: "East hike", region: "East", rating: 4.1, tags: ["hiking", "beach"] } },
+];
+
+async function exerciseStore(store) {
+  assert.equal(await store.exists(), false);
+  assert.equal(await store.version(), null);
+  await assert.rejects(store.search([1, 0]), /does not exist/);
+
+  await store.createCollection({ size: 2 });
+  assert.deepEqual(await store.getCollectionInfo(), { size: 2, distance: "Cosine" });
+  const created = await store.version();
+  await store.upsert(POINTS);
+  assert.notEqual(await store.version(), created);
+
+  const hits = await store.search([1, 0], { limit: 2 });
+  assert.deepEqual(hits.map((h) => h.id), [1, 3]);
+  assert.deepEqual(
+    (await store.search([1, 0], { filter: { region: "East", tags: ["hiking"] } })).map((h) => h.id),
+    [3]
+  );
+  assert.equal(await store.count({ filter: { rating: { gte: 4 } } }), 2);
+
+  // Upserting an existing id replaces the point
+  await store.upsert([{ id: 2, vector: [0, 1], payload: { title: "West hike", region: "Southwest" } }]);
+  assert.equal(await store.count(), 3);
+  assert.equal(await store.count({ filter: { region: "Southwest" } }), 1);
+
+  assert.equal(await store.delete({ filter: { region: "East" } }), 2);
+  assert.deepEqual((await store.scroll()).map((p) => p.id), [2]);
+  await store.deleteCollection();
+  assert.equal(await store.exists(), false);
+}
+
+test("the memory store creates, searches, filters, counts and deletes", async () => {
+  await exerciseStore(createMemoryStore({ collection: "store_memory" }));
+});
+
+test("memory collections are shared by name within the process", async () => {
+  const a = createMemoryStore({ collection: "store_shared" });
+  await a.createCollection({ size: 2 });
+  await a.upsert(POINTS.slice(0, 1));
+  assert.equal(await createMemoryStore({ collection: "store_shared" }).count(), 1);
+  assert.equal(await createMemoryStore({ collection: "store_other" }).exists(), false);
+});
+
+test("the local store behaves like the memory store and persists to disk", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "store-"));
+  await exerciseStore(createLocalStore({ collection: "store_local", dir }));
+
+  const store = createLocalStore({ collection: "persisted", dir });
+  await store.createCollection({ size: 2 });
+  await store.upsert(POINTS);
+  const version = await store.version();
+  assert.ok(fs.existsSync(path.join(dir, "persisted.json")));
+
+  // Another store on the same file sees the same points and version
+  const reopened = createLocalStore({ collection: "persisted", dir });
+  assert.equal(await reopened.count(), 3);
+  assert.equal(await reopened.version(), version);
+});
+
+test("getVectorStore picks the configured backend and rejects unknown ones", () => {
+  // The test profile uses the memory store
+  assert.equal(getVectorStore().backend, "memory");
+  assert.throws(() => getVectorStore({ backend: "pinecone" }), /pinecone/);
+});
+
+// Stands in for Qdrant's count endpoint over `points`, with the semantics of
+// a `text` index (word tokenizer, lowercase): every query word must appear.
+// Diacritics are kept, as in Qdrant.
+function fakeQdrantFetch(points, requests) {
+  const words = (text) => String(text ?? "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const matches = (payload, { key, match }) => {
+    const present = new Set(words(payload[key]));
+    return words(match.text).every((word) => present.has(word));
+  };
+  return async (url, { method, body }) => {
+    const { pathname, search } = new URL(url);
+    const request = { method, path: pathname, search, body: body && JSON.parse(body) };
+    requests.push(request);
+    const result = request.path.endsWith("/points/count")
+      ? { count: points.filter(({ payload }) => (request.body.filter?.must || []).every((c) => matches(payload, c))).length }
+      : true;
+    return new Response(JSON.stringify({ result }));
+  };
+}
+
+test("text filters match the same points on the memory and Qdrant stores", async (t) => {
+  const memory = createMemoryStore({ collection: "text_filter" });
+  await syncChunks({
+    store: memory,
+    embedder: createLocalEmbedder(),
+    chunks: FIXTURES.map((f) => ({ ...f, chunk_index: 0 })),
+    log: () => {},
+  });
+  const points = await memory.scroll();
+  const requests = [];
+  t.mock.method(globalThis, "fetch", fakeQdrantFetch(points, requests));
+  const qdrant = createQdrantStore({ collection: "text_filter", url: "http://qdrant.test:6333" });
+
+  for (const [text, expected] of [
+    ["ile aux cerfs", 1],
+    ["ÎLE AUX CERFS", 1],
+    ["Trou d'Eau Douce", 1],
+    ["trou d eau douce", 1],
+    ["hiking waterfalls", 1],
+    ["waterfalls beaches", 0],
+  ]) {
+    const filter = { content: { text } };
+    assert.equal(await memory.count({ filter }), expected, `memory: ${text}`);
+    assert.equal(await qdrant.count({ filter }), expected, `qdrant: ${text}`);
+  }
+  assert.ok(requests.some((r) => r.method === "PUT" && r.body.field_name === "content_folded"));
+});
+
+test("Qdrant upserts wait until the points are applied", async (t) => {
+  const requests = [];
+  t.mock.method(globalThis, "fetch", fakeQdrantFetch([], requests));
+  const qdrant = createQdrantStore({ collection: "upsert_wait", url: "http://qdrant.test:6333" });
+  await qdrant.upsert(POINTS);
+  assert.deepEqual(requests, [
+    { method: "PUT", path: "/collections/upsert_wait/points", search: "?wait=true", body: { points: POINTS } },
+  ]);
+});
+
+test("matchesFilter handles values, lists, ranges, text and geo conditions", () => {
+  const payload = {
+    region: "East",
+    tags: ["beach", "snorkeling"],
+    rating: 4.2,
+    title: "Île aux Cerfs",
+    location: { lat: -20.267, lon: 57.738 },
+  };
+  assert.ok(matchesFilter(payload, { region: "East" }));
+  assert.ok(matchesFilter(payload, { region: ["North", "East"] }));
+  assert.ok(!matchesFilter(payload, { tags: "hiking" }));
+  assert.ok(matchesFilter(payload, { rating: { gte: 4, lt: 5 } }));
+  assert.ok(!matchesFilter(payload, { rating: { gt: 4.2 } }));
+  assert.ok(matchesFilter(payload, { title: { text: "ile aux" } }));
+  assert.ok(matchesFilter(payload, { location: { geo_radius: { center: { lat: -20.27, lon: 57.74 }, radius_km: 1 } } }));
+  assert.ok(!matchesFilter(payload, { location: { geo_radius: { center: { lat: -20.4, lon: 57.4 }, radius_km: 5 } } }));
+  assert.ok(matchesFilter(payload, { region: undefined }));
+});